@@ -3,6 +3,7 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import { createClient } from '@supabase/supabase-js';
 import axios from 'axios';
+import crypto from 'crypto';
 import cron from 'node-cron';
 import { DateTime } from 'luxon';
 
@@ -10,54 +11,327 @@ dotenv.config();
 
 const app = express();
 app.use(cors());
-app.use(express.json());
+// Keep the raw body around for webhook signature checks
+function keepRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
+app.use(express.json({ verify: keepRawBody }));
+// Twilio posts webhooks form-encoded
+app.use(express.urlencoded({ extended: false, verify: keepRawBody }));
+
+// /b/:businessId/<route> is the path form of the X-Business-Id header
+app.use((req, res, next) => {
+  const match = req.url.match(/^\/b\/([0-9a-f-]{36})(\/.*)$/i);
+
+  if (match) {
+    req.headers['x-business-id'] = match[1];
+    req.url = match[2];
+  }
+
+  next();
+});
+
+// e.g. TRUST_PROXY=1 behind a single load balancer, so req.ip is the client
+if (process.env.TRUST_PROXY) {
+  app.set(
+    'trust proxy',
+    /^\d+$/.test(process.env.TRUST_PROXY)
+      ? Number(process.env.TRUST_PROXY)
+      : process.env.TRUST_PROXY
+  );
+}
 const SLOT_SIZE_MINUTES = 15;
 
+// Tests import the app; they start neither the server nor background jobs
+const IS_TEST = process.env.NODE_ENV === 'test';
+
+function scheduleJob(expression, job) {
+  if (!IS_TEST) cron.schedule(expression, job);
+}
+
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
+// Returns { user } or { status, error }
+async function authenticateUser(req) {
+  // 1. Read Authorization header
+  const authHeader = req.headers.authorization;
+  if (!authHeader) {
+    return { status: 401, error: 'Missing Authorization header' };
+  }
+
+  // 2. Extract JWT token
+  const token = authHeader.replace('Bearer ', '');
+
+  // 3. Validate token with Supabase
+  const { data, error } = await supabase.auth.getUser(token);
+  if (error || !data?.user) {
+    return { status: 401, error: 'Invalid or expired token' };
+  }
+
+  return { user: data.user };
+}
+
+// last_active_at is only rewritten once per interval, not on every request
+const LAST_ACTIVE_INTERVAL_MINUTES = 5;
+
 async function requireAuth(req, res, next) {
   try {
-    // 1. Read Authorization header
-    const authHeader = req.headers.authorization;
-    if (!authHeader) {
-      return res.status(401).json({ error: 'Missing Authorization header' });
+    const { user, status, error } = await authenticateUser(req);
+    if (error) {
+      return res.status(status).json({ error });
     }
 
-    // 2. Extract JWT token
-    const token = authHeader.replace('Bearer ', '');
+    // 4. Find the businesses this user belongs to
+    const { data: memberships, error: mapError } = await supabase
+      .from('business_users')
+      .select('business_id, role, deactivated_at, last_active_at')
+      .eq('user_id', user.id);
 
-    // 3. Validate token with Supabase
-    const { data, error } = await supabase.auth.getUser(token);
-    if (error || !data?.user) {
-      return res.status(401).json({ error: 'Invalid or expired token' });
+    if (mapError || !memberships?.length) {
+      return res.status(403).json({ error: 'User not linked to business' });
     }
 
-    const user = data.user;
+    // 5. Pick the business this request is for
+    const requestedId = req.headers['x-business-id'];
+    let mapping;
 
-    // 4. Find which business this user belongs to
-    const { data: mapping, error: mapError } = await supabase
-      .from('business_users')
-      .select('business_id, role')
-      .eq('user_id', user.id)
-      .single();
+    if (requestedId) {
+      mapping = memberships.find(row => row.business_id === requestedId);
 
-    if (mapError || !mapping) {
-      return res.status(403).json({ error: 'User not linked to business' });
+      if (!mapping) {
+        return res.status(403).json({ error: 'User not linked to this business' });
+      }
+    } else {
+      const active = memberships.filter(row => !row.deactivated_at);
+      mapping = active.length === 1 ? active[0] : null;
+
+      if (!active.length) {
+        return res.status(403).json({ error: 'User has been deactivated' });
+      }
+
+      if (!mapping) {
+        return res.status(400).json({
+          error: 'User belongs to several businesses; send X-Business-Id',
+          business_ids: active.map(row => row.business_id),
+        });
+      }
+    }
+
+    if (mapping.deactivated_at) {
+      return res.status(403).json({ error: 'User has been deactivated' });
     }
 
-    // 5. Attach to request object
+    // 6. Attach to request object
     req.user = user;
     req.businessId = mapping.business_id;
     req.role = mapping.role;
+    req.permissions = await resolvePermissions(mapping.business_id, mapping.role);
+    req.memberships = memberships.filter(row => !row.deactivated_at);
+
+    const lastActive = mapping.last_active_at
+      ? DateTime.fromISO(mapping.last_active_at)
+      : null;
+
+    if (
+      !lastActive ||
+      DateTime.utc().diff(lastActive, 'minutes').minutes >= LAST_ACTIVE_INTERVAL_MINUTES
+    ) {
+      supabase
+        .from('business_users')
+        .update({ last_active_at: new Date().toISOString() })
+        .eq('business_id', mapping.business_id)
+        .eq('user_id', user.id)
+        .then(({ error: activityError }) => {
+          if (activityError) {
+            console.error('last_active_at update failed:', activityError.message);
+          }
+        });
+    }
 
-    // 6. Continue to actual API
+    // 7. Continue to actual API
     next();
   } catch (err) {
     return res.status(500).json({ error: err.message });
   }
 }
+/* ---------- Roles & permissions ---------- */
+
+const PERMISSIONS = [
+  'appointments.read',
+  'appointments.write',
+  'customers.read',
+  'customers.write',
+  'messages.read',
+  'messages.send',
+  'catalog.manage',
+  'staff.manage',
+  'automation.manage',
+  'settings.manage',
+  'audit.read',
+  'roles.manage',
+  'team.manage',
+];
+
+const RECEPTIONIST_PERMISSIONS = [
+  'appointments.read',
+  'appointments.write',
+  'customers.read',
+  'customers.write',
+  'messages.read',
+  'messages.send',
+];
+
+// business_users.role is one of these, or the name of a business_roles row
+const BUILT_IN_ROLES = {
+  owner: PERMISSIONS,
+  manager: [
+    ...RECEPTIONIST_PERMISSIONS,
+    'catalog.manage',
+    'staff.manage',
+    'automation.manage',
+  ],
+  receptionist: RECEPTIONIST_PERMISSIONS,
+  read_only: ['appointments.read', 'customers.read', 'messages.read'],
+  // Accounts created before roles existed
+  staff: RECEPTIONIST_PERMISSIONS,
+};
+
+async function resolvePermissions(businessId, role) {
+  if (BUILT_IN_ROLES[role]) return BUILT_IN_ROLES[role];
+
+  const { data: customRole } = await supabase
+    .from('business_roles')
+    .select('permissions')
+    .eq('business_id', businessId)
+    .eq('name', role)
+    .maybeSingle();
+
+  return customRole?.permissions || [];
+}
+
+// Use after requireAuth: app.get('/x', requireAuth, requirePermission('...'), ...)
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.permissions?.includes(permission)) {
+      return res.status(403).json({
+        error: `Missing permission: ${permission}`,
+        permission,
+      });
+    }
+
+    next();
+  };
+}
+
+// Permissions in `permissions` the caller doesn't hold. Roles and team
+// members can only be given what the person granting them already has.
+function missingPermissions(req, permissions) {
+  return permissions.filter(permission => !req.permissions?.includes(permission));
+}
+
+/* ---------- Audit log ---------- */
+
+const AUDITED_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const AUDIT_REDACTED_KEYS = /token|secret|password/i;
+
+function redactForAudit(value) {
+  if (Array.isArray(value)) return value.map(redactForAudit);
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        AUDIT_REDACTED_KEYS.test(key) && item ? '[redacted]' : redactForAudit(item),
+      ])
+    );
+  }
+
+  return value;
+}
+
+// Changed top-level fields of the snapshotted record
+function auditChanges(before, after) {
+  if (!before || !after || typeof after !== 'object') return null;
+
+  const changes = {};
+  for (const key of Object.keys(before)) {
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      changes[key] = { from: before[key], to: after[key] };
+    }
+  }
+
+  return changes;
+}
+
+// Snapshot a row before a route changes it, so the audit entry has a diff
+async function snapshotForAudit(res, table, id, businessId, columns = '*') {
+  const { data } = await supabase
+    .from(table)
+    .select(columns)
+    .eq('id', id)
+    .eq('business_id', businessId)
+    .maybeSingle();
+
+  res.locals.auditBefore = data;
+}
+
+async function writeAuditLog(req, res) {
+  const routePath = req.route?.path || req.path;
+  const before = redactForAudit(res.locals.auditBefore ?? null);
+  const after = redactForAudit(res.locals.auditResponse ?? null);
+
+  const { error } = await supabase
+    .from('audit_logs')
+    .insert({
+      business_id: req.businessId,
+      user_id: req.user.id,
+      user_email: req.user.email,
+      role: req.role,
+      action: `${req.method} ${routePath}`,
+      entity: routePath.split('/').filter(Boolean)[0],
+      entity_id:
+        Object.values(req.params || {})[0] ||
+        (after && !Array.isArray(after) ? after.id : null) ||
+        null,
+      before,
+      after,
+      changes: auditChanges(before, after),
+      request_body: redactForAudit(req.body),
+      status_code: res.statusCode,
+      ip: req.ip,
+      user_agent: req.get('user-agent') || null,
+    });
+
+  if (error) {
+    console.error('Audit log error:', error.message);
+  }
+}
+
+// Logs every mutating request made by a signed-in user, including denied
+// ones. requireAuth runs later in the chain, so req.user is only known once
+// the response has finished.
+function auditTrail(req, res, next) {
+  if (!AUDITED_METHODS.includes(req.method)) return next();
+
+  const json = res.json.bind(res);
+  res.json = body => {
+    res.locals.auditResponse = body;
+    return json(body);
+  };
+
+  res.on('finish', () => {
+    if (!req.user || !req.businessId) return;
+    writeAuditLog(req, res);
+  });
+
+  next();
+}
+
+app.use(auditTrail);
+
 function formatAppointmentTime(utcISO, timezone) {
   return DateTime
     .fromISO(utcISO, { zone: 'UTC' })
@@ -69,9 +343,11 @@ function minutesToSlotIndex(minutes) {
   return Math.floor(minutes / SLOT_SIZE_MINUTES);
 }
 
+// Every slot the interval touches, so off-grid buffers still block a slot
 function getSlotRange(startMinutes, durationMinutes) {
   const startSlot = minutesToSlotIndex(startMinutes);
-  const slotCount = Math.ceil(durationMinutes / SLOT_SIZE_MINUTES);
+  const slotCount =
+    Math.ceil((startMinutes + durationMinutes) / SLOT_SIZE_MINUTES) - startSlot;
 
   return Array.from(
     { length: slotCount },
@@ -79,17 +355,38 @@ function getSlotRange(startMinutes, durationMinutes) {
   );
 }
 
-function buildSlotLoadMap(appointments) {
+// Local midnight → next local midnight (23h or 25h on DST change days)
+function localDayWindow(date, timezone) {
+  const start = DateTime.fromISO(date, { zone: timezone }).startOf('day');
+  return { start, end: start.plus({ days: 1 }) };
+}
+
+// Real elapsed minutes since local midnight. Slot indexes count these, so
+// a DST day simply has fewer or more slots instead of overlapping ones.
+function minutesSinceDayStart(dayStart, utcISO) {
+  return Math.round(
+    DateTime.fromISO(utcISO, { zone: 'UTC' }).diff(dayStart, 'minutes').minutes
+  );
+}
+
+// Wall-clock minutes of the business's day, as stored in slot_minutes
+function localSlotMinutes(utcISO, timezone) {
+  const local = DateTime.fromISO(utcISO, { zone: 'UTC' }).setZone(timezone);
+  return local.hour * 60 + local.minute;
+}
+
+function buildSlotLoadMap(appointments, dayStart) {
   const slotLoad = {};
 
   for (const appt of appointments) {
-    const date = new Date(appt.appointment_time);
-    const startMinutes =
-      date.getUTCHours() * 60 + date.getUTCMinutes();
+    const startMinutes = minutesSinceDayStart(dayStart, appt.appointment_time);
+    const before = appt.buffer_before_minutes || 0;
+    const after = appt.buffer_after_minutes || 0;
 
+    // Setup and cleanup buffers occupy the slot like the service itself
     const slots = getSlotRange(
-      startMinutes,
-      appt.duration_minutes
+      startMinutes - before,
+      before + appt.duration_minutes + after
     );
 
     for (const slot of slots) {
@@ -100,14 +397,24 @@ function buildSlotLoadMap(appointments) {
   return slotLoad;
 }
 
+function fitsSlotCapacity(slotLoad, startMinutes, durationMinutes, maxPerSlot, buffers) {
+  const before = buffers?.before || 0;
+  const after = buffers?.after || 0;
+
+  return getSlotRange(startMinutes - before, before + durationMinutes + after).every(
+    slot => (slotLoad[slot] || 0) < maxPerSlot
+  );
+}
+
 
 app.get('/me', requireAuth, async (req, res) => {
   try {
-    const { data: business, error } = await supabase
+    const { data: businesses, error } = await supabase
       .from('businesses')
-      .select('id, name, timezone, appointment_settings')
-      .eq('id', req.businessId)
-      .single();
+      .select('id, name, city, timezone, appointment_settings')
+      .in('id', req.memberships.map(row => row.business_id));
+
+    const business = businesses?.find(row => row.id === req.businessId);
 
     if (error || !business) {
       return res.status(404).json({ error: 'Business not found' });
@@ -118,1433 +425,8143 @@ app.get('/me', requireAuth, async (req, res) => {
         id: req.user.id,
         email: req.user.email,
         role: req.role,
+        permissions: req.permissions,
       },
       business,
+      memberships: req.memberships.map(row => {
+        const { appointment_settings, ...summary } =
+          businesses.find(item => item.id === row.business_id) || {};
+
+        return {
+          business_id: row.business_id,
+          role: row.role,
+          business: summary.id ? summary : null,
+        };
+      }),
     });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-async function sendWhatsAppMessage(phone, text) {
-  try {
-    const params = new URLSearchParams();
-    params.append('channel', 'whatsapp');
-    params.append('source', process.env.GUPSHUP_SOURCE_NUMBER);
-    params.append('destination', phone);
-    params.append(
-      'message',
-      JSON.stringify({
-        type: 'text',
-        text: text
-      })
-    );
-    params.append('src.name', process.env.GUPSHUP_APP_NAME);
+function normalizePhone(value) {
+  return String(value || '').replace(/\D/g, '');
+}
 
-    const response = await axios.post(
-      'https://api.gupshup.io/wa/api/v1/msg',
-      params.toString(),
-      {
-        headers: {
-          apikey: process.env.GUPSHUP_API_KEY,
-          'Content-Type': 'application/x-www-form-urlencoded'
-        }
-      }
-    );
+// PostgREST caps every response at its max-rows setting (1000 by default)
+const FETCH_PAGE_SIZE = 1000;
+
+// Reads a list that has to be complete page by page. `buildQuery` returns a
+// fresh, deterministically ordered query (or rpc call) for each page.
+// Returns { data } or { error }.
+async function fetchAllRows(buildQuery) {
+  const rows = [];
+
+  for (let from = 0; ; from += FETCH_PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + FETCH_PAGE_SIZE - 1);
 
+    if (error) return { error };
+
+    rows.push(...data);
+    if (data.length < FETCH_PAGE_SIZE) return { data: rows };
+  }
+}
+
+// Columns needed to send WhatsApp messages on behalf of a business
+const BUSINESS_SENDER_COLUMNS =
+  'id, whatsapp_number, gupshup_source_number, gupshup_app_name, messaging_provider, provider_config';
+
+// `message` is either plain text or an outbound message object; the
+// business's messaging provider decides how it goes out
+async function sendWhatsAppMessage(phone, message, business) {
+  const provider = getMessagingProvider(business);
+
+  if (!provider) {
+    console.error(`Unknown messaging provider for business ${business?.id}`);
     return {
-      status: response.data?.status || 'submitted'
+      status: 'failed',
+      error: 'Unknown messaging provider'
     };
+  }
+
+  try {
+    return await provider.send(
+      business,
+      phone,
+      typeof message === 'string' ? { type: 'text', text: message } : message
+    );
   } catch (error) {
-    console.error('Gupshup send error:', error.response?.data || error.message);
+    console.error(
+      `${provider.name} send error:`,
+      error.response?.data || error.message
+    );
     return {
-      status: 'failed'
+      status: 'failed',
+      error:
+        error.response?.data?.error?.message ||
+        error.response?.data?.message ||
+        error.message
     };
   }
 }
 
-async function sendAndLogSystemMessage({
-  customerId,
-  phone,
-  businessTimezone,
-  content,
-}) {
-  // 1️⃣ Insert into messages table
-  const { data: message, error } = await supabase
-    .from('messages')
-    .insert({
-      customer_id: customerId,
-      direction: 'out',
-      content,
-      status: 'sent',
-      message_type: 'system',
-    })
-    .select()
-    .single();
+// Outbound lifecycle. Provider callbacks can arrive out of order, so a
+// message only moves forward; `failed` can still be overtaken by a later
+// successful retry.
+const MESSAGE_STATUS_RANK = {
+  pending: 0,
+  retrying: 0,
+  submitted: 1,
+  enqueued: 1,
+  sent: 2,
+  delivered: 3,
+  read: 4,
+};
+
+const MESSAGE_STATUS_TIMESTAMPS = {
+  sent: 'sent_at',
+  delivered: 'delivered_at',
+  read: 'read_at',
+};
+
+function buildMessageStatusUpdate(message, status, at, reason) {
+  if (status === 'failed') {
+    if ((MESSAGE_STATUS_RANK[message.status] ?? 0) >= MESSAGE_STATUS_RANK.delivered) {
+      return null;
+    }
 
-  if (error) {
-    console.error('Failed to log system message:', error.message);
-    // still attempt WhatsApp send
+    return {
+      status: 'failed',
+      failed_at: at,
+      error: reason || 'Delivery failed',
+    };
   }
 
-  // 2️⃣ Send WhatsApp message
-  await sendWhatsAppMessage(phone, content);
+  const rank = MESSAGE_STATUS_RANK[status];
+  if (rank === undefined) return null;
+
+  const updates = {};
+
+  // Backfill earlier milestones the provider skipped (read implies delivered)
+  for (const [milestone, column] of Object.entries(MESSAGE_STATUS_TIMESTAMPS)) {
+    if (MESSAGE_STATUS_RANK[milestone] <= rank && !message[column]) {
+      updates[column] = at;
+    }
+  }
+
+  if (
+    message.status === 'failed' ||
+    rank > (MESSAGE_STATUS_RANK[message.status] ?? 0)
+  ) {
+    updates.status = status;
+  }
 
-  return message;
+  return Object.keys(updates).length ? updates : null;
 }
 
+// With `businessId`, only that business's messages can be updated
+async function applyMessageStatus({ providerMessageId, status, at, reason }, businessId) {
+  let query = supabase
+    .from('messages')
+    .select('id, status, sent_at, delivered_at, read_at, customers!inner ( business_id )')
+    .eq('provider_message_id', providerMessageId);
 
-// test route
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok' });
-});
+  if (businessId) query = query.eq('customers.business_id', businessId);
 
-app.post('/businesses', async (req, res) => {
-  const { name, city, whatsapp_number } = req.body;
+  const { data: message, error } = await query.maybeSingle();
 
-  if (!name || !whatsapp_number) {
-    return res.status(400).json({
-      error: 'name and whatsapp_number are required'
-    });
+  if (error) throw error;
+  if (!message) return false;
+
+  const updates = buildMessageStatusUpdate(message, status, at, reason);
+  if (!updates) return true;
+
+  const { error: updateError } = await supabase
+    .from('messages')
+    .update(updates)
+    .eq('id', message.id);
+
+  if (updateError) throw updateError;
+
+  return true;
+}
+
+// Persist the outcome of a provider send on an already-logged message
+// `blocked` sends never reached the provider and are not retried
+async function recordSendResult(messageId, sendResult, retryCount) {
+  let updates;
+
+  if (sendResult.status === 'blocked') {
+    updates = {
+      status: 'blocked',
+      error: sendResult.error,
+      failed_at: new Date().toISOString(),
+    };
+  } else if (sendResult.status === 'failed') {
+    updates = {
+      status: 'failed',
+      error: sendResult.error || 'Send failed',
+      failed_at: new Date().toISOString(),
+      ...(retryCount !== undefined && { retry_count: retryCount }),
+    };
+  } else {
+    updates = {
+      status: 'submitted',
+      provider_message_id: sendResult.messageId,
+      error: null,
+    };
   }
 
-  const { data, error } = await supabase
-    .from('businesses')
-    .insert([
-      { name, city, whatsapp_number }
-    ])
-    .select()
-    .single();
+  const { error } = await supabase
+    .from('messages')
+    .update(updates)
+    .eq('id', messageId);
 
   if (error) {
-    return res.status(500).json({ error: error.message });
+    console.error('Failed to record send result:', error.message);
   }
 
-  res.json(data);
-});
+  return updates.status;
+}
 
-app.post('/webhook/whatsapp', async (req, res) => {
-  try {
-    const eventType = req.body?.type;
+// WhatsApp-style ticks for outbound messages
+function messageTicks(message) {
+  if (message.direction !== 'out') return null;
+
+  switch (message.status) {
+    case 'read':
+      return 'double_blue';
+    case 'delivered':
+      return 'double';
+    case 'sent':
+      return 'single';
+    case 'failed':
+    case 'blocked':
+      return 'failed';
+    default:
+      return 'pending';
+  }
+}
 
-    // Only process incoming messages
-    if (eventType !== 'message') {
-      return res.sendStatus(200);
-    }
+// Replaces {{name}} placeholders; unknown names are left as-is
+function fillPlaceholders(text, variables) {
+  return String(text || '').replace(
+    /\{\{\s*(\w+)\s*\}\}/g,
+    (match, key) => variables[key] ?? match
+  );
+}
 
-    const payload = req.body.payload;
+// Approved templates use positional {{1}}, {{2}}… parameters
+function countTemplateParams(body) {
+  const positions = [...String(body || '').matchAll(/\{\{(\d+)\}\}/g)]
+    .map(match => Number(match[1]));
 
-    const phone = payload?.sender?.phone;
-    const text = payload?.payload?.text;
+  return positions.length ? Math.max(...positions) : 0;
+}
 
-    if (!phone || !text) {
-      console.log('Ignored webhook (no text / phone)');
-      return res.sendStatus(200);
-    }
+function buildTemplateMessage(template, params = []) {
+  const values = params.map(String);
+
+  return {
+    type: 'template',
+    template_id: template.id,
+    provider_template_id: template.provider_template_id,
+    name: template.name,
+    language: template.language,
+    params: values,
+    text: String(template.body).replace(
+      /\{\{(\d+)\}\}/g,
+      (match, n) => values[n - 1] ?? match
+    ),
+  };
+}
+
+async function loadMessageTemplate(businessId, templateId) {
+  const { data, error } = await supabase
+    .from('message_templates')
+    .select('*')
+    .eq('id', templateId)
+    .eq('business_id', businessId)
+    .eq('is_active', true)
+    .maybeSingle();
 
-    console.log(`📩 Incoming WhatsApp from ${phone}: ${text}`);
+  if (error) throw error;
 
-    // 1️⃣ Get business (TEMP: first business)
-    const { data: business, error: bizError } = await supabase
-      .from('businesses')
-      .select('*')
-      .limit(1)
-      .single();
+  return data;
+}
 
-    if (bizError || !business) {
-      console.error('No business found');
-      return res.sendStatus(200);
-    }
+function normalizeButtons(buttons) {
+  return buttons.map((button, idx) =>
+    typeof button === 'string'
+      ? { id: `option_${idx + 1}`, title: button }
+      : { id: String(button.id || `option_${idx + 1}`), title: button.title }
+  );
+}
 
-    // 2️⃣ Find or create customer
-    let { data: customer } = await supabase
-      .from('customers')
-      .select('*')
-      .eq('phone', phone)
-      .eq('business_id', business.id)
-      .single();
+// Validates an API payload into an outbound message object.
+// Returns { message } or { error }.
+async function buildOutboundMessage(businessId, input) {
+  const type = input.type || 'text';
+
+  switch (type) {
+    case 'text':
+      if (!input.text) return { error: 'text is required' };
+      return { message: { type: 'text', text: input.text } };
+
+    case 'image':
+    case 'document':
+      if (!input.media_url) return { error: 'media_url is required' };
+      return {
+        message: {
+          type,
+          url: input.media_url,
+          caption: input.caption || null,
+          filename: input.filename || null,
+        },
+      };
 
-    if (!customer) {
-      const { data: newCustomer } = await supabase
-        .from('customers')
-        .insert([
-          {
-            business_id: business.id,
-            phone
-          }
-        ])
-        .select()
-        .single();
+    case 'quick_reply': {
+      const { text, buttons } = input;
 
-      customer = newCustomer;
+      if (!text || !Array.isArray(buttons) || buttons.length === 0 || buttons.length > 3) {
+        return { error: 'text and 1-3 buttons are required' };
+      }
+
+      const normalized = normalizeButtons(buttons);
+      if (normalized.some(button => !button.title)) {
+        return { error: 'Every button needs a title' };
+      }
+
+      return {
+        message: { type, text, header: input.header || null, buttons: normalized },
+      };
     }
 
-    // 3️⃣ Save incoming message
-    await supabase.from('messages').insert([
-      {
-        customer_id: customer.id,
-        direction: 'in',
-        content: text
+    case 'list': {
+      const { text, button_label, sections } = input;
+
+      if (!text || !button_label || !Array.isArray(sections) || sections.length === 0) {
+        return { error: 'text, button_label and sections[] are required' };
       }
-    ]);
 
-    console.log('✅ Message stored successfully');
+      const normalizedSections = sections.map(section => ({
+        title: section.title || '',
+        rows: Array.isArray(section.rows)
+          ? normalizeButtons(section.rows).map((row, idx) => ({
+            ...row,
+            description: section.rows[idx].description || null,
+          }))
+          : [],
+      }));
+
+      const rowCount = normalizedSections.reduce((sum, s) => sum + s.rows.length, 0);
+      if (rowCount === 0 || rowCount > 10) {
+        return { error: 'A list needs between 1 and 10 rows' };
+      }
 
-    res.sendStatus(200);
-  } catch (err) {
-    console.error('Webhook processing error:', err);
-    res.sendStatus(200); // always 200 for WhatsApp
-  }
-});
+      return {
+        message: {
+          type,
+          text,
+          header: input.header || null,
+          button_label,
+          sections: normalizedSections,
+        },
+      };
+    }
 
-app.get('/customers', requireAuth, async (req, res) => {
-  const businessId = req.businessId;
+    case 'template': {
+      if (!input.template_id) return { error: 'template_id is required' };
 
-  const { data, error } = await supabase.rpc(
-    'get_customers_with_last_message',
-    {
-      business_uuid: businessId,
-      user_uuid: req.user.id,
+      const template = await loadMessageTemplate(businessId, input.template_id);
+      if (!template) return { error: 'Template not found' };
+
+      const params = Array.isArray(input.params) ? input.params : [];
+      if (params.length !== countTemplateParams(template.body)) {
+        return {
+          error: `Template expects ${countTemplateParams(template.body)} params`,
+        };
+      }
+
+      return { message: buildTemplateMessage(template, params) };
     }
-  );
 
+    default:
+      return { error: `Unsupported message type: ${type}` };
+  }
+}
 
-  if (error) {
-    return res.status(500).json({ error: error.message });
+// `messages` columns describing an outbound message. Non-text messages keep
+// the full object in data.outbound so they can be retried as sent.
+function outboundMessageColumns(message) {
+  switch (message.type) {
+    case 'text':
+      return { message_type: 'text', content: message.text };
+
+    case 'image':
+    case 'document':
+      return {
+        message_type: message.type,
+        content:
+          message.caption || message.filename || MEDIA_PLACEHOLDERS[message.type],
+        media_url: message.url,
+        media_caption: message.caption,
+        media_filename: message.filename,
+        data: { outbound: message },
+      };
+
+    case 'template':
+      return {
+        message_type: 'template',
+        content: message.text,
+        data: { outbound: message },
+      };
+
+    default:
+      return {
+        message_type: 'interactive',
+        content: message.text,
+        data: { outbound: message },
+      };
   }
-  console.log('AUTH HEADER:', req.headers.authorization);
-  res.json(data);
-});
+}
 
+function outboundMessageFromRow(row) {
+  return row.data?.outbound || { type: 'text', text: row.content };
+}
 
-app.get('/customers/:id/messages', requireAuth, async (req, res) => {
-  const { id } = req.params;
-  const businessId = req.businessId;
-
-  // First: verify customer belongs to this business
-  const { data: customer, error: customerError } = await supabase
-    .from('customers')
-    .select('id')
-    .eq('id', id)
-    .eq('business_id', businessId)
-    .single();
+// WhatsApp only accepts free-form messages within 24h of the customer's
+// last inbound message; outside it only approved templates go through
+const SESSION_WINDOW_HOURS = 24;
 
-  if (customerError || !customer) {
-    return res.status(404).json({ error: 'Customer not found' });
+function sessionWindowFrom(lastInboundAt) {
+  if (!lastInboundAt) {
+    return { open: false, expires_at: null };
   }
 
-  // Then: fetch messages
+  const expiresAt = DateTime.fromISO(lastInboundAt, { zone: 'UTC' })
+    .plus({ hours: SESSION_WINDOW_HOURS });
+
+  return expiresAt > DateTime.now()
+    ? { open: true, expires_at: expiresAt.toISO() }
+    : { open: false, expires_at: null };
+}
+
+async function getSessionWindow(customerId) {
   const { data, error } = await supabase
     .from('messages')
-    .select('*')
-    .eq('customer_id', id)
-    .order('created_at');
+    .select('created_at')
+    .eq('customer_id', customerId)
+    .eq('direction', 'in')
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
 
-  if (error) {
-    return res.status(500).json({ error: error.message });
+  if (error) throw error;
+
+  return sessionWindowFrom(data?.created_at);
+}
+
+// Batch variant for customer lists: only inbound rows inside the window matter
+async function getSessionWindows(customerIds) {
+  const windows = {};
+  if (customerIds.length === 0) return windows;
+
+  const since = DateTime.now()
+    .minus({ hours: SESSION_WINDOW_HOURS })
+    .toUTC()
+    .toISO();
+
+  const { data, error } = await supabase
+    .from('messages')
+    .select('customer_id, created_at')
+    .in('customer_id', customerIds)
+    .eq('direction', 'in')
+    .gte('created_at', since)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+
+  for (const row of data) {
+    if (!windows[row.customer_id]) {
+      windows[row.customer_id] = sessionWindowFrom(row.created_at);
+    }
   }
 
-  res.json(data);
-});
+  for (const id of customerIds) {
+    windows[id] = windows[id] || sessionWindowFrom(null);
+  }
+
+  return windows;
+}
 
-app.get('/services', requireAuth, async (req, res) => {
+// Template used for automated sends once the session window has closed:
+// one registered for the message's purpose, else the generic `fallback`
+async function findFallbackTemplate(businessId, purpose) {
   const { data, error } = await supabase
-    .from('services')
+    .from('message_templates')
     .select('*')
-    .eq('business_id', req.businessId)
+    .eq('business_id', businessId)
     .eq('is_active', true)
-    .order('created_at');
+    .in('purpose', [purpose, 'fallback'].filter(Boolean));
 
-  if (error) return res.status(500).json({ error: error.message });
-  res.json(data);
-});
+  if (error) throw error;
 
-app.post('/services', requireAuth, async (req, res) => {
-  if (req.role !== 'owner') {
-    return res.status(403).json({ error: 'Only owner can add services' });
-  }
+  return (
+    data.find(template => template.purpose === purpose) ||
+    data.find(template => template.purpose === 'fallback') ||
+    null
+  );
+}
 
-  const { name, duration_minutes } = req.body;
+// Outside the session window, free text is swapped for the template
+// registered for its purpose. Returns { message, blocked? }, where
+// `blocked` is the reason nothing may be sent.
+async function applySessionWindow({ business, customerId, message, purpose, variables = {} }) {
+  if (message.type === 'template') return { message };
 
-  if (!name || !duration_minutes) {
-    return res.status(400).json({ error: 'Invalid payload' });
+  try {
+    const window = await getSessionWindow(customerId);
+    if (window.open) return { message };
+
+    const template = await findFallbackTemplate(business.id, purpose);
+
+    if (!template) {
+      return {
+        message,
+        blocked: 'Customer service window closed and no fallback template configured',
+      };
+    }
+
+    return {
+      message: buildTemplateMessage(
+        template,
+        (template.default_params || []).map(param =>
+          fillPlaceholders(param, variables)
+        )
+      ),
+    };
+  } catch (err) {
+    // Let the provider decide rather than dropping the message
+    console.error('Session window check failed:', err.message);
+    return { message };
   }
+}
 
-  const { data, error } = await supabase
-    .from('services')
-    .insert({
-      business_id: req.businessId,
-      name,
-      duration_minutes,
-    })
-    .select()
-    .single();
+// Columns for an automated message; purpose and variables are kept so a
+// retry can still fall back to the template
+function systemMessageColumns(message, purpose, variables) {
+  const columns = outboundMessageColumns(message);
 
-  if (error) return res.status(500).json({ error: error.message });
-  res.json(data);
-});
+  return {
+    ...columns,
+    message_type: message.type === 'text' ? 'system' : columns.message_type,
+    ...(purpose && { data: { ...columns.data, purpose, variables } }),
+  };
+}
 
-app.patch('/services/:id', requireAuth, async (req, res) => {
-  const { id } = req.params;
-  const { name, duration_minutes, is_active } = req.body;
+async function sendAndLogSystemMessage({
+  business,
+  customerId,
+  phone,
+  businessTimezone,
+  content,
+  message: outbound,
+  purpose,
+  variables = {},
+}) {
+  const { message, blocked } = await applySessionWindow({
+    business,
+    customerId,
+    message: outbound || { type: 'text', text: content },
+    purpose,
+    variables,
+  });
 
-  const { data, error } = await supabase
-    .from('services')
-    .update({
-      ...(name && { name }),
-      ...(duration_minutes && { duration_minutes }),
-      ...(typeof is_active === 'boolean' && { is_active }),
+  // 1️⃣ Insert into messages table
+  const { data: logged, error } = await supabase
+    .from('messages')
+    .insert({
+      customer_id: customerId,
+      direction: 'out',
+      status: 'pending',
+      ...systemMessageColumns(message, purpose, variables),
     })
-    .eq('id', id)
-    .eq('business_id', req.businessId)
     .select()
     .single();
 
   if (error) {
-    return res.status(500).json({ error: error.message });
+    console.error('Failed to log system message:', error.message);
+    // still attempt WhatsApp send
   }
 
-  res.json(data);
-});
-
-
-app.post('/appointments', requireAuth, async (req, res) => {
-  try {
-    console.log("CREATE APPOINTMENT payload:", req.body);
+  // 2️⃣ Send WhatsApp message
+  const sendResult = blocked
+    ? { status: 'blocked', error: blocked }
+    : await sendWhatsAppMessage(phone, message, business);
 
-    const businessId = req.businessId;
+  if (blocked) {
+    console.warn(`Skipped send to customer ${customerId}: ${blocked}`);
+  }
 
-    const {
-      phone,
-      name,
-      services,
-      appointment_utc_time,
-      combo_id,
-    } = req.body;
+  if (!logged) {
+    return {
+      status: ['failed', 'blocked'].includes(sendResult.status)
+        ? sendResult.status
+        : 'submitted',
+    };
+  }
 
-    if (
-      !phone ||
-      !appointment_utc_time ||
-      !Array.isArray(services) ||
-      services.length === 0
-    ) {
-      return res.status(400).json({ error: 'Invalid appointment payload' });
-    }
+  logged.status = await recordSendResult(logged.id, sendResult, 1);
 
-    const totalDurationMinutes = services.reduce(
-      (sum, s) => sum + Number(s.duration_minutes || 0),
-      0
-    );
+  return logged;
+}
 
-    if (totalDurationMinutes <= 0) {
-      return res.status(400).json({ error: 'Invalid service durations' });
-    }
 
+// test route
+app.get('/health', (req, res) => {
+  res.json({ status: 'ok' });
+});
 
-    /* --------------------------------------------------
-       1️⃣ Find or create customer
-    -------------------------------------------------- */
+// Counters are per process and start over on restart; `since` says when
+app.get('/webhook-stats', requireAuth, requirePermission('settings.manage'), (req, res) => {
+  res.json(webhookStats);
+});
 
-    let { data: customer } = await supabase
-      .from('customers')
-      .select('*')
-      .eq('business_id', businessId)
-      .eq('phone', phone)
-      .single();
+/* ---------- Onboarding ---------- */
+
+const DEFAULT_APPOINTMENT_SETTINGS = {
+  reminder_24h: true,
+  reminder_2h: false,
+  no_show_grace_minutes: 30,
+  max_appointments_per_slot: 1,
+  chatbot_enabled: false,
+};
+
+// PATCH /businesses/settings/appointments toggles these by rule_type
+const DEFAULT_AUTOMATION_RULES = [
+  {
+    rule_type: 'reminder_24h',
+    offset_minutes: 24 * 60,
+    message_template:
+      'Reminder: your {{service}} appointment is tomorrow at {{appointment_time}}.',
+  },
+  {
+    rule_type: 'reminder_2h',
+    offset_minutes: 2 * 60,
+    message_template:
+      'Reminder: your {{service}} appointment is at {{appointment_time}}, see you soon!',
+  },
+];
+
+const DEFAULT_STARTER_SERVICES = [
+  { name: 'Consultation', duration_minutes: 30 },
+];
+
+function isValidTimezone(timezone) {
+  return (
+    typeof timezone === 'string' &&
+    DateTime.now().setZone(timezone).isValid
+  );
+}
 
-    if (!customer) {
-      const { data: created, error } = await supabase
-        .from('customers')
-        .insert({
-          business_id: businessId,
-          phone,
-          name: name || null,
-        })
-        .select()
-        .single();
+// Each step only fills in what's missing, so it is safe to re-run
+async function seedBusinessDefaults(business, starterServices) {
+  // 1️⃣ Settings: keep anything already configured
+  const settings = {
+    ...DEFAULT_APPOINTMENT_SETTINGS,
+    ...business.appointment_settings,
+  };
 
-      if (error) {
-        return res.status(500).json({ error: error.message });
-      }
+  const { error: settingsError } = await supabase
+    .from('businesses')
+    .update({ appointment_settings: settings })
+    .eq('id', business.id);
 
-      customer = created;
-    } else if (!customer.name && name) {
-      // backfill name if missing
-      await supabase
-        .from('customers')
-        .update({ name })
-        .eq('id', customer.id);
-    }
+  if (settingsError) return { status: 500, error: settingsError.message };
 
-    /* --------------------------------------------------
-       2️⃣ Calculate slot minutes (UTC)
-    -------------------------------------------------- */
+  // 2️⃣ Reminder rules, enabled to match the settings
+  const { data: existingRules, error: rulesError } = await supabase
+    .from('automation_rules')
+    .select('rule_type')
+    .eq('business_id', business.id);
+
+  if (rulesError) return { status: 500, error: rulesError.message };
+
+  const existingTypes = new Set(existingRules.map(rule => rule.rule_type));
+  const missingRules = DEFAULT_AUTOMATION_RULES
+    .filter(rule => !existingTypes.has(rule.rule_type))
+    .map(rule => ({
+      ...rule,
+      business_id: business.id,
+      enabled: settings[rule.rule_type] === true,
+    }));
 
-    const appointmentDate = new Date(appointment_utc_time);
-    const slot_minutes =
-      appointmentDate.getUTCHours() * 60 +
-      appointmentDate.getUTCMinutes();
+  if (missingRules.length) {
+    const { error } = await supabase.from('automation_rules').insert(missingRules);
+    if (error) return { status: 500, error: error.message };
+  }
 
-    /* --------------------------------------------------
-       3️⃣ Fetch business appointment settings
-    -------------------------------------------------- */
+  // 3️⃣ Starter services, only into an empty catalog
+  const { count, error: countError } = await supabase
+    .from('services')
+    .select('id', { count: 'exact', head: true })
+    .eq('business_id', business.id);
+
+  if (countError) return { status: 500, error: countError.message };
+
+  if (!count) {
+    const { error } = await supabase.from('services').insert(
+      starterServices.map(service => ({
+        business_id: business.id,
+        name: service.name,
+        duration_minutes: service.duration_minutes,
+      }))
+    );
 
-    const { data: business, error: bizError } = await supabase
-      .from('businesses')
-      .select('appointment_settings, timezone')
-      .eq('id', businessId)
-      .single();
+    if (error) return { status: 500, error: error.message };
+  }
 
-    if (bizError) {
-      return res.status(500).json({ error: bizError.message });
-    }
+  return {};
+}
 
-    const maxPerSlot =
-      business?.appointment_settings?.max_appointments_per_slot ?? 1;
+// The caller becomes the owner. Retrying with the same whatsapp_number
+// returns the same business, including one left unlinked by a failed
+// attempt (matched on businesses.created_by).
+app.post('/businesses', async (req, res) => {
+  const { user, status, error: authError } = await authenticateUser(req);
+  if (authError) {
+    return res.status(status).json({ error: authError });
+  }
 
-    /* --------------------------------------------------
-       4️⃣ Enforce slot capacity
-    -------------------------------------------------- */
+  const {
+    name,
+    city,
+    whatsapp_number,
+    timezone,
+    services = DEFAULT_STARTER_SERVICES,
+  } = req.body;
 
-    
-    // Fetch existing appointments for the day
-  const dayStart = appointment_utc_time.slice(0, 10) + 'T00:00:00Z';
-const dayEnd   = appointment_utc_time.slice(0, 10) + 'T23:59:59Z';
-
-const { data: existingAppointments, error: fetchError } = await supabase
-  .from('appointments')
-  .select('appointment_time, duration_minutes')
-  .eq('business_id', businessId)
-  .eq('status', 'scheduled')
-  .gte('appointment_time', dayStart)
-  .lte('appointment_time', dayEnd);
-
-if (fetchError) {
-  return res.status(500).json({ error: fetchError.message });
-}
-    // Build slot load
-    const slotLoad = buildSlotLoadMap(existingAppointments);
-
-    // 3️⃣ Check required slots for this appointment
-const startSlotIndex = Math.floor(slot_minutes / SLOT_SIZE_MINUTES);
-const requiredSlots = Math.ceil(
-  totalDurationMinutes / SLOT_SIZE_MINUTES
-);
+  if (!name || !whatsapp_number || !timezone) {
+    return res.status(400).json({
+      error: 'name, whatsapp_number and timezone are required'
+    });
+  }
 
-for (let i = 0; i < requiredSlots; i++) {
-  const slotIndex = startSlotIndex + i;
-  const load = slotLoad[slotIndex] || 0;
+  if (!isValidTimezone(timezone)) {
+    return res.status(400).json({ error: 'timezone must be an IANA zone, e.g. Asia/Kolkata' });
+  }
 
-  if (load >= maxPerSlot) {
-    return res.status(409).json({
-      error: 'Selected time slot is fully booked',
+  if (
+    !Array.isArray(services) ||
+    services.some(service =>
+      !service?.name ||
+      !Number.isInteger(service.duration_minutes) ||
+      service.duration_minutes <= 0
+    )
+  ) {
+    return res.status(400).json({
+      error: 'services must be a list of { name, duration_minutes }'
     });
   }
-}
 
-    /* --------------------------------------------------
-       5️⃣ Create appointment
-    -------------------------------------------------- */
+  // 1️⃣ Reuse a business from an earlier attempt
+  let { data: business, error: lookupError } = await supabase
+    .from('businesses')
+    .select('*')
+    .eq('created_by', user.id)
+    .eq('whatsapp_number', normalizePhone(whatsapp_number))
+    .maybeSingle();
 
-    const { data: appointment, error: insertError } = await supabase
-      .from('appointments')
-      .insert({
-        business_id: businessId,
-        customer_id: customer.id,
-        appointment_time: appointment_utc_time,
-        slot_minutes,
-        duration_minutes: totalDurationMinutes,
-        status: 'scheduled',
-        combo_id: combo_id ?? null,
-      })
-      .select()
-      .single();
+  if (lookupError) return res.status(500).json({ error: lookupError.message });
 
+  // 2️⃣ Otherwise create it, unless the number routes to another business
+  if (!business) {
+    const { data: taken, error: takenError } = await supabase
+      .from('businesses')
+      .select('id')
+      .eq('whatsapp_number', normalizePhone(whatsapp_number))
+      .limit(1);
 
-    if (insertError) {
-      return res.status(500).json({ error: insertError.message });
+    if (takenError) {
+      return res.status(500).json({ error: takenError.message });
     }
 
-    const appointmentServices = services.map(s => ({
-      appointment_id: appointment.id,
-      service_id: s.service_id,
-      duration_minutes: s.duration_minutes,
-    }));
-
-    const { error: serviceError } = await supabase
-      .from('appointment_services')
-      .insert(appointmentServices);
+    if (taken.length) {
+      return res.status(409).json({
+        error: 'whatsapp_number is already registered to another business'
+      });
+    }
 
-    if (serviceError) {
-      // rollback appointment
-      await supabase
-        .from('appointments')
-        .delete()
-        .eq('id', appointment.id);
+    const { data, error } = await supabase
+      .from('businesses')
+      .insert([
+        {
+          name,
+          city,
+          timezone,
+          whatsapp_number: normalizePhone(whatsapp_number),
+          created_by: user.id,
+        }
+      ])
+      .select()
+      .single();
 
-      return res.status(500).json({ error: serviceError.message });
+    if (error) {
+      return res.status(500).json({ error: error.message });
     }
 
+    business = data;
+  }
 
-    // 📩 Send WhatsApp confirmation
-    const formattedTime = formatAppointmentTime(
-      appointment.appointment_time,
-      business.timezone || 'UTC'
-    );
+  // 3️⃣ Link the caller as owner
+  const { data: membership, error: membershipError } = await supabase
+    .from('business_users')
+    .select('role')
+    .eq('business_id', business.id)
+    .eq('user_id', user.id)
+    .maybeSingle();
 
-    const message = `
-✅ Your appointment is confirmed.
+  if (membershipError) {
+    return res.status(500).json({ error: membershipError.message });
+  }
 
-🛎 Services: ${services.length} service(s)
-📅 Date & Time: ${formattedTime}
+  if (membership && membership.role !== 'owner') {
+    return res.status(409).json({ error: 'Business was already set up by its owner' });
+  }
 
-Reply here if you need to reschedule.
-`.trim();
+  if (!membership) {
+    const { error } = await supabase
+      .from('business_users')
+      .insert({
+        business_id: business.id,
+        user_id: user.id,
+        role: 'owner',
+        last_active_at: new Date().toISOString(),
+      });
 
-    await sendAndLogSystemMessage({
-      customerId: customer.id,
-      phone: customer.phone,
-      businessTimezone: business.timezone,
-      content: message,
-    });
+    if (error) return res.status(500).json({ error: error.message });
+  }
 
+  // 4️⃣ Settings, reminder rules and starter services
+  const seeded = await seedBusinessDefaults(business, services);
+  if (seeded.error) {
+    return res.status(seeded.status).json({ error: seeded.error });
+  }
 
-    ////
-    if (insertError) {
-      return res.status(500).json({ error: insertError.message });
-    }
+  const { data, error } = await supabase
+    .from('businesses')
+    .select()
+    .eq('id', business.id)
+    .single();
 
-    res.json(appointment);
-  } catch (err) {
-    console.error('Create appointment error:', err);
-    res.status(500).json({ error: 'Internal server error' });
+  if (error) {
+    return res.status(500).json({ error: error.message });
   }
+
+  req.user = user;
+  req.businessId = business.id;
+  req.role = 'owner';
+
+  res.json(data);
 });
 
+// Webhook delivery counters since process start, exposed on /webhook-stats
+const webhookStats = {
+  since: new Date().toISOString(),
+  received: 0,
+  stored: 0,
+  ignored: 0,
+  rejected: 0,
+  duplicate: 0,
+  unrouted: 0,
+  status_updates: 0,
+};
+
+function countWebhook(outcome) {
+  webhookStats[outcome] += 1;
+}
 
-app.post('/conversations/read', requireAuth, async (req, res) => {
-  const { customer_id } = req.body;
+function safeCompare(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
 
-  if (!customer_id) {
-    return res.status(400).json({ error: 'customer_id is required' });
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Gupshup doesn't sign callbacks, so we accept either an HMAC-SHA256
+// signature of the raw body or the shared secret itself (header or
+// ?token= on the callback URL)
+function verifyGupshupWebhook(req) {
+  const secret = process.env.WHATSAPP_WEBHOOK_SECRET;
+
+  if (!secret) {
+    console.error('WHATSAPP_WEBHOOK_SECRET is not configured');
+    return false;
   }
 
-  try {
-    const { error } = await supabase
-      .from('conversation_reads')
-      .upsert(
-        {
-          business_id: req.businessId,
-          customer_id,
-          user_id: req.user.id,
-          last_read_at: new Date().toISOString(),
-        },
-        {
-          onConflict: 'business_id,customer_id,user_id',
-        }
-      );
-
-    if (error) {
-      return res.status(500).json({ error: error.message });
-    }
+  const signature = req.headers['x-hub-signature-256'];
+  if (signature) {
+    const expected =
+      'sha256=' +
+      crypto
+        .createHmac('sha256', secret)
+        .update(req.rawBody || '')
+        .digest('hex');
 
-    res.json({ success: true });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+    return safeCompare(signature, expected);
   }
-});
 
+  const provided = req.headers['x-webhook-secret'] || req.query.token;
 
-app.get('/appointments/upcoming', requireAuth, async (req, res) => {
-  const businessId = req.businessId;
+  return Boolean(provided) && safeCompare(provided, secret);
+}
 
-  const now = new Date().toISOString();
+function contactsColumns(contacts = []) {
+  return {
+    message_type: 'contacts',
+    content: `👤 ${contacts
+      .map(c => c.name?.formatted_name)
+      .filter(Boolean)
+      .join(', ') || 'Contact'}`,
+    data: { contacts },
+  };
+}
 
-  const { data, error } = await supabase
-    .from('appointments')
-    .select(`
-  id,
-  appointment_time,
-  status,
-  combo_id,
-  service_combos (
-    id,
-    name
-  ),
-  appointment_services (
-    service_id,
-    services (
-      id,
-      name
-    )
-  )
-`)
+const MEDIA_PLACEHOLDERS = {
+  image: '📷 Photo',
+  video: '🎥 Video',
+  audio: '🎤 Voice message',
+  sticker: '🏷 Sticker',
+  document: '📄 Document',
+};
+
+// Maps a Gupshup inbound payload onto `messages` columns. Unknown types
+// are kept as `unsupported` with the raw payload rather than dropped.
+function parseGupshupMessage(payload) {
+  const type = payload?.type;
+  const body = payload?.payload || {};
+
+  switch (type) {
+    case 'text':
+      return {
+        message_type: 'text',
+        content: body.text,
+      };
+
+    case 'image':
+    case 'video':
+    case 'audio':
+    case 'sticker':
+    case 'file': {
+      const messageType = type === 'file' ? 'document' : type;
+
+      return {
+        message_type: messageType,
+        content: body.caption || body.name || MEDIA_PLACEHOLDERS[messageType],
+        media_url: body.url || null,
+        media_mime_type: body.contentType || null,
+        media_caption: body.caption || null,
+        media_filename: body.name || null,
+      };
+    }
 
+    case 'location':
+      return {
+        message_type: 'location',
+        content: body.name || body.address || '📍 Location',
+        data: {
+          latitude: Number(body.latitude),
+          longitude: Number(body.longitude),
+          name: body.name || null,
+          address: body.address || null,
+        },
+      };
+
+    case 'contact':
+      return contactsColumns(body.contacts);
+
+    case 'quick_reply':
+    case 'button_reply':
+    case 'list_reply':
+      return {
+        message_type: 'interactive',
+        content: body.title || body.text || body.reply || '',
+        data: {
+          reply_type: type,
+          id: body.id || body.postbackText || null,
+          title: body.title || body.text || null,
+          description: body.description || null,
+          postback: body.postbackText || body.reply || null,
+        },
+      };
+
+    default:
+      return {
+        message_type: 'unsupported',
+        content: `Unsupported message (${type || 'unknown'})`,
+        data: { raw: payload },
+      };
+  }
+}
 
+// Shape a `messages` row for the dashboard
+function formatMessageForClient(message) {
+  const data = message.data || {};
+
+  return {
+    ...message,
+    message_type: message.message_type || 'text',
+    ticks: messageTicks(message),
+    media: message.media_url
+      ? {
+        url: message.media_url,
+        mime_type: message.media_mime_type,
+        caption: message.media_caption,
+        filename: message.media_filename,
+      }
+      : null,
+    location: message.message_type === 'location' ? data : null,
+    interactive:
+      message.message_type === 'interactive'
+        ? (message.direction === 'out' ? data.outbound : data)
+        : null,
+    template: message.message_type === 'template' ? data.outbound : null,
+    contacts: message.message_type === 'contacts' ? data.contacts : null,
+  };
+}
 
-    .eq('business_id', businessId)
-    .eq('status', 'scheduled')
-    .gte('appointment_time', now)
-    .order('appointment_time', { ascending: true })
-    .is('archived_at', null);
+/* --------------------------------------------------
+   Messaging providers
 
+   Every adapter implements:
+     send(business, phone, message)  → { status, messageId?, error? }
+     verifyWebhook(req, business)    → boolean (may be async); `business`
+                                       is the receiving business, if known
+     parseInbound(body)              → [{ recipient, phone, senderName,
+                                          providerMessageId, columns }]
+     parseStatuses(body)             → [{ recipient, providerMessageId,
+                                          status, at, reason }]
 
-  if (error) {
-    return res.status(500).json({ error: error.message });
-  }
+   `recipient` identifies the receiving business ({ appName, destination,
+   phoneNumberId }); `columns` are `messages` columns for the inbound row.
+-------------------------------------------------- */
 
-  res.json(data);
-});
+const NO_EVENTS = () => [];
+
+// Providers without native interactive messages get a numbered text menu
+function interactiveAsText(message) {
+  const options =
+    message.type === 'list'
+      ? message.sections.flatMap(section => section.rows)
+      : message.buttons;
+
+  return [
+    message.header,
+    message.text,
+    '',
+    ...options.map((option, idx) => `${idx + 1}. ${option.title}`),
+  ]
+    .filter(line => line !== null && line !== undefined)
+    .join('\n');
+}
 
-app.get('/appointments/next', requireAuth, async (req, res) => {
-  const businessId = req.businessId;
-  const { customerId } = req.query;
+/* ---------- Gupshup ---------- */
 
-  if (!customerId) {
-    return res.status(400).json({ error: 'customerId is required' });
-  }
+function getGupshupSender(business) {
+  return {
+    source:
+      normalizePhone(business?.gupshup_source_number) ||
+      normalizePhone(business?.whatsapp_number),
+    appName: business?.gupshup_app_name || process.env.GUPSHUP_APP_NAME,
+  };
+}
 
-  const now = new Date().toISOString();
+const GUPSHUP_MESSAGE_URL = 'https://api.gupshup.io/wa/api/v1/msg';
+const GUPSHUP_TEMPLATE_URL = 'https://api.gupshup.io/wa/api/v1/template/msg';
 
-  const { data, error } = await supabase
-    .from('appointments')
-    .select(`
-  id,
-  appointment_time,
-  status,
-  combo_id,
-  service_combos (
-    id,
-    name
-  ),
-  appointment_services (
-    services (
-      id,
-      name
-    )
-  )
-`)
+// Translate an outbound message (see buildOutboundMessage) into the Gupshup
+// endpoint and form fields that deliver it
+function buildGupshupRequest(message) {
+  if (message.type === 'template') {
+    return {
+      url: GUPSHUP_TEMPLATE_URL,
+      fields: {
+        template: JSON.stringify({
+          id: message.provider_template_id,
+          params: message.params,
+        }),
+      },
+    };
+  }
 
+  let body;
+
+  switch (message.type) {
+    case 'image':
+      body = {
+        type: 'image',
+        originalUrl: message.url,
+        previewUrl: message.url,
+        caption: message.caption || undefined,
+      };
+      break;
+
+    case 'document':
+      body = {
+        type: 'file',
+        url: message.url,
+        filename: message.filename || undefined,
+        caption: message.caption || undefined,
+      };
+      break;
+
+    case 'quick_reply':
+      body = {
+        type: 'quick_reply',
+        msgid: crypto.randomUUID(),
+        content: {
+          type: 'text',
+          header: message.header || undefined,
+          text: message.text,
+        },
+        options: message.buttons.map(button => ({
+          type: 'text',
+          title: button.title,
+          postbackText: button.id,
+        })),
+      };
+      break;
+
+    case 'list':
+      body = {
+        type: 'list',
+        msgid: crypto.randomUUID(),
+        title: message.header || '',
+        body: message.text,
+        globalButtons: [{ type: 'text', title: message.button_label }],
+        items: message.sections.map(section => ({
+          title: section.title,
+          options: section.rows.map(row => ({
+            type: 'text',
+            title: row.title,
+            description: row.description || undefined,
+            postbackText: row.id,
+          })),
+        })),
+      };
+      break;
+
+    default:
+      body = {
+        type: 'text',
+        text: message.text
+      };
+  }
 
-    .eq('business_id', businessId)
-    .eq('customer_id', customerId)
-    .eq('status', 'scheduled')
-    .gte('appointment_time', now)
-    .order('appointment_time', { ascending: true })
-    .limit(1)
-    .maybeSingle();
+  return {
+    url: GUPSHUP_MESSAGE_URL,
+    fields: { message: JSON.stringify(body) },
+  };
+}
 
-  if (error) {
-    return res.status(500).json({ error: error.message });
+async function sendViaGupshup(business, phone, message) {
+  const sender = getGupshupSender(business);
+
+  if (!sender.source || !sender.appName) {
+    console.error(
+      `Gupshup sender not configured for business ${business?.id}`
+    );
+    return {
+      status: 'failed',
+      error: 'WhatsApp sender not configured'
+    };
   }
 
+  const { url, fields } = buildGupshupRequest(message);
 
-  res.json(data);
-});
+  const params = new URLSearchParams();
+  params.append('channel', 'whatsapp');
+  params.append('source', sender.source);
+  params.append('destination', phone);
+  for (const [key, value] of Object.entries(fields)) {
+    params.append(key, value);
+  }
+  params.append('src.name', sender.appName);
 
-app.get('/appointments', requireAuth, async (req, res) => {
-  const businessId = req.businessId;
-  try {
-    const { data, error } = await supabase
-      .from('appointments')
-      .select(`
-  id,
-  customer_id,
-  appointment_time,
-  status,
-  combo_id,
-  duration_minutes,
-  appointment_services (
-    duration_minutes,
-    services (
-      id,
-      name,
-      service_combo_items (
-        combo_id,
-        service_combos (
-          id,
-          name
-        )
-      )
-    )
-  ),
-  customers (
-    id,
-    name,
-    phone
-  )
-`)
+  const response = await axios.post(
+    url,
+    params.toString(),
+    {
+      headers: {
+        apikey: process.env.GUPSHUP_API_KEY,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      }
+    }
+  );
 
+  return {
+    status: response.data?.status || 'submitted',
+    messageId: response.data?.messageId || null
+  };
+}
 
-      .eq('business_id', businessId)
-      .order('status', {
-        ascending: true,
-        foreignTable: undefined
-      })
-      .order('appointment_time', { ascending: false });
+function parseGupshupInbound(body) {
+  if (body?.type !== 'message' || !body.payload?.sender?.phone) return [];
+
+  const payload = body.payload;
+
+  return [{
+    recipient: {
+      appName: body.app || null,
+      destination: normalizePhone(payload.destination || body.destination),
+    },
+    phone: payload.sender.phone,
+    senderName: payload.sender.name || null,
+    providerMessageId: payload.id || null,
+    columns: parseGupshupMessage(payload),
+  }];
+}
 
-    if (error) {
-      return res.status(500).json({ error: error.message });
-    }
+function parseGupshupStatuses(body) {
+  if (body?.type !== 'message-event') return [];
 
-    // Reorder in-memory to ensure:
-    // 1. scheduled first
-    // 2. past later
-    const upcoming = [];
-    const past = [];
+  const event = body.payload;
+  // `enqueued` carries Gupshup's id as `id`; later events move it to `gsId`
+  const providerMessageId = event?.gsId || event?.id;
 
-    for (const appt of data) {
-      if (appt.status === 'scheduled') {
-        upcoming.push(appt);
-      } else {
-        past.push(appt);
-      }
-    }
+  if (!providerMessageId || !event?.type) return [];
 
-    res.json([...upcoming, ...past]);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
+  return [{
+    recipient: { appName: body.app || null },
+    providerMessageId,
+    status: event.type,
+    at: new Date(body.timestamp || Date.now()).toISOString(),
+    reason: event.payload?.reason,
+  }];
+}
 
-cron.schedule('* * * * *', async () => {
-  try {
-    console.log('Running automation rules check...');
+/* ---------- Meta WhatsApp Cloud API ---------- */
 
-    // Get ALL businesses
-    const { data: businesses } = await supabase
-      .from('businesses')
-      .select('*');
+const META_GRAPH_URL = 'https://graph.facebook.com/v19.0';
 
-    if (!businesses?.length) return;
+function buildMetaMessage(phone, message) {
+  const base = {
+    messaging_product: 'whatsapp',
+    recipient_type: 'individual',
+    to: normalizePhone(phone),
+  };
 
-    // Loop through each business
-    for (const business of businesses) {
-      // Get enabled rules for this business
-      const { data: rules } = await supabase
-        .from('automation_rules')
-        .select('*')
-        .eq('business_id', business.id)
-        .eq('enabled', true);
+  switch (message.type) {
+    case 'image':
+      return {
+        ...base,
+        type: 'image',
+        image: { link: message.url, caption: message.caption || undefined },
+      };
+
+    case 'document':
+      return {
+        ...base,
+        type: 'document',
+        document: {
+          link: message.url,
+          filename: message.filename || undefined,
+          caption: message.caption || undefined,
+        },
+      };
+
+    case 'template':
+      // Cloud API addresses templates by name, so provider_template_id holds it
+      return {
+        ...base,
+        type: 'template',
+        template: {
+          name: message.provider_template_id || message.name,
+          language: { code: message.language || 'en' },
+          components: message.params.length
+            ? [{
+              type: 'body',
+              parameters: message.params.map(text => ({ type: 'text', text })),
+            }]
+            : [],
+        },
+      };
+
+    case 'quick_reply':
+      return {
+        ...base,
+        type: 'interactive',
+        interactive: {
+          type: 'button',
+          ...(message.header && { header: { type: 'text', text: message.header } }),
+          body: { text: message.text },
+          action: {
+            buttons: message.buttons.map(button => ({
+              type: 'reply',
+              reply: { id: button.id, title: button.title },
+            })),
+          },
+        },
+      };
+
+    case 'list':
+      return {
+        ...base,
+        type: 'interactive',
+        interactive: {
+          type: 'list',
+          ...(message.header && { header: { type: 'text', text: message.header } }),
+          body: { text: message.text },
+          action: {
+            button: message.button_label,
+            sections: message.sections.map(section => ({
+              title: section.title,
+              rows: section.rows.map(row => ({
+                id: row.id,
+                title: row.title,
+                description: row.description || undefined,
+              })),
+            })),
+          },
+        },
+      };
 
-      if (!rules?.length) continue;
+    default:
+      return { ...base, type: 'text', text: { body: message.text } };
+  }
+}
 
-      // Use Luxon instead of Date
-      const now = DateTime.now().toUTC();
+async function sendViaMeta(business, phone, message) {
+  const config = business?.provider_config || {};
+  const accessToken = config.access_token || process.env.META_ACCESS_TOKEN;
 
-      for (const rule of rules) {
-        // Calculate time windows using Luxon
-        const from = now.plus({ minutes: rule.offset_minutes - 1 });
-        const to = now.plus({ minutes: rule.offset_minutes });
+  if (!config.phone_number_id || !accessToken) {
+    console.error(`Meta sender not configured for business ${business?.id}`);
+    return {
+      status: 'failed',
+      error: 'WhatsApp sender not configured'
+    };
+  }
 
-        const { data: appointments } = await supabase
-          .from('appointments')
-          .select(`
-            id,
-            service,
-            appointment_time,
-            customers ( phone )
-          `)
-          .eq('business_id', business.id)
-          .eq('status', 'scheduled')
-          .gte('appointment_time', from.toISO())
-          .lte('appointment_time', to.toISO());
+  const response = await axios.post(
+    `${META_GRAPH_URL}/${config.phone_number_id}/messages`,
+    buildMetaMessage(phone, message),
+    { headers: { Authorization: `Bearer ${accessToken}` } }
+  );
 
-        if (!appointments?.length) continue;
+  return {
+    status: 'submitted',
+    messageId: response.data?.messages?.[0]?.id || null
+  };
+}
 
-        for (const appt of appointments) {
-          // Check if this rule already fired
-          const { data: alreadySent } = await supabase
-            .from('automation_logs')
-            .select('id')
-            .eq('appointment_id', appt.id)
-            .eq('rule_id', rule.id)
-            .maybeSingle();
+function verifyMetaWebhook(req, business) {
+  const secret = business?.provider_config?.app_secret || process.env.META_APP_SECRET;
+  const signature = req.headers['x-hub-signature-256'];
 
-          if (alreadySent) continue;
+  if (!secret) {
+    console.error('Neither provider_config.app_secret nor META_APP_SECRET is configured');
+    return false;
+  }
 
-          // Convert UTC appointment time to business timezone
-          const appointmentDateTime = DateTime.fromISO(appt.appointment_time, { zone: 'UTC' });
-          const businessTz = business.timezone || 'UTC';
-          const localTime = appointmentDateTime.setZone(businessTz).toFormat('yyyy-MM-dd hh:mm a');
+  if (!signature) return false;
 
-          // Build message
-          let message = rule.message_template
-            .replace('{{service}}', appt.service || 'your service')
-            .replace('{{appointment_time}}', localTime);
+  const expected =
+    'sha256=' +
+    crypto
+      .createHmac('sha256', secret)
+      .update(req.rawBody || '')
+      .digest('hex');
 
-          const sendResult = await sendWhatsAppMessage(
-            appt.customers.phone,
-            message
-          );
+  return safeCompare(signature, expected);
+}
 
-          if (sendResult.status === 'submitted') {
-            await supabase.from('automation_logs').insert([
-              {
-                appointment_id: appt.id,
-                rule_id: rule.id
-              }
-            ]);
+function parseMetaMessage(message) {
+  switch (message.type) {
+    case 'text':
+      return {
+        message_type: 'text',
+        content: message.text?.body,
+      };
+
+    case 'image':
+    case 'video':
+    case 'audio':
+    case 'sticker':
+    case 'document': {
+      const media = message[message.type] || {};
+
+      // Cloud API only sends a media id; the file is fetched with the
+      // business's access token
+      return {
+        message_type: message.type,
+        content: media.caption || media.filename || MEDIA_PLACEHOLDERS[message.type],
+        media_url: null,
+        media_mime_type: media.mime_type || null,
+        media_caption: media.caption || null,
+        media_filename: media.filename || null,
+        data: { media_id: media.id },
+      };
+    }
 
-            console.log(
-              `Rule ${rule.id} executed for appointment ${appt.id} (Business: ${business.id})`
-            );
-          }
-        }
-      }
+    case 'location':
+      return {
+        message_type: 'location',
+        content: message.location?.name || message.location?.address || '📍 Location',
+        data: {
+          latitude: Number(message.location?.latitude),
+          longitude: Number(message.location?.longitude),
+          name: message.location?.name || null,
+          address: message.location?.address || null,
+        },
+      };
+
+    case 'contacts':
+      return contactsColumns(message.contacts);
+
+    case 'interactive': {
+      const reply =
+        message.interactive?.button_reply ||
+        message.interactive?.list_reply ||
+        {};
+
+      return {
+        message_type: 'interactive',
+        content: reply.title || '',
+        data: {
+          reply_type: message.interactive?.type,
+          id: reply.id || null,
+          title: reply.title || null,
+          description: reply.description || null,
+          postback: reply.id || null,
+        },
+      };
     }
-  } catch (err) {
-    console.error('Automation cron error:', err.message);
-  }
-});
 
-app.post('/service-combos', requireAuth, async (req, res) => {
-  if (req.role !== 'owner') {
-    return res.status(403).json({ error: 'Only owner allowed' });
+    // Quick-reply button on a template message
+    case 'button':
+      return {
+        message_type: 'interactive',
+        content: message.button?.text || '',
+        data: {
+          reply_type: 'quick_reply',
+          id: message.button?.payload || null,
+          title: message.button?.text || null,
+          description: null,
+          postback: message.button?.payload || null,
+        },
+      };
+
+    default:
+      return {
+        message_type: 'unsupported',
+        content: `Unsupported message (${message.type || 'unknown'})`,
+        data: { raw: message },
+      };
   }
+}
 
-  const { name, service_ids } = req.body;
+function metaChangeValues(body) {
+  return (body?.entry || []).flatMap(entry =>
+    (entry.changes || []).map(change => change.value || {})
+  );
+}
 
-  if (
-    !name ||
-    !Array.isArray(service_ids) ||
-    service_ids.length === 0
+function parseMetaInbound(body) {
+  return metaChangeValues(body).flatMap(value =>
+    (value.messages || []).map(message => ({
+      recipient: {
+        phoneNumberId: value.metadata?.phone_number_id || null,
+        destination: normalizePhone(value.metadata?.display_phone_number),
+      },
+      phone: message.from,
+      senderName:
+        value.contacts?.find(contact => contact.wa_id === message.from)
+          ?.profile?.name || null,
+      providerMessageId: message.id,
+      columns: parseMetaMessage(message),
+    }))
+  );
+}
+
+function parseMetaStatuses(body) {
+  return metaChangeValues(body).flatMap(value =>
+    (value.statuses || []).map(status => ({
+      recipient: {
+        phoneNumberId: value.metadata?.phone_number_id || null,
+        destination: normalizePhone(value.metadata?.display_phone_number),
+      },
+      providerMessageId: status.id,
+      status: status.status,
+      at: new Date(Number(status.timestamp) * 1000 || Date.now()).toISOString(),
+      reason: status.errors?.[0]?.title,
+    }))
+  );
+}
+
+/* ---------- Twilio ---------- */
+
+const TWILIO_STATUS_MAP = {
+  accepted: 'enqueued',
+  queued: 'enqueued',
+  sending: 'enqueued',
+  sent: 'sent',
+  delivered: 'delivered',
+  read: 'read',
+  undelivered: 'failed',
+  failed: 'failed',
+};
+
+async function sendViaTwilio(business, phone, message) {
+  const config = business?.provider_config || {};
+  const accountSid = config.account_sid || process.env.TWILIO_ACCOUNT_SID;
+  const authToken = config.auth_token || process.env.TWILIO_AUTH_TOKEN;
+  const from = normalizePhone(config.from_number || business?.whatsapp_number);
+
+  if (!accountSid || !authToken || !from) {
+    console.error(`Twilio sender not configured for business ${business?.id}`);
+    return {
+      status: 'failed',
+      error: 'WhatsApp sender not configured'
+    };
+  }
+
+  const params = new URLSearchParams();
+  params.append('From', `whatsapp:+${from}`);
+  params.append('To', `whatsapp:+${normalizePhone(phone)}`);
+
+  if (process.env.PUBLIC_BASE_URL) {
+    params.append('StatusCallback', `${process.env.PUBLIC_BASE_URL}/webhook/twilio`);
+  }
+
+  switch (message.type) {
+    case 'template':
+      // Approved templates are Twilio Content resources (HX… sid)
+      params.append('ContentSid', message.provider_template_id);
+      params.append(
+        'ContentVariables',
+        JSON.stringify(
+          Object.fromEntries(message.params.map((value, idx) => [String(idx + 1), value]))
+        )
+      );
+      break;
+
+    case 'image':
+    case 'document':
+      params.append('MediaUrl', message.url);
+      if (message.caption) params.append('Body', message.caption);
+      break;
+
+    case 'quick_reply':
+    case 'list':
+      params.append('Body', interactiveAsText(message));
+      break;
+
+    default:
+      params.append('Body', message.text);
+  }
+
+  const response = await axios.post(
+    `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`,
+    params.toString(),
+    {
+      auth: { username: accountSid, password: authToken },
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+    }
+  );
+
+  return {
+    status: 'submitted',
+    messageId: response.data?.sid || null
+  };
+}
+
+// https://www.twilio.com/docs/usage/security#validating-requests
+function verifyTwilioWebhook(req, business) {
+  const authToken = business?.provider_config?.auth_token || process.env.TWILIO_AUTH_TOKEN;
+  const signature = req.headers['x-twilio-signature'];
+
+  if (!authToken) {
+    console.error('Neither provider_config.auth_token nor TWILIO_AUTH_TOKEN is configured');
+    return false;
+  }
+
+  if (!signature) return false;
+
+  const url = process.env.PUBLIC_BASE_URL
+    ? `${process.env.PUBLIC_BASE_URL}${req.originalUrl}`
+    : `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+
+  const payload = Object.keys(req.body || {})
+    .sort()
+    .reduce((acc, key) => acc + key + req.body[key], url);
+
+  const expected = crypto
+    .createHmac('sha1', authToken)
+    .update(payload)
+    .digest('base64');
+
+  return safeCompare(signature, expected);
+}
+
+function parseTwilioMessage(body) {
+  const mediaCount = Number(body.NumMedia || 0);
+
+  if (mediaCount > 0) {
+    const mime = body.MediaContentType0 || '';
+    const messageType = ['image', 'video', 'audio'].find(kind =>
+      mime.startsWith(`${kind}/`)
+    ) || 'document';
+
+    return {
+      message_type: messageType,
+      content: body.Body || MEDIA_PLACEHOLDERS[messageType],
+      media_url: body.MediaUrl0,
+      media_mime_type: mime || null,
+      media_caption: body.Body || null,
+      media_filename: null,
+      ...(mediaCount > 1 && {
+        data: {
+          additional_media: Array.from({ length: mediaCount - 1 }, (_, i) => ({
+            url: body[`MediaUrl${i + 1}`],
+            mime_type: body[`MediaContentType${i + 1}`],
+          })),
+        },
+      }),
+    };
+  }
+
+  if (body.Latitude && body.Longitude) {
+    return {
+      message_type: 'location',
+      content: body.Label || body.Address || '📍 Location',
+      data: {
+        latitude: Number(body.Latitude),
+        longitude: Number(body.Longitude),
+        name: body.Label || null,
+        address: body.Address || null,
+      },
+    };
+  }
+
+  if (body.ButtonPayload || body.ListId) {
+    return {
+      message_type: 'interactive',
+      content: body.ButtonText || body.ListTitle || body.Body || '',
+      data: {
+        reply_type: body.ListId ? 'list_reply' : 'button_reply',
+        id: body.ListId || body.ButtonPayload,
+        title: body.ListTitle || body.ButtonText || null,
+        description: null,
+        postback: body.ListId || body.ButtonPayload,
+      },
+    };
+  }
+
+  return {
+    message_type: 'text',
+    content: body.Body,
+  };
+}
+
+function isTwilioStatusCallback(body) {
+  return Boolean(body?.MessageStatus) && body.MessageStatus !== 'received';
+}
+
+function parseTwilioInbound(body) {
+  if (!body?.From || isTwilioStatusCallback(body)) return [];
+
+  return [{
+    recipient: { destination: normalizePhone(body.To) },
+    phone: normalizePhone(body.From),
+    senderName: body.ProfileName || null,
+    providerMessageId: body.MessageSid || null,
+    columns: parseTwilioMessage(body),
+  }];
+}
+
+function parseTwilioStatuses(body) {
+  if (!isTwilioStatusCallback(body) || !body.MessageSid) return [];
+
+  return [{
+    // Status callbacks are about messages the business sent, so it's `From`
+    recipient: { destination: normalizePhone(body.From) },
+    providerMessageId: body.MessageSid,
+    status: TWILIO_STATUS_MAP[body.MessageStatus] || body.MessageStatus,
+    at: new Date().toISOString(),
+    reason:
+      body.ErrorMessage || (body.ErrorCode && `Twilio error ${body.ErrorCode}`),
+  }];
+}
+
+/* ---------- Mock (staging / automated tests) ---------- */
+
+// Records outbound messages instead of calling anyone; inbound and status
+// events are injected through /mock/* below
+async function sendViaMock(business, phone, message) {
+  const messageId = `mock-${crypto.randomUUID()}`;
+
+  const { error } = await supabase.from('mock_outbound_messages').insert({
+    business_id: business.id,
+    phone: normalizePhone(phone),
+    provider_message_id: messageId,
+    message,
+  });
+
+  if (error) throw error;
+
+  return {
+    status: 'submitted',
+    messageId
+  };
+}
+
+const messagingProviders = {
+  gupshup: {
+    name: 'gupshup',
+    send: sendViaGupshup,
+    verifyWebhook: verifyGupshupWebhook,
+    parseInbound: parseGupshupInbound,
+    parseStatuses: parseGupshupStatuses,
+  },
+  meta: {
+    name: 'meta',
+    send: sendViaMeta,
+    verifyWebhook: verifyMetaWebhook,
+    parseInbound: parseMetaInbound,
+    parseStatuses: parseMetaStatuses,
+  },
+  twilio: {
+    name: 'twilio',
+    // Buttons and lists go out as a numbered text menu (interactiveAsText)
+    textMenus: true,
+    send: sendViaTwilio,
+    verifyWebhook: verifyTwilioWebhook,
+    parseInbound: parseTwilioInbound,
+    parseStatuses: parseTwilioStatuses,
+  },
+  mock: {
+    name: 'mock',
+    send: sendViaMock,
+    verifyWebhook: () => false,
+    parseInbound: NO_EVENTS,
+    parseStatuses: NO_EVENTS,
+  },
+};
+
+function getMessagingProvider(business) {
+  return messagingProviders[
+    business?.messaging_provider ||
+    process.env.DEFAULT_MESSAGING_PROVIDER ||
+    'gupshup'
+  ];
+}
+
+/* ---------- Inbound pipeline ---------- */
+
+async function resolveBusinessForRecipient({ appName, destination, phoneNumberId }) {
+  const candidates = destination ? [destination, `+${destination}`] : [];
+
+  const lookups = [
+    phoneNumberId && ['provider_config->>phone_number_id', [phoneNumberId]],
+    destination && ['gupshup_source_number', candidates],
+    destination && ['whatsapp_number', candidates],
+    appName && ['gupshup_app_name', [appName]],
+  ].filter(Boolean);
+
+  for (const [column, values] of lookups) {
+    const { data, error } = await supabase
+      .from('businesses')
+      .select('*')
+      .in(column, values);
+
+    if (error) throw error;
+    if (data.length === 1) return { business: data[0] };
+    if (data.length > 1) {
+      return { reason: `multiple businesses match ${column} ${values[0]}` };
+    }
+  }
+
+  return {
+    reason: lookups.length
+      ? `no business registered for ${phoneNumberId || destination || appName}`
+      : 'payload has no app name or destination number',
+  };
+}
+
+async function quarantineWebhook(providerName, inbound, reason, payload) {
+  const { appName, destination, phoneNumberId } = inbound.recipient;
+
+  console.warn(`⚠️ Unrouted ${providerName} webhook: ${reason}`);
+
+  const { error } = await supabase.from('unrouted_webhooks').insert({
+    provider: providerName,
+    app_name: appName || phoneNumberId || null,
+    destination_number: destination || null,
+    sender_phone: inbound.phone || null,
+    reason,
+    payload,
+  });
+
+  if (error) {
+    console.error('Failed to quarantine webhook:', error.message);
+  }
+}
+
+// Stores one normalized inbound message for a business.
+// Returns { outcome: 'stored' | 'duplicate', customer?, message? }.
+async function ingestInboundMessage(business, inbound) {
+  const { phone, senderName, providerMessageId, columns } = inbound;
+
+  // Providers retry deliveries they didn't see acknowledged in time
+  if (providerMessageId) {
+    const { data: existing } = await supabase
+      .from('messages')
+      .select('id')
+      .eq('provider_message_id', providerMessageId)
+      .maybeSingle();
+
+    if (existing) {
+      return { outcome: 'duplicate' };
+    }
+  }
+
+  // 1️⃣ Find or create customer
+  let { data: customer } = await supabase
+    .from('customers')
+    .select('*')
+    .eq('phone', phone)
+    .eq('business_id', business.id)
+    .single();
+
+  if (!customer) {
+    const { data: newCustomer, error: customerError } = await supabase
+      .from('customers')
+      .insert([
+        {
+          business_id: business.id,
+          phone,
+          name: senderName || null
+        }
+      ])
+      .select()
+      .single();
+
+    if (customerError) throw customerError;
+
+    customer = newCustomer;
+  }
+
+  // 2️⃣ Save incoming message
+  const { data: message, error: insertError } = await supabase
+    .from('messages')
+    .insert({
+      customer_id: customer.id,
+      direction: 'in',
+      provider_message_id: providerMessageId,
+      ...columns
+    })
+    .select()
+    .single();
+
+  // Unique violation: a concurrent retry stored it first
+  if (insertError?.code === '23505') {
+    return { outcome: 'duplicate' };
+  }
+
+  if (insertError) throw insertError;
+
+  return { outcome: 'stored', customer, message };
+}
+
+// The business every event in a webhook is addressed to, or null when
+// there is none or they differ. Its own credentials verify the webhook.
+async function resolveWebhookBusiness(provider, body) {
+  const recipients = [
+    ...provider.parseInbound(body),
+    ...provider.parseStatuses(body),
+  ].map(event => event.recipient).filter(Boolean);
+
+  let business = null;
+
+  for (const recipient of recipients) {
+    const { business: match } = await resolveBusinessForRecipient(recipient);
+    if (!match || (business && match.id !== business.id)) return null;
+    business = match;
+  }
+
+  return business;
+}
+
+// `signingBusiness` scopes status updates to the business that was verified
+async function processWebhookEvents(provider, body, signingBusiness) {
+  const statuses = provider.parseStatuses(body);
+  const messages = provider.parseInbound(body);
+
+  if (!statuses.length && !messages.length) {
+    countWebhook('ignored');
+    return;
+  }
+
+  // Delivery / read receipts for messages we sent
+  for (const status of statuses) {
+    const matched = await applyMessageStatus(status, signingBusiness?.id);
+    countWebhook(matched ? 'status_updates' : 'ignored');
+  }
+
+  for (const inbound of messages) {
+    console.log(
+      `📩 Incoming WhatsApp ${inbound.columns.message_type} from ${inbound.phone}: ${inbound.columns.content}`
+    );
+
+    // Resolve business from the receiving number / app
+    const { business, reason } = await resolveBusinessForRecipient(inbound.recipient);
+
+    if (!business) {
+      countWebhook('unrouted');
+      await quarantineWebhook(provider.name, inbound, reason, body);
+      continue;
+    }
+
+    const { outcome, customer, message } = await ingestInboundMessage(business, inbound);
+    countWebhook(outcome);
+
+    if (outcome === 'stored') {
+      console.log(`✅ Message stored successfully (Business: ${business.id})`);
+      await handleInboundAutomation(business, customer, message);
+    }
+  }
+}
+
+function providerWebhook(providerName) {
+  const provider = messagingProviders[providerName];
+
+  return async (req, res) => {
+    countWebhook('received');
+
+    let business = null;
+    try {
+      business = await resolveWebhookBusiness(provider, req.body);
+    } catch (err) {
+      console.error(`${providerName} webhook routing error:`, err.message);
+    }
+
+    // 🔒 Reject deliveries that don't prove they come from the provider
+    if (!(await provider.verifyWebhook(req, business))) {
+      countWebhook('rejected');
+      console.warn(`Rejected unauthenticated ${providerName} webhook from ${req.ip}`);
+      return res.sendStatus(401);
+    }
+
+    try {
+      await processWebhookEvents(provider, req.body, business);
+    } catch (err) {
+      console.error(`${providerName} webhook processing error:`, err);
+    }
+
+    res.sendStatus(200); // always 200 once authenticated, or providers retry
+  };
+}
+
+app.post('/webhook/whatsapp', providerWebhook('gupshup'));
+app.post('/webhook/meta', providerWebhook('meta'));
+app.post('/webhook/twilio', providerWebhook('twilio'));
+
+// Meta's one-time subscription handshake
+app.get('/webhook/meta', (req, res) => {
+  const verifyToken = process.env.META_VERIFY_TOKEN;
+
+  if (
+    verifyToken &&
+    req.query['hub.mode'] === 'subscribe' &&
+    req.query['hub.verify_token'] &&
+    safeCompare(req.query['hub.verify_token'], verifyToken)
+  ) {
+    return res.send(req.query['hub.challenge']);
+  }
+
+  res.sendStatus(403);
+});
+
+/* ---------- Mock provider endpoints ---------- */
+
+async function requireMockProvider(req, res, next) {
+  const { data: business, error } = await supabase
+    .from('businesses')
+    .select('*')
+    .eq('id', req.businessId)
+    .single();
+
+  if (error || !business) {
+    return res.status(404).json({ error: 'Business not found' });
+  }
+
+  if (getMessagingProvider(business)?.name !== 'mock') {
+    return res.status(409).json({
+      error: 'Business is not using the mock messaging provider'
+    });
+  }
+
+  req.business = business;
+  next();
+}
+
+// Inject an inbound message. `type` / `payload` use Gupshup's inbound
+// payload shape; `{ phone, text }` is enough for plain text.
+app.post('/mock/inbound', requireAuth, requirePermission('messages.send'), requireMockProvider, async (req, res) => {
+  const { phone, name, type, payload, text, provider_message_id } = req.body;
+
+  if (!phone || (!payload && !text)) {
+    return res.status(400).json({ error: 'phone and text or payload are required' });
+  }
+
+  try {
+    const result = await ingestInboundMessage(req.business, {
+      phone: normalizePhone(phone),
+      senderName: name || null,
+      providerMessageId: provider_message_id || `mock-in-${crypto.randomUUID()}`,
+      columns: parseGupshupMessage({
+        type: type || 'text',
+        payload: payload || { text },
+      }),
+    });
+
+    if (result.outcome === 'stored') {
+      await handleInboundAutomation(req.business, result.customer, result.message);
+    }
+
+    res.json({
+      outcome: result.outcome,
+      message: result.message ? formatMessageForClient(result.message) : null,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Inject a delivery status for a message sent through the mock provider
+app.post('/mock/status', requireAuth, requirePermission('messages.send'), requireMockProvider, async (req, res) => {
+  const { provider_message_id, status, reason } = req.body;
+
+  if (!provider_message_id || !status) {
+    return res.status(400).json({ error: 'provider_message_id and status are required' });
+  }
+
+  try {
+    const matched = await applyMessageStatus({
+      providerMessageId: provider_message_id,
+      status,
+      at: new Date().toISOString(),
+      reason,
+    }, req.businessId);
+
+    if (!matched) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/mock/outbound', requireAuth, requirePermission('messages.read'), requireMockProvider, async (req, res) => {
+  const { data, error } = await supabase
+    .from('mock_outbound_messages')
+    .select('*')
+    .eq('business_id', req.businessId)
+    .order('created_at', { ascending: false })
+    .limit(100);
+
+  if (error) return res.status(500).json({ error: error.message });
+  res.json(data);
+});
+
+/* --------------------------------------------------
+   WhatsApp booking chatbot
+
+   Optional per business (appointment_settings.chatbot_enabled). A customer
+   replying BOOK walks through service → date → time → confirm; the
+   conversation state lives in `chatbot_sessions`, one row per customer.
+-------------------------------------------------- */
+
+const CHATBOT_SESSION_TIMEOUT_MINUTES = 15;
+const CHATBOT_HANDOFF_HOURS = 12;
+const CHATBOT_DAYS_AHEAD = 7;
+const CHATBOT_MAX_TIME_OPTIONS = 9;
+
+const CHATBOT_START_KEYWORDS = ['book', 'booking', 'appointment'];
+const CHATBOT_EXIT_KEYWORDS = ['stop', 'exit', 'quit'];
+const CHATBOT_HANDOFF_KEYWORDS = ['human', 'agent', 'talk to someone'];
+
+// Whole words only, so "reagent" or "humane" don't trigger a handoff
+function mentionsKeyword(text, keywords) {
+  const words = ` ${text.split(/[^\p{L}\p{N}]+/u).filter(Boolean).join(' ')} `;
+  return keywords.some(keyword => words.includes(` ${keyword} `));
+}
+
+function inboundReplyText(message) {
+  return String(message.data?.title || message.content || '')
+    .trim()
+    .toLowerCase();
+}
+
+async function loadChatbotSession(customerId) {
+  const { data, error } = await supabase
+    .from('chatbot_sessions')
+    .select('*')
+    .eq('customer_id', customerId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  return data;
+}
+
+async function saveChatbotSession(ctx, state, data, timeoutMinutes = CHATBOT_SESSION_TIMEOUT_MINUTES) {
+  const { error } = await supabase
+    .from('chatbot_sessions')
+    .upsert(
+      {
+        business_id: ctx.business.id,
+        customer_id: ctx.customer.id,
+        state,
+        data,
+        expires_at: DateTime.now().plus({ minutes: timeoutMinutes }).toUTC().toISO(),
+        updated_at: new Date().toISOString(),
+      },
+      { onConflict: 'customer_id' }
+    );
+
+  if (error) throw error;
+}
+
+async function endChatbotSession(customerId) {
+  const { error } = await supabase
+    .from('chatbot_sessions')
+    .delete()
+    .eq('customer_id', customerId);
+
+  if (error) throw error;
+}
+
+function chatbotReply(ctx, message) {
+  return sendAndLogSystemMessage({
+    business: ctx.business,
+    customerId: ctx.customer.id,
+    phone: ctx.customer.phone,
+    message: typeof message === 'string' ? { type: 'text', text: message } : message,
+  });
+}
+
+// Buttons for up to 3 options, a list for up to 10, numbered text beyond
+function sendChatbotMenu(ctx, text, options, buttonLabel = 'Choose') {
+  let message;
+
+  if (options.length <= 3) {
+    message = {
+      type: 'quick_reply',
+      text,
+      buttons: options.map(o => ({ id: o.id, title: o.title.slice(0, 20) })),
+    };
+  } else if (options.length <= 10) {
+    message = {
+      type: 'list',
+      text,
+      button_label: buttonLabel,
+      sections: [{
+        title: '',
+        rows: options.map(o => ({
+          id: o.id,
+          title: o.title.slice(0, 24),
+          description: o.description || null,
+        })),
+      }],
+    };
+  } else {
+    message = {
+      type: 'text',
+      text: interactiveAsText({ type: 'list', text, sections: [{ rows: options }] }),
+    };
+  }
+
+  return chatbotReply(ctx, message);
+}
+
+// Matches a reply against the options we offered: button/list id, the
+// option number, or its title typed out
+function matchChatbotOption(options, message) {
+  const data = message.data || {};
+
+  if (message.message_type === 'interactive') {
+    const byId = options.find(o => o.id === data.id || o.id === data.postback);
+    if (byId) return byId;
+  }
+
+  const text = inboundReplyText(message);
+  const number = Number(text);
+
+  if (Number.isInteger(number) && number >= 1 && number <= options.length) {
+    return options[number - 1];
+  }
+
+  return options.find(o => o.title.toLowerCase() === text) || null;
+}
+
+async function loadBookableOptions(businessId) {
+  const [{ data: services, error: svcError }, { data: combos, error: comboError }] =
+    await Promise.all([
+      supabase
+        .from('services')
+        .select('id, name, duration_minutes')
+        .eq('business_id', businessId)
+        .eq('is_active', true)
+        .order('created_at'),
+      supabase
+        .from('service_combos')
+        .select(`
+          id,
+          name,
+          service_combo_items (
+            service_id,
+            sort_order,
+            services ( id, duration_minutes )
+          )
+        `)
+        .eq('business_id', businessId)
+        .eq('is_active', true),
+    ]);
+
+  if (svcError) throw svcError;
+  if (comboError) throw comboError;
+
+  const comboOptions = combos.map(combo => {
+    const items = [...combo.service_combo_items]
+      .sort((a, b) => a.sort_order - b.sort_order)
+      .map(item => ({
+        service_id: item.service_id,
+        duration_minutes: item.services.duration_minutes,
+      }));
+    const duration = items.reduce((sum, item) => sum + item.duration_minutes, 0);
+
+    return {
+      id: `combo:${combo.id}`,
+      title: combo.name,
+      description: `${duration} min`,
+      duration_minutes: duration,
+      combo_id: combo.id,
+      services: items,
+    };
+  });
+
+  const serviceOptions = services.map(service => ({
+    id: `service:${service.id}`,
+    title: service.name,
+    description: `${service.duration_minutes} min`,
+    duration_minutes: service.duration_minutes,
+    combo_id: null,
+    services: [{ service_id: service.id, duration_minutes: service.duration_minutes }],
+  }));
+
+  return [...comboOptions, ...serviceOptions];
+}
+
+function chatbotDateOptions(business) {
+  const today = DateTime.now().setZone(business.timezone || 'UTC').startOf('day');
+
+  return Array.from({ length: CHATBOT_DAYS_AHEAD }, (_, i) => {
+    const day = today.plus({ days: i });
+    const label =
+      i === 0 ? 'Today' : i === 1 ? 'Tomorrow' : day.toFormat('ccc, dd LLL');
+
+    return { id: `date:${day.toISODate()}`, title: label };
+  });
+}
+
+async function startBookingFlow(ctx) {
+  const options = await loadBookableOptions(ctx.business.id);
+
+  if (!options.length) {
+    await chatbotReply(ctx, 'Online booking isn’t available right now. Our team will reply here shortly.');
+    return;
+  }
+
+  await saveChatbotSession(ctx, 'choose_service', { options });
+  await sendChatbotMenu(
+    ctx,
+    '💇 What would you like to book?\n\nReply STOP to cancel or HUMAN to talk to our team.',
+    options,
+    'Services'
+  );
+}
+
+async function offerDates(ctx, selection, prefix = '') {
+  const options = chatbotDateOptions(ctx.business);
+
+  await saveChatbotSession(ctx, 'choose_date', { selection, options });
+  await sendChatbotMenu(ctx, `${prefix}📅 Which day suits you?`, options, 'Dates');
+}
+
+async function offerTimes(ctx, selection, date, prefix = '') {
+  const timezone = ctx.business.timezone || 'UTC';
+  const availability = await getAvailability({
+    businessId: ctx.business.id,
+    date,
+    durationMinutes: selection.duration_minutes,
+    serviceIds: selection.services?.map(s => s.service_id),
+    comboId: selection.combo_id,
+    buffers: selection.buffers,
+    staffId: selection.staff_id,
+    excludeAppointmentId: selection.reschedule_appointment_id,
+  });
+
+  const now = DateTime.now();
+  const times = availability.times
+    .filter(time => time.available)
+    .map(time => DateTime.fromISO(time.utc_time, { zone: 'UTC' }))
+    .filter(start => start > now);
+
+  if (!times.length) {
+    await offerDates(ctx, selection, `${prefix}😕 No free times on that day.\n\n`);
+    return;
+  }
+
+  const options = [
+    ...times.slice(0, CHATBOT_MAX_TIME_OPTIONS).map(start => ({
+      id: `time:${start.toISO()}`,
+      title: start.setZone(timezone).toFormat('hh:mm a'),
+      utc: start.toISO(),
+    })),
+    { id: 'other_day', title: 'Another day' },
+  ];
+
+  await saveChatbotSession(ctx, 'choose_time', { selection, date, options });
+  await sendChatbotMenu(ctx, `${prefix}🕒 Pick a start time:`, options, 'Times');
+}
+
+async function confirmBooking(ctx, session) {
+  const { selection, date, appointment_utc_time } = session.data;
+
+  const result = selection.reschedule_appointment_id
+    ? await rescheduleAppointment({
+      actor: { type: 'customer', id: ctx.customer.id },
+      businessId: ctx.business.id,
+      appointmentId: selection.reschedule_appointment_id,
+      appointmentUtcTime: appointment_utc_time,
+    })
+    : await createAppointment({
+      actor: { type: 'customer', id: ctx.customer.id },
+      businessId: ctx.business.id,
+      phone: ctx.customer.phone,
+      name: ctx.customer.name,
+      services: selection.services,
+      appointmentUtcTime: appointment_utc_time,
+      comboId: selection.combo_id,
+    });
+
+  if (result.status === 409) {
+    await offerTimes(ctx, selection, date, 'Sorry, that time was just taken.\n\n');
+    return;
+  }
+
+  if (result.error) {
+    console.error('Chatbot booking failed:', result.error);
+    await handOffToHuman(ctx, 'Sorry, something went wrong while booking.');
+    return;
+  }
+
+  // create/reschedule already notified the customer
+  await endChatbotSession(ctx.customer.id);
+}
+
+async function handOffToHuman(ctx, prefix = '') {
+  await saveChatbotSession(ctx, 'handoff', {}, CHATBOT_HANDOFF_HOURS * 60);
+  await chatbotReply(
+    ctx,
+    `${prefix ? `${prefix} ` : ''}👋 Connecting you with our team — someone will reply here shortly.`
+  );
+}
+
+// Returns true when the chatbot handled (or deliberately swallowed) the message
+async function handleChatbotMessage(business, customer, message) {
+  const enabled = business.appointment_settings?.chatbot_enabled === true;
+  const ctx = { business, customer };
+  const text = inboundReplyText(message);
+
+  let session = await loadChatbotSession(customer.id);
+
+  if (session && new Date(session.expires_at) <= new Date()) {
+    await endChatbotSession(customer.id);
+    session = null;
+  }
+
+  // Reschedule conversations run even when the booking bot is off
+  if (!session && !enabled) return false;
+
+  // Staff are handling this conversation
+  if (session?.state === 'handoff') return true;
+
+  if (enabled && mentionsKeyword(text, CHATBOT_HANDOFF_KEYWORDS)) {
+    await handOffToHuman(ctx);
+    return true;
+  }
+
+  if (!session) {
+    if (!CHATBOT_START_KEYWORDS.includes(text)) return false;
+
+    await startBookingFlow(ctx);
+    return true;
+  }
+
+  if (CHATBOT_EXIT_KEYWORDS.includes(text)) {
+    await endChatbotSession(customer.id);
+    await chatbotReply(ctx, 'No problem, booking cancelled. Reply BOOK any time to start again.');
+    return true;
+  }
+
+  const choice = matchChatbotOption(session.data.options || [], message);
+
+  if (!choice) {
+    await sendChatbotMenu(
+      ctx,
+      'Sorry, I didn’t get that. Please pick one of these:',
+      session.data.options
+    );
+    await saveChatbotSession(ctx, session.state, session.data);
+    return true;
+  }
+
+  switch (session.state) {
+    case 'choose_service':
+      await offerDates(ctx, choice);
+      break;
+
+    case 'choose_date':
+      await offerTimes(ctx, session.data.selection, choice.id.replace('date:', ''));
+      break;
+
+    case 'choose_time': {
+      if (choice.id === 'other_day') {
+        await offerDates(ctx, session.data.selection);
+        break;
+      }
+
+      const options = [
+        { id: 'confirm', title: 'Confirm' },
+        { id: 'change_time', title: 'Change time' },
+        { id: 'cancel', title: 'Cancel' },
+      ];
+
+      await saveChatbotSession(ctx, 'confirm', {
+        ...session.data,
+        appointment_utc_time: choice.utc,
+        options,
+      });
+      await sendChatbotMenu(
+        ctx,
+        `Please confirm:\n\n🛎 ${session.data.selection.title}\n📅 ${formatAppointmentTime(
+          choice.utc,
+          business.timezone || 'UTC'
+        )}`,
+        options
+      );
+      break;
+    }
+
+    case 'confirm':
+      if (choice.id === 'confirm') {
+        await confirmBooking(ctx, session);
+      } else if (choice.id === 'change_time') {
+        await offerTimes(ctx, session.data.selection, session.data.date);
+      } else {
+        await endChatbotSession(customer.id);
+        await chatbotReply(
+          ctx,
+          session.data.selection.reschedule_appointment_id
+            ? 'No problem, your appointment stays as it is.'
+            : 'No problem, booking cancelled. Reply BOOK any time to start again.'
+        );
+      }
+      break;
+
+    default:
+      await endChatbotSession(customer.id);
+      return false;
+  }
+
+  return true;
+}
+
+/* ---------- Appointment reply keywords ---------- */
+
+// Overridable per business via appointment_settings.reply_keywords
+const DEFAULT_REPLY_KEYWORDS = {
+  confirm: ['confirm'],
+  cancel: ['cancel'],
+  reschedule: ['reschedule'],
+};
+
+const APPOINTMENT_REPLY_BUTTONS = {
+  confirm: { id: 'appointment_confirm', title: 'Confirm' },
+  reschedule: { id: 'appointment_reschedule', title: 'Reschedule' },
+  cancel: { id: 'appointment_cancel', title: 'Cancel' },
+};
+
+// Order the buttons are sent in, which is also the numbering Twilio's text
+// menu shows
+const APPOINTMENT_REPLY_MENU = ['confirm', 'reschedule', 'cancel'];
+
+function replyKeywords(business) {
+  return {
+    ...DEFAULT_REPLY_KEYWORDS,
+    ...business.appointment_settings?.reply_keywords,
+  };
+}
+
+// Whether the last message to the customer was the appointment buttons sent
+// as a numbered text menu, so a bare number answers it
+async function appointmentMenuSentLast(business, customerId) {
+  if (!getMessagingProvider(business)?.textMenus) return false;
+
+  const { data, error } = await supabase
+    .from('messages')
+    .select('data')
+    .eq('customer_id', customerId)
+    .eq('direction', 'out')
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  const outbound = data?.data?.outbound;
+
+  return (
+    outbound?.type === 'quick_reply' &&
+    outbound.buttons?.map(button => button.id).join() ===
+      APPOINTMENT_REPLY_MENU.map(action => APPOINTMENT_REPLY_BUTTONS[action].id).join()
+  );
+}
+
+// `menuSent`: numbers only count as menu options right after the text menu
+function matchAppointmentReply(business, message, { menuSent = false } = {}) {
+  const data = message.data || {};
+
+  if (message.message_type === 'interactive') {
+    const action = Object.keys(APPOINTMENT_REPLY_BUTTONS).find(key =>
+      [data.id, data.postback].includes(APPOINTMENT_REPLY_BUTTONS[key].id)
+    );
+    if (action) return action;
+  }
+
+  const text = inboundReplyText(message).replace(/[^\p{L}\p{N} ]/gu, '').trim();
+  const keywords = replyKeywords(business);
+
+  const byKeyword = Object.keys(DEFAULT_REPLY_KEYWORDS).find(action =>
+    (keywords[action] || []).some(keyword => keyword.toLowerCase() === text)
+  );
+  if (byKeyword) return byKeyword;
+
+  // A numbered menu option, e.g. "2" for Reschedule
+  return menuSent && /^\d+$/.test(text)
+    ? APPOINTMENT_REPLY_MENU[Number(text) - 1] || null
+    : null;
+}
+
+function appointmentSummary(appointment) {
+  return appointment.service_combos?.name ||
+    appointment.appointment_services
+      ?.map(item => item.services?.name)
+      .filter(Boolean)
+      .join(', ') ||
+    'your appointment';
+}
+
+async function startRescheduleFlow(ctx, appointment) {
+  const when = formatAppointmentTime(
+    appointment.appointment_time,
+    ctx.business.timezone || 'UTC'
+  );
+
+  await offerDates(
+    ctx,
+    {
+      title: appointmentSummary(appointment),
+      duration_minutes: appointment.duration_minutes,
+      services: appointment.appointment_services
+        .filter(item => item.services)
+        .map(item => ({ service_id: item.services.id })),
+      staff_id: appointment.staff_id || undefined,
+      buffers: {
+        before: appointment.buffer_before_minutes || 0,
+        after: appointment.buffer_after_minutes || 0,
+      },
+      reschedule_appointment_id: appointment.id,
+    },
+    `🔁 Let’s move your appointment on ${when}.\n\n`
+  );
+}
+
+// CONFIRM / CANCEL / RESCHEDULE act on the customer's next appointment.
+// Returns true when the message was one of those replies.
+async function handleAppointmentReply(business, customer, message) {
+  const action = matchAppointmentReply(business, message, {
+    menuSent: await appointmentMenuSentLast(business, customer.id),
+  });
+  if (!action) return false;
+
+  const ctx = { business, customer };
+  const appointment = await getNextAppointment(business.id, customer.id);
+
+  if (!appointment) {
+    await chatbotReply(ctx, 'You don’t have any upcoming appointments with us.');
+    return true;
+  }
+
+  const when = formatAppointmentTime(
+    appointment.appointment_time,
+    business.timezone || 'UTC'
+  );
+
+  switch (action) {
+    case 'confirm': {
+      const { error } = await supabase
+        .from('appointments')
+        .update({ confirmed_at: new Date().toISOString() })
+        .eq('id', appointment.id);
+
+      if (error) throw error;
+
+      await recordAppointmentEvent(
+        business.id,
+        appointment.id,
+        'confirmed',
+        { type: 'customer', id: customer.id }
+      );
+
+      await chatbotReply(ctx, `✅ Thanks! Your appointment on ${when} is confirmed.`);
+      break;
+    }
+
+    case 'cancel': {
+      const result = await cancelAppointment({
+        actor: { type: 'customer', id: customer.id },
+        businessId: business.id,
+        appointmentId: appointment.id,
+        cancelledBy: 'customer',
+        reasonCode: 'customer_request',
+        enforceWindow: true,
+      });
+
+      if (result.status === 422) {
+        await chatbotReply(
+          ctx,
+          `Your appointment on ${when} is too close to cancel here. Please reply HUMAN or call us to cancel.`
+        );
+        break;
+      }
+
+      if (result.error) throw new Error(result.error);
+
+      await chatbotReply(
+        ctx,
+        `❌ Your appointment on ${when} has been cancelled. Message us any time to book again.`
+      );
+      break;
+    }
+
+    case 'reschedule':
+      await startRescheduleFlow(ctx, appointment);
+      break;
+  }
+
+  return true;
+}
+
+// Automated replies to a freshly stored inbound message. Never throws:
+// the message is already stored and the webhook must still be acknowledged.
+async function handleInboundAutomation(business, customer, message) {
+  try {
+    if (await handleChatbotMessage(business, customer, message)) return;
+    if (await handleWaitlistReply(business, customer, message)) return;
+
+    await handleAppointmentReply(business, customer, message);
+  } catch (err) {
+    console.error('Inbound automation error:', err.message);
+  }
+}
+
+async function expireChatbotSessions() {
+  try {
+    const { data: sessions, error } = await supabase
+      .from('chatbot_sessions')
+      .select('id, state, customer_id, customers ( id, name, phone ), businesses ( * )')
+      .lt('expires_at', new Date().toISOString());
+
+    if (error) throw error;
+
+    for (const session of sessions || []) {
+      // Only whoever actually deletes the row notifies the customer
+      const { data: deleted } = await supabase
+        .from('chatbot_sessions')
+        .delete()
+        .eq('id', session.id)
+        .select('id');
+
+      if (!deleted?.length || session.state === 'handoff') continue;
+
+      await chatbotReply(
+        { business: session.businesses, customer: session.customers },
+        '⏰ Your booking session timed out. Reply BOOK to start again.'
+      );
+    }
+  } catch (err) {
+    console.error('Chatbot session expiry error:', err.message);
+  }
+}
+
+scheduleJob('* * * * *', expireChatbotSessions);
+
+// Staff take a conversation back from (or release it to) the bot
+app.delete('/customers/:id/chatbot-session', requireAuth, requirePermission('messages.send'), async (req, res) => {
+  const { data: customer, error: customerError } = await supabase
+    .from('customers')
+    .select('id')
+    .eq('id', req.params.id)
+    .eq('business_id', req.businessId)
+    .single();
+
+  if (customerError || !customer) {
+    return res.status(404).json({ error: 'Customer not found' });
+  }
+
+  try {
+    await endChatbotSession(customer.id);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ?segment_id and/or ?tag narrow the list; both must match
+app.get('/customers', requireAuth, requirePermission('customers.read'), async (req, res) => {
+  const businessId = req.businessId;
+  const { segment_id, tag } = req.query;
+
+  let audience = null;
+
+  if (segment_id || tag) {
+    const rules = tag ? [{ type: 'tag', tag: String(tag) }] : [];
+
+    if (segment_id) {
+      const { data: segment } = await supabase
+        .from('customer_segments')
+        .select('rules, match')
+        .eq('id', segment_id)
+        .eq('business_id', businessId)
+        .maybeSingle();
+
+      if (!segment) {
+        return res.status(404).json({ error: 'Segment not found' });
+      }
+
+      const segmentIds = await resolveSegmentCustomerIds(businessId, segment);
+      if (segmentIds.error) {
+        return res.status(segmentIds.status).json({ error: segmentIds.error });
+      }
+
+      audience = segmentIds.customerIds;
+    }
+
+    if (rules.length) {
+      const tagged = await resolveSegmentCustomerIds(businessId, { rules, match: 'all' });
+      if (tagged.error) {
+        return res.status(tagged.status).json({ error: tagged.error });
+      }
+
+      // A tag narrows the segment, even an "any" one
+      audience = audience
+        ? new Set([...audience].filter(id => tagged.customerIds.has(id)))
+        : tagged.customerIds;
+    }
+  }
+
+  const loadCustomers = () => supabase.rpc(
+    'get_customers_with_last_message',
+    {
+      business_uuid: businessId,
+      user_uuid: req.user.id,
+    }
+  );
+
+  // A segment or tag filter must see every customer, not just the first page
+  const { data: allCustomers, error } = audience
+    ? await fetchAllRows(loadCustomers)
+    : await loadCustomers();
+
+
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+  console.log('AUTH HEADER:', req.headers.authorization);
+
+  const data = audience
+    ? allCustomers.filter(row => audience.has(row.id))
+    : allCustomers;
+
+  try {
+    const windows = await getSessionWindows(data.map(row => row.id));
+
+    res.json(data.map(row => ({
+      ...row,
+      session_window: windows[row.id],
+    })));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+
+/* ---------- Customer profiles ---------- */
+
+const CUSTOMER_GENDERS = ['female', 'male', 'non_binary', 'other', 'prefer_not_to_say'];
+
+const CUSTOMER_FIELD_TYPES = ['text', 'number', 'date', 'boolean', 'select'];
+
+const CUSTOMER_PROFILE_COLUMNS =
+  'id, phone, name, email, birthday, gender, preferred_staff_id, notes, tags, custom_fields, late_cancellation_count, created_at';
+
+function isCalendarDate(value) {
+  return (
+    typeof value === 'string' &&
+    /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+    DateTime.fromISO(value).isValid
+  );
+}
+
+// Trimmed and de-duplicated ignoring case, keeping the first spelling.
+// Returns null when the list is invalid.
+function normalizeCustomerTags(tags) {
+  if (!Array.isArray(tags)) return null;
+
+  const seen = new Set();
+  const normalized = [];
+
+  for (const tag of tags) {
+    const name = typeof tag === 'string' ? tag.trim() : '';
+    if (!name || name.length > 40) return null;
+
+    if (!seen.has(name.toLowerCase())) {
+      seen.add(name.toLowerCase());
+      normalized.push(name);
+    }
+  }
+
+  return normalized;
+}
+
+function isCustomFieldValue(field, value) {
+  switch (field.type) {
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'date':
+      return isCalendarDate(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'select':
+      return (field.options || []).includes(value);
+    default:
+      return typeof value === 'string';
+  }
+}
+
+// Turns a create/update payload into column values.
+// Returns { updates } or { status, error }.
+async function buildCustomerUpdates(businessId, body, currentCustomFields = {}) {
+  const {
+    name,
+    email,
+    birthday,
+    gender,
+    preferred_staff_id,
+    notes,
+    tags,
+    custom_fields,
+  } = body;
+
+  const updates = {};
+
+  if (name !== undefined) updates.name = name ? String(name).trim() : null;
+  if (notes !== undefined) updates.notes = notes ? String(notes) : null;
+
+  if (email !== undefined) {
+    if (email !== null && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(email))) {
+      return { status: 400, error: 'email is not valid' };
+    }
+    updates.email = email ? String(email).trim().toLowerCase() : null;
+  }
+
+  if (birthday !== undefined) {
+    if (birthday !== null && !isCalendarDate(birthday)) {
+      return { status: 400, error: 'birthday must be YYYY-MM-DD' };
+    }
+    updates.birthday = birthday;
+  }
+
+  if (gender !== undefined) {
+    if (gender !== null && !CUSTOMER_GENDERS.includes(gender)) {
+      return { status: 400, error: `gender must be one of: ${CUSTOMER_GENDERS.join(', ')}` };
+    }
+    updates.gender = gender;
+  }
+
+  if (preferred_staff_id !== undefined) {
+    if (preferred_staff_id !== null) {
+      const { data: staff } = await supabase
+        .from('staff')
+        .select('id')
+        .eq('id', preferred_staff_id)
+        .eq('business_id', businessId)
+        .maybeSingle();
+
+      if (!staff) {
+        return { status: 400, error: 'preferred_staff_id is not a staff member of this business' };
+      }
+    }
+    updates.preferred_staff_id = preferred_staff_id;
+  }
+
+  if (tags !== undefined) {
+    const normalized = normalizeCustomerTags(tags);
+    if (!normalized) {
+      return { status: 400, error: 'tags must be a list of names up to 40 characters' };
+    }
+    updates.tags = normalized;
+  }
+
+  // Custom fields merge into what's stored; null removes a value
+  if (custom_fields !== undefined) {
+    if (!custom_fields || typeof custom_fields !== 'object' || Array.isArray(custom_fields)) {
+      return { status: 400, error: 'custom_fields must be an object' };
+    }
+
+    const { data: fields, error } = await supabase
+      .from('customer_field_definitions')
+      .select('key, type, options')
+      .eq('business_id', businessId);
+
+    if (error) return { status: 500, error: error.message };
+
+    const fieldByKey = Object.fromEntries(fields.map(field => [field.key, field]));
+    const merged = { ...currentCustomFields };
+
+    for (const [key, value] of Object.entries(custom_fields)) {
+      const field = fieldByKey[key];
+
+      if (!field) {
+        return { status: 400, error: `Unknown custom field: ${key}` };
+      }
+
+      if (value === null) {
+        delete merged[key];
+      } else if (!isCustomFieldValue(field, value)) {
+        return { status: 400, error: `Invalid value for custom field: ${key}` };
+      } else {
+        merged[key] = value;
+      }
+    }
+
+    updates.custom_fields = merged;
+  }
+
+  return { updates };
+}
+
+// Visit stats come from completed appointments; spend uses the prices
+// stored on each booking, not today's service prices
+function summarizeCustomerAppointments(appointments) {
+  const now = DateTime.utc();
+  const completed = appointments.filter(appt => appt.status === 'completed');
+
+  return {
+    visit_count: completed.length,
+    last_visit: completed.reduce(
+      (latest, appt) =>
+        !latest || appt.appointment_time > latest ? appt.appointment_time : latest,
+      null
+    ),
+    no_show_count: appointments.filter(appt => appt.status === 'no_show').length,
+    total_spend: completed.reduce(
+      (sum, appt) =>
+        sum +
+        (appt.appointment_services || []).reduce(
+          (apptSum, item) => apptSum + Number(item.price || 0),
+          0
+        ),
+      0
+    ),
+    upcoming_appointments: appointments
+      .filter(appt =>
+        appt.status === 'scheduled' &&
+        DateTime.fromISO(appt.appointment_time, { zone: 'UTC' }) >= now
+      )
+      .sort((a, b) => a.appointment_time.localeCompare(b.appointment_time)),
+  };
+}
+
+app.post('/customers', requireAuth, requirePermission('customers.write'), async (req, res) => {
+  const phone = normalizePhone(req.body.phone);
+
+  if (phone.length < 8) {
+    return res.status(400).json({ error: 'A valid phone number is required' });
+  }
+
+  const built = await buildCustomerUpdates(req.businessId, req.body);
+  if (built.error) {
+    return res.status(built.status).json({ error: built.error });
+  }
+
+  const { data, error } = await supabase
+    .from('customers')
+    .insert({
+      ...built.updates,
+      business_id: req.businessId,
+      phone,
+    })
+    .select(CUSTOMER_PROFILE_COLUMNS)
+    .single();
+
+  if (error?.code === '23505') {
+    return res.status(409).json({ error: 'A customer with this phone already exists' });
+  }
+
+  if (error) return res.status(500).json({ error: error.message });
+  res.json(data);
+});
+
+app.get('/customers/:id', requireAuth, requirePermission('customers.read'), async (req, res) => {
+  const { data: customer, error: customerError } = await supabase
+    .from('customers')
+    .select(CUSTOMER_PROFILE_COLUMNS)
+    .eq('id', req.params.id)
+    .eq('business_id', req.businessId)
+    .maybeSingle();
+
+  if (customerError) return res.status(500).json({ error: customerError.message });
+
+  if (!customer) {
+    return res.status(404).json({ error: 'Customer not found' });
+  }
+
+  const { data: appointments, error } = await supabase
+    .from('appointments')
+    .select(`
+      id,
+      appointment_time,
+      status,
+      duration_minutes,
+      staff (
+        id,
+        name
+      ),
+      appointment_services (
+        duration_minutes,
+        price,
+        services (
+          id,
+          name
+        )
+      )
+    `)
+    .eq('business_id', req.businessId)
+    .eq('customer_id', customer.id);
+
+  if (error) return res.status(500).json({ error: error.message });
+
+  res.json({
+    ...customer,
+    ...summarizeCustomerAppointments(appointments),
+  });
+});
+
+app.patch('/customers/:id', requireAuth, requirePermission('customers.write'), async (req, res) => {
+  const { data: customer, error: customerError } = await supabase
+    .from('customers')
+    .select(CUSTOMER_PROFILE_COLUMNS)
+    .eq('id', req.params.id)
+    .eq('business_id', req.businessId)
+    .maybeSingle();
+
+  if (customerError) return res.status(500).json({ error: customerError.message });
+
+  if (!customer) {
+    return res.status(404).json({ error: 'Customer not found' });
+  }
+
+  const built = await buildCustomerUpdates(
+    req.businessId,
+    req.body,
+    customer.custom_fields || {}
+  );
+
+  if (built.error) {
+    return res.status(built.status).json({ error: built.error });
+  }
+
+  if (!Object.keys(built.updates).length) {
+    return res.json(customer);
+  }
+
+  res.locals.auditBefore = customer;
+
+  const { data, error } = await supabase
+    .from('customers')
+    .update(built.updates)
+    .eq('id', customer.id)
+    .select(CUSTOMER_PROFILE_COLUMNS)
+    .single();
+
+  if (error) return res.status(500).json({ error: error.message });
+  res.json(data);
+});
+
+app.get('/customer-fields', requireAuth, requirePermission('customers.read'), async (req, res) => {
+  const { data, error } = await supabase
+    .from('customer_field_definitions')
+    .select('id, key, label, type, options')
+    .eq('business_id', req.businessId)
+    .order('created_at');
+
+  if (error) return res.status(500).json({ error: error.message });
+  res.json(data);
+});
+
+// key is fixed once created, since stored values are keyed by it
+app.post('/customer-fields', requireAuth, requirePermission('settings.manage'), async (req, res) => {
+  const { key, label, type = 'text', options = null } = req.body;
+
+  if (!/^[a-z][a-z0-9_]{0,39}$/.test(key || '') || !label) {
+    return res.status(400).json({
+      error: 'key (lowercase letters, digits, _) and label are required'
+    });
+  }
+
+  if (!CUSTOMER_FIELD_TYPES.includes(type)) {
+    return res.status(400).json({ error: `type must be one of: ${CUSTOMER_FIELD_TYPES.join(', ')}` });
+  }
+
+  if (
+    type === 'select' &&
+    (!Array.isArray(options) || !options.length || options.some(option => typeof option !== 'string'))
+  ) {
+    return res.status(400).json({ error: 'select fields need a list of options' });
+  }
+
+  const { data, error } = await supabase
+    .from('customer_field_definitions')
+    .insert({
+      business_id: req.businessId,
+      key,
+      label,
+      type,
+      options: type === 'select' ? options : null,
+    })
+    .select('id, key, label, type, options')
+    .single();
+
+  if (error?.code === '23505') {
+    return res.status(409).json({ error: 'A field with this key already exists' });
+  }
+
+  if (error) return res.status(500).json({ error: error.message });
+  res.json(data);
+});
+
+app.patch('/customer-fields/:id', requireAuth, requirePermission('settings.manage'), async (req, res) => {
+  const { label, options } = req.body;
+
+  if (!label && options === undefined) {
+    return res.status(400).json({ error: 'label or options is required' });
+  }
+
+  if (
+    options !== undefined &&
+    (!Array.isArray(options) || !options.length || options.some(option => typeof option !== 'string'))
+  ) {
+    return res.status(400).json({ error: 'options must be a list of strings' });
+  }
+
+  await snapshotForAudit(res, 'customer_field_definitions', req.params.id, req.businessId);
+
+  const { data, error } = await supabase
+    .from('customer_field_definitions')
+    .update({
+      ...(label && { label }),
+      ...(options !== undefined && { options }),
+    })
+    .eq('id', req.params.id)
+    .eq('business_id', req.businessId)
+    .select('id, key, label, type, options')
+    .maybeSingle();
+
+  if (error) return res.status(500).json({ error: error.message });
+
+  if (!data) {
+    return res.status(404).json({ error: 'Field not found' });
+  }
+
+  res.json(data);
+});
+
+// Stored values stay on customers; they just stop being editable
+app.delete('/customer-fields/:id', requireAuth, requirePermission('settings.manage'), async (req, res) => {
+  const { data, error } = await supabase
+    .from('customer_field_definitions')
+    .delete()
+    .eq('id', req.params.id)
+    .eq('business_id', req.businessId)
+    .select('id')
+    .maybeSingle();
+
+  if (error) return res.status(500).json({ error: error.message });
+
+  if (!data) {
+    return res.status(404).json({ error: 'Field not found' });
+  }
+
+  res.json({ success: true });
+});
+
+/* ---------- Tags & segments ---------- */
+
+// Rule shapes, all evaluated against customers, appointments and
+// appointment_services:
+//   { type: 'tag', tag }                    customer carries the tag
+//   { type: 'no_visit_in_days', days }      no completed visit in the last N days
+//   { type: 'had_service', service_id }     a completed visit included the service
+//   { type: 'min_no_shows', count }         at least N no-shows
+//   { type: 'min_visits', count }           at least N completed visits
+//   { type: 'birthday_this_month' }         in the business's timezone
+const SEGMENT_RULE_TYPES = [
+  'tag',
+  'no_visit_in_days',
+  'had_service',
+  'min_no_shows',
+  'min_visits',
+  'birthday_this_month',
+];
+
+const SEGMENT_MAX_RULES = 10;
+
+// Returns an error message, or null when the rules are usable
+function validateSegmentRules(rules, match) {
+  if (!Array.isArray(rules) || !rules.length || rules.length > SEGMENT_MAX_RULES) {
+    return `rules must be a list of 1-${SEGMENT_MAX_RULES} rules`;
+  }
+
+  if (match !== undefined && !['all', 'any'].includes(match)) {
+    return 'match must be all or any';
+  }
+
+  for (const rule of rules) {
+    if (!SEGMENT_RULE_TYPES.includes(rule?.type)) {
+      return `rule type must be one of: ${SEGMENT_RULE_TYPES.join(', ')}`;
+    }
+
+    if (rule.type === 'tag' && (typeof rule.tag !== 'string' || !rule.tag.trim())) {
+      return 'tag rules need a tag';
+    }
+
+    if (rule.type === 'had_service' && !rule.service_id) {
+      return 'had_service rules need a service_id';
+    }
+
+    if (
+      rule.type === 'no_visit_in_days' &&
+      (!Number.isInteger(rule.days) || rule.days <= 0)
+    ) {
+      return 'no_visit_in_days rules need a positive number of days';
+    }
+
+    if (
+      ['min_no_shows', 'min_visits'].includes(rule.type) &&
+      (!Number.isInteger(rule.count) || rule.count <= 0)
+    ) {
+      return `${rule.type} rules need a positive count`;
+    }
+  }
+
+  return null;
+}
+
+function matchesSegmentRule(rule, customer, history, today) {
+  switch (rule.type) {
+    case 'tag':
+      return (customer.tags || []).some(
+        tag => tag.toLowerCase() === rule.tag.trim().toLowerCase()
+      );
+    case 'no_visit_in_days':
+      return (
+        !history.lastVisit ||
+        DateTime.fromISO(history.lastVisit, { zone: 'UTC' }) <
+          today.minus({ days: rule.days })
+      );
+    case 'had_service':
+      return history.serviceIds.has(rule.service_id);
+    case 'min_no_shows':
+      return history.noShows >= rule.count;
+    case 'min_visits':
+      return history.visits >= rule.count;
+    case 'birthday_this_month':
+      return (
+        Boolean(customer.birthday) &&
+        DateTime.fromISO(customer.birthday).month === today.month
+      );
+    default:
+      return false;
+  }
+}
+
+// The audience helper other features use (campaigns, exports, …).
+// `segment` is a customer_segments row or any { rules, match }.
+// Returns { customerIds: Set } or { status, error }.
+async function resolveSegmentCustomerIds(businessId, segment) {
+  const { rules, match = 'all' } = segment;
+
+  const { data: business, error: businessError } = await supabase
+    .from('businesses')
+    .select('timezone')
+    .eq('id', businessId)
+    .single();
+
+  if (businessError) return { status: 500, error: businessError.message };
+
+  const { data: customers, error: customerError } = await fetchAllRows(() =>
+    supabase
+      .from('customers')
+      .select('id, tags, birthday')
+      .eq('business_id', businessId)
+      .order('id')
+  );
+
+  if (customerError) return { status: 500, error: customerError.message };
+
+  // Appointments are only needed for history-based rules
+  const histories = {};
+  if (rules.some(rule => !['tag', 'birthday_this_month'].includes(rule.type))) {
+    const { data: appointments, error } = await fetchAllRows(() =>
+      supabase
+        .from('appointments')
+        .select('customer_id, status, appointment_time, appointment_services ( service_id )')
+        .eq('business_id', businessId)
+        .in('status', ['completed', 'no_show'])
+        .order('id')
+    );
+
+    if (error) return { status: 500, error: error.message };
+
+    for (const appt of appointments) {
+      const history = histories[appt.customer_id] ??= {
+        visits: 0,
+        noShows: 0,
+        lastVisit: null,
+        serviceIds: new Set(),
+      };
+
+      if (appt.status === 'no_show') {
+        history.noShows += 1;
+        continue;
+      }
+
+      history.visits += 1;
+      if (!history.lastVisit || appt.appointment_time > history.lastVisit) {
+        history.lastVisit = appt.appointment_time;
+      }
+
+      for (const item of appt.appointment_services || []) {
+        history.serviceIds.add(item.service_id);
+      }
+    }
+  }
+
+  const today = DateTime.now().setZone(business.timezone || 'UTC');
+  const emptyHistory = { visits: 0, noShows: 0, lastVisit: null, serviceIds: new Set() };
+
+  const customerIds = new Set(
+    customers
+      .filter(customer => {
+        const history = histories[customer.id] || emptyHistory;
+        const check = rule => matchesSegmentRule(rule, customer, history, today);
+
+        return match === 'any' ? rules.some(check) : rules.every(check);
+      })
+      .map(customer => customer.id)
+  );
+
+  return { customerIds };
+}
+
+// Every tag in use, with how many customers carry it
+app.get('/customer-tags', requireAuth, requirePermission('customers.read'), async (req, res) => {
+  const { data, error } = await fetchAllRows(() =>
+    supabase
+      .from('customers')
+      .select('tags')
+      .eq('business_id', req.businessId)
+      .not('tags', 'is', null)
+      .order('id')
+  );
+
+  if (error) return res.status(500).json({ error: error.message });
+
+  const counts = {};
+  for (const customer of data) {
+    for (const tag of customer.tags || []) {
+      const key = tag.toLowerCase();
+      counts[key] ??= { tag, customer_count: 0 };
+      counts[key].customer_count += 1;
+    }
+  }
+
+  res.json(
+    Object.values(counts).sort((a, b) => b.customer_count - a.customer_count)
+  );
+});
+
+const SEGMENT_COLUMNS = 'id, name, rules, match, created_at';
+
+app.get('/segments', requireAuth, requirePermission('customers.read'), async (req, res) => {
+  const { data, error } = await supabase
+    .from('customer_segments')
+    .select(SEGMENT_COLUMNS)
+    .eq('business_id', req.businessId)
+    .order('name');
+
+  if (error) return res.status(500).json({ error: error.message });
+  res.json(data);
+});
+
+// Count and ids for unsaved rules, so the editor can show the audience size
+app.post('/segments/preview', requireAuth, requirePermission('customers.read'), async (req, res) => {
+  const { rules, match = 'all' } = req.body;
+
+  const invalid = validateSegmentRules(rules, match);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
+  const result = await resolveSegmentCustomerIds(req.businessId, { rules, match });
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error });
+  }
+
+  res.json({
+    customer_count: result.customerIds.size,
+    customer_ids: [...result.customerIds],
+  });
+});
+
+app.post('/segments', requireAuth, requirePermission('customers.write'), async (req, res) => {
+  const { name, rules, match = 'all' } = req.body;
+
+  const invalid = (!name ? 'name is required' : null) || validateSegmentRules(rules, match);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
+  const { data, error } = await supabase
+    .from('customer_segments')
+    .insert({
+      business_id: req.businessId,
+      name,
+      rules,
+      match,
+      created_by: req.user.id,
+    })
+    .select(SEGMENT_COLUMNS)
+    .single();
+
+  if (error) return res.status(500).json({ error: error.message });
+  res.json(data);
+});
+
+app.patch('/segments/:id', requireAuth, requirePermission('customers.write'), async (req, res) => {
+  const { name, rules, match } = req.body;
+
+  if (!name && rules === undefined && match === undefined) {
+    return res.status(400).json({ error: 'name, rules or match is required' });
+  }
+
+  if (rules !== undefined || match !== undefined) {
+    const { data: current } = await supabase
+      .from('customer_segments')
+      .select('rules')
+      .eq('id', req.params.id)
+      .eq('business_id', req.businessId)
+      .maybeSingle();
+
+    const invalid = validateSegmentRules(rules ?? current?.rules, match);
+    if (current && invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+  }
+
+  await snapshotForAudit(res, 'customer_segments', req.params.id, req.businessId);
+
+  const { data, error } = await supabase
+    .from('customer_segments')
+    .update({
+      ...(name && { name }),
+      ...(rules !== undefined && { rules }),
+      ...(match !== undefined && { match }),
+    })
+    .eq('id', req.params.id)
+    .eq('business_id', req.businessId)
+    .select(SEGMENT_COLUMNS)
+    .maybeSingle();
+
+  if (error) return res.status(500).json({ error: error.message });
+
+  if (!data) {
+    return res.status(404).json({ error: 'Segment not found' });
+  }
+
+  res.json(data);
+});
+
+app.delete('/segments/:id', requireAuth, requirePermission('customers.write'), async (req, res) => {
+  const { data, error } = await supabase
+    .from('customer_segments')
+    .delete()
+    .eq('id', req.params.id)
+    .eq('business_id', req.businessId)
+    .select('id')
+    .maybeSingle();
+
+  if (error) return res.status(500).json({ error: error.message });
+
+  if (!data) {
+    return res.status(404).json({ error: 'Segment not found' });
+  }
+
+  res.json({ success: true });
+});
+
+app.get('/customers/:id/messages', requireAuth, requirePermission('messages.read'), async (req, res) => {
+  const { id } = req.params;
+  const businessId = req.businessId;
+
+  // First: verify customer belongs to this business
+  const { data: customer, error: customerError } = await supabase
+    .from('customers')
+    .select('id')
+    .eq('id', id)
+    .eq('business_id', businessId)
+    .single();
+
+  if (customerError || !customer) {
+    return res.status(404).json({ error: 'Customer not found' });
+  }
+
+  // Then: fetch messages
+  const { data, error } = await supabase
+    .from('messages')
+    .select('*')
+    .eq('customer_id', id)
+    .order('created_at');
+
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  res.json(data.map(formatMessageForClient));
+});
+
+// Whether free text can be sent right now, and who is answering (bot or staff)
+app.get('/customers/:id/session-window', requireAuth, requirePermission('messages.read'), async (req, res) => {
+  const { id } = req.params;
+
+  const { data: customer, error: customerError } = await supabase
+    .from('customers')
+    .select('id')
+    .eq('id', id)
+    .eq('business_id', req.businessId)
+    .single();
+
+  if (customerError || !customer) {
+    return res.status(404).json({ error: 'Customer not found' });
+  }
+
+  try {
+    const sessionWindow = await getSessionWindow(id);
+    const chatbotSession = await loadChatbotSession(id);
+
+    res.json({
+      customer_id: id,
+      session_window: sessionWindow,
+      chatbot: chatbotSession && new Date(chatbotSession.expires_at) > new Date()
+        ? { state: chatbotSession.state, expires_at: chatbotSession.expires_at }
+        : null,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/services', requireAuth, requirePermission('appointments.read'), async (req, res) => {
+  const { data, error } = await supabase
+    .from('services')
+    .select('*')
+    .eq('business_id', req.businessId)
+    .eq('is_active', true)
+    .order('created_at');
+
+  if (error) return res.status(500).json({ error: error.message });
+  res.json(data);
+});
+
+app.post('/services', requireAuth, requirePermission('catalog.manage'), async (req, res) => {
+  const {
+    name,
+    duration_minutes,
+    buffer_before_minutes = 0,
+    buffer_after_minutes = 0,
+    price = null,
+  } = req.body;
+
+  if (
+    !name ||
+    !duration_minutes ||
+    !isBufferMinutes(buffer_before_minutes) ||
+    !isBufferMinutes(buffer_after_minutes) ||
+    !isServicePrice(price)
+  ) {
+    return res.status(400).json({ error: 'Invalid payload' });
+  }
+
+  const { data, error } = await supabase
+    .from('services')
+    .insert({
+      business_id: req.businessId,
+      name,
+      duration_minutes,
+      buffer_before_minutes,
+      buffer_after_minutes,
+      price,
+    })
+    .select()
+    .single();
+
+  if (error) return res.status(500).json({ error: error.message });
+  res.json(data);
+});
+
+app.patch('/services/:id', requireAuth, requirePermission('catalog.manage'), async (req, res) => {
+  const { id } = req.params;
+
+  await snapshotForAudit(res, 'services', id, req.businessId);
+  const {
+    name,
+    duration_minutes,
+    is_active,
+    buffer_before_minutes,
+    buffer_after_minutes,
+    price,
+  } = req.body;
+
+  if (
+    (buffer_before_minutes !== undefined && !isBufferMinutes(buffer_before_minutes)) ||
+    (buffer_after_minutes !== undefined && !isBufferMinutes(buffer_after_minutes))
+  ) {
+    return res.status(400).json({ error: 'Buffer minutes must be non-negative integers' });
+  }
+
+  if (price !== undefined && !isServicePrice(price)) {
+    return res.status(400).json({ error: 'price must be a non-negative number or null' });
+  }
+
+  const { data, error } = await supabase
+    .from('services')
+    .update({
+      ...(name && { name }),
+      ...(duration_minutes && { duration_minutes }),
+      ...(typeof is_active === 'boolean' && { is_active }),
+      ...(buffer_before_minutes !== undefined && { buffer_before_minutes }),
+      ...(buffer_after_minutes !== undefined && { buffer_after_minutes }),
+      ...(price !== undefined && { price }),
+    })
+    .eq('id', id)
+    .eq('business_id', req.businessId)
+    .select()
+    .single();
+
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  res.json(data);
+});
+
+
+/* ---------- Appointment timeline ---------- */
+
+// Who changed an appointment: { type: 'user', id } for dashboard users,
+// { type: 'customer', id } for WhatsApp replies, SYSTEM_ACTOR for crons.
+const SYSTEM_ACTOR = { type: 'system' };
+
+function userActor(req) {
+  return { type: 'user', id: req.user.id };
+}
+
+// Appends to the appointment's timeline. Never throws: the change itself
+// has already happened.
+async function recordAppointmentEvent(businessId, appointmentId, type, actor, data = {}) {
+  const { error } = await supabase
+    .from('appointment_events')
+    .insert({
+      business_id: businessId,
+      appointment_id: appointmentId,
+      type,
+      actor_type: actor.type,
+      actor_id: actor.id ?? null,
+      data,
+    });
+
+  if (error) {
+    console.error('Appointment event error:', error.message);
+  }
+}
+
+// { [serviceId]: price } for the business's services; null when unpriced
+async function loadServicePrices(businessId, serviceIds) {
+  const { data, error } = await supabase
+    .from('services')
+    .select('id, price')
+    .eq('business_id', businessId)
+    .in('id', serviceIds);
+
+  if (error) throw error;
+
+  return Object.fromEntries(data.map(row => [row.id, row.price ?? null]));
+}
+
+// Returns { customer } or { error }
+async function findOrCreateCustomer(businessId, phone, name) {
+  let { data: customer } = await supabase
+    .from('customers')
+    .select('*')
+    .eq('business_id', businessId)
+    .eq('phone', phone)
+    .single();
+
+  if (!customer) {
+    const { data: created, error } = await supabase
+      .from('customers')
+      .insert({
+        business_id: businessId,
+        phone,
+        name: name || null,
+      })
+      .select()
+      .single();
+
+    if (error) {
+      return { error: error.message };
+    }
+
+    customer = created;
+  } else if (!customer.name && name) {
+    // backfill name if missing
+    await supabase
+      .from('customers')
+      .update({ name })
+      .eq('id', customer.id);
+  }
+
+  return { customer };
+}
+
+// Books an appointment and sends the WhatsApp confirmation. Shared by the
+// dashboard route, recurring series and the WhatsApp booking chatbot.
+// Series pass `notify: false` and send one summary instead.
+// Returns { appointment, customer } or { status, error }.
+async function createAppointment({
+  businessId,
+  phone,
+  name,
+  services,
+  appointmentUtcTime,
+  comboId,
+  staffId,
+  seriesId,
+  notify = true,
+  actor = SYSTEM_ACTOR,
+}) {
+  if (
+    !phone ||
+    !appointmentUtcTime ||
+    !Array.isArray(services) ||
+    services.length === 0
+  ) {
+    return { status: 400, error: 'Invalid appointment payload' };
+  }
+
+  if (!DateTime.fromISO(appointmentUtcTime).isValid) {
+    return { status: 400, error: 'appointment_utc_time must be an ISO timestamp' };
+  }
+
+  const totalDurationMinutes = services.reduce(
+    (sum, s) => sum + Number(s.duration_minutes || 0),
+    0
+  );
+
+  if (totalDurationMinutes <= 0) {
+    return { status: 400, error: 'Invalid service durations' };
+  }
+
+  /* --------------------------------------------------
+     1️⃣ Find or create customer
+  -------------------------------------------------- */
+
+  const { customer, error: customerError } =
+    await findOrCreateCustomer(businessId, phone, name);
+
+  if (customerError) {
+    return { status: 500, error: customerError };
+  }
+
+  /* --------------------------------------------------
+     2️⃣ Fetch business appointment settings
+  -------------------------------------------------- */
+
+  const { data: business, error: bizError } = await supabase
+    .from('businesses')
+    .select(`appointment_settings, timezone, ${BUSINESS_SENDER_COLUMNS}`)
+    .eq('id', businessId)
+    .single();
+
+  if (bizError) {
+    return { status: 500, error: bizError.message };
+  }
+
+  /* --------------------------------------------------
+     3️⃣ Calculate slot minutes (business local time)
+  -------------------------------------------------- */
+
+  const slot_minutes = localSlotMinutes(
+    appointmentUtcTime,
+    business.timezone || 'UTC'
+  );
+
+  /* --------------------------------------------------
+     4️⃣ Enforce opening hours and slot capacity
+  -------------------------------------------------- */
+
+  let buffers;
+  let prices;
+  try {
+    buffers = await resolveBookingBuffers(businessId, services, comboId);
+    prices = await loadServicePrices(businessId, services.map(s => s.service_id));
+  } catch (err) {
+    return { status: 500, error: err.message };
+  }
+
+  const slot = await checkBookingSlot({
+    businessId,
+    business,
+    appointmentUtcTime,
+    durationMinutes: totalDurationMinutes,
+    buffers,
+    serviceIds: services.map(s => s.service_id),
+    staffId,
+  });
+
+  if (slot.error) return slot;
+
+  /* --------------------------------------------------
+     5️⃣ Create appointment
+  -------------------------------------------------- */
+
+  // Inserts appointment + services in one transaction, re-checking
+  // capacity under a lock (supabase/migrations/*_atomic_booking.sql)
+  const { data: appointment, error: insertError } = await supabase.rpc(
+    'book_appointment',
+    {
+      p_business_id: businessId,
+      p_customer_id: customer.id,
+      p_appointment_time: appointmentUtcTime,
+      p_slot_minutes: slot_minutes,
+      p_duration_minutes: totalDurationMinutes,
+      p_combo_id: comboId ?? null,
+      p_staff_id: slot.staffId,
+      p_buffer_before_minutes: buffers.before,
+      p_buffer_after_minutes: buffers.after,
+      p_series_id: seriesId ?? null,
+      // Prices as of booking, so later price changes don't rewrite history
+      p_services: services.map(s => ({
+        service_id: s.service_id,
+        duration_minutes: s.duration_minutes,
+        price: prices[s.service_id] ?? null,
+      })),
+      p_max_per_slot: slotCapacity(business, slot.staffId),
+    }
+  );
+
+  if (insertError) {
+    return insertError.message === SLOT_FULL_ERROR
+      ? { status: 409, error: 'Selected time slot is fully booked' }
+      : { status: 500, error: insertError.message };
+  }
+
+  await recordAppointmentEvent(businessId, appointment.id, 'created', actor, {
+    appointment_time: appointment.appointment_time,
+    staff_id: appointment.staff_id,
+    series_id: appointment.series_id,
+    services: services.map(s => s.service_id),
+  });
+
+  if (!notify) return { appointment, customer };
+
+  // 📩 Send WhatsApp confirmation
+  const formattedTime = formatAppointmentTime(
+    appointment.appointment_time,
+    business.timezone || 'UTC'
+  );
+
+  const message = `
+✅ Your appointment is confirmed.
+
+🛎 Services: ${services.length} service(s)
+📅 Date & Time: ${formattedTime}
+
+Reply CONFIRM, RESCHEDULE or CANCEL, or tap a button below.
+`.trim();
+
+  await sendAndLogSystemMessage({
+    business,
+    customerId: customer.id,
+    phone: customer.phone,
+    businessTimezone: business.timezone,
+    message: {
+      type: 'quick_reply',
+      text: message,
+      buttons: APPOINTMENT_REPLY_MENU.map(action => APPOINTMENT_REPLY_BUTTONS[action]),
+    },
+    purpose: 'appointment_confirmation',
+    variables: {
+      customer_name: customer.name || name || '',
+      appointment_time: formattedTime,
+      service_count: services.length,
+    },
+  });
+
+  return { appointment, customer };
+}
+
+app.post('/appointments', requireAuth, requirePermission('appointments.write'), async (req, res) => {
+  try {
+    console.log("CREATE APPOINTMENT payload:", req.body);
+
+    const {
+      phone,
+      name,
+      services,
+      appointment_utc_time,
+      combo_id,
+      staff_id,
+    } = req.body;
+
+    const result = await createAppointment({
+      actor: userActor(req),
+      businessId: req.businessId,
+      phone,
+      name,
+      services,
+      appointmentUtcTime: appointment_utc_time,
+      comboId: combo_id,
+      // Omit for "any available"
+      staffId: staff_id,
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json(result.appointment);
+  } catch (err) {
+    console.error('Create appointment error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+
+app.post('/conversations/read', requireAuth, requirePermission('messages.read'), async (req, res) => {
+  const { customer_id } = req.body;
+
+  if (!customer_id) {
+    return res.status(400).json({ error: 'customer_id is required' });
+  }
+
+  try {
+    const { error } = await supabase
+      .from('conversation_reads')
+      .upsert(
+        {
+          business_id: req.businessId,
+          customer_id,
+          user_id: req.user.id,
+          last_read_at: new Date().toISOString(),
+        },
+        {
+          onConflict: 'business_id,customer_id,user_id',
+        }
+      );
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+
+app.get('/appointments/upcoming', requireAuth, requirePermission('appointments.read'), async (req, res) => {
+  const businessId = req.businessId;
+
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('appointments')
+    .select(`
+  id,
+  appointment_time,
+  status,
+  combo_id,
+  staff_id,
+  staff (
+    id,
+    name
+  ),
+  service_combos (
+    id,
+    name
+  ),
+  appointment_services (
+    service_id,
+    services (
+      id,
+      name
+    )
+  )
+`)
+
+
+
+    .eq('business_id', businessId)
+    .eq('status', 'scheduled')
+    .gte('appointment_time', now)
+    .order('appointment_time', { ascending: true })
+    .is('archived_at', null);
+
+
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  res.json(data);
+});
+
+// The customer's next scheduled appointment, or null
+async function getNextAppointment(businessId, customerId) {
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('appointments')
+    .select(`
+  id,
+  appointment_time,
+  duration_minutes,
+  buffer_before_minutes,
+  buffer_after_minutes,
+  status,
+  combo_id,
+  staff_id,
+  staff (
+    id,
+    name
+  ),
+  service_combos (
+    id,
+    name
+  ),
+  appointment_services (
+    services (
+      id,
+      name
+    )
+  )
+`)
+    .eq('business_id', businessId)
+    .eq('customer_id', customerId)
+    .eq('status', 'scheduled')
+    .gte('appointment_time', now)
+    .order('appointment_time', { ascending: true })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  return data;
+}
+
+app.get('/appointments/next', requireAuth, requirePermission('appointments.read'), async (req, res) => {
+  const { customerId } = req.query;
+
+  if (!customerId) {
+    return res.status(400).json({ error: 'customerId is required' });
+  }
+
+  try {
+    res.json(await getNextAppointment(req.businessId, customerId));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/appointments/:id/history', requireAuth, requirePermission('appointments.read'), async (req, res) => {
+  const { data: appointment, error: apptError } = await supabase
+    .from('appointments')
+    .select('id')
+    .eq('id', req.params.id)
+    .eq('business_id', req.businessId)
+    .maybeSingle();
+
+  if (apptError) return res.status(500).json({ error: apptError.message });
+
+  if (!appointment) {
+    return res.status(404).json({ error: 'Appointment not found' });
+  }
+
+  const { data, error } = await supabase
+    .from('appointment_events')
+    .select('id, type, actor_type, actor_id, data, created_at')
+    .eq('appointment_id', appointment.id)
+    .order('created_at', { ascending: true });
+
+  if (error) return res.status(500).json({ error: error.message });
+
+  res.json({ appointment_id: appointment.id, events: data });
+});
+
+const APPOINTMENT_LIST_COLUMNS = `
+  id,
+  customer_id,
+  appointment_time,
+  status,
+  combo_id,
+  duration_minutes,
+  series_id,
+  cancelled_by,
+  cancellation_reason,
+  late_cancellation,
+  staff_id,
+  staff (
+    id,
+    name
+  ),
+  appointment_services (
+    duration_minutes,
+    services (
+      id,
+      name,
+      service_combo_items (
+        combo_id,
+        service_combos (
+          id,
+          name
+        )
+      )
+    )
+  ),
+  customers (
+    id,
+    name,
+    phone
+  )
+`;
+
+// Scheduled first, then the rest, each newest first
+function orderAppointmentList(appointments) {
+  const upcoming = [];
+  const past = [];
+
+  for (const appt of appointments) {
+    if (appt.status === 'scheduled') {
+      upcoming.push(appt);
+    } else {
+      past.push(appt);
+    }
+  }
+
+  return [...upcoming, ...past];
+}
+
+app.get('/appointments', requireAuth, requirePermission('appointments.read'), async (req, res) => {
+  const businessId = req.businessId;
+  try {
+    const { data, error } = await supabase
+      .from('appointments')
+      .select(APPOINTMENT_LIST_COLUMNS)
+      .eq('business_id', businessId)
+      .order('status', {
+        ascending: true,
+        foreignTable: undefined
+      })
+      .order('appointment_time', { ascending: false });
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    res.json(orderAppointmentList(data));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ---------- Cross-branch views ---------- */
+
+const BRANCH_PAGE_SIZE = 100;
+const BRANCH_PAGE_MAX = 1000;
+
+// ?limit (1-1000, default 100) and ?offset for the cross-branch lists
+function branchPage(query) {
+  const limit = Math.min(
+    Math.max(Math.trunc(Number(query.limit)) || BRANCH_PAGE_SIZE, 1),
+    BRANCH_PAGE_MAX
+  );
+  const offset = Math.max(Math.trunc(Number(query.offset)) || 0, 0);
+
+  return { limit, offset };
+}
+
+// Businesses where the caller's role grants `permission`, optionally
+// narrowed by ?business_ids=a,b (every requested one must grant it)
+async function loadPermittedBranches(req, permission) {
+  const permitted = [];
+
+  for (const membership of req.memberships) {
+    const permissions = await resolvePermissions(membership.business_id, membership.role);
+    if (permissions.includes(permission)) permitted.push(membership.business_id);
+  }
+
+  const requested = req.query.business_ids
+    ? String(req.query.business_ids).split(',').filter(Boolean)
+    : permitted;
+
+  if (!requested.length || requested.some(id => !permitted.includes(id))) {
+    return {
+      status: 403,
+      error: `Missing permission: ${permission} in every requested business`,
+    };
+  }
+
+  const { data, error } = await supabase
+    .from('businesses')
+    .select('id, name, city, timezone')
+    .in('id', requested);
+
+  if (error) return { status: 500, error: error.message };
+  return { branches: data };
+}
+
+// ?business_ids, from, to (ISO, on appointment_time), limit, offset
+app.get('/branches/appointments', requireAuth, requirePermission('appointments.read'), async (req, res) => {
+  try {
+    const { branches, status, error: branchError } =
+      await loadPermittedBranches(req, 'appointments.read');
+
+    if (branchError) {
+      return res.status(status).json({ error: branchError });
+    }
+
+    const { limit, offset } = branchPage(req.query);
+
+    let query = supabase
+      .from('appointments')
+      .select(`business_id, ${APPOINTMENT_LIST_COLUMNS}`)
+      .in('business_id', branches.map(branch => branch.id))
+      .order('appointment_time', { ascending: false })
+      .order('id')
+      .range(offset, offset + limit - 1);
+
+    if (req.query.from) query = query.gte('appointment_time', req.query.from);
+    if (req.query.to) query = query.lt('appointment_time', req.query.to);
+
+    const { data, error } = await query;
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    const branchById = Object.fromEntries(branches.map(branch => [branch.id, branch]));
+
+    res.json(orderAppointmentList(data).map(appt => ({
+      ...appt,
+      business: branchById[appt.business_id],
+    })));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ?business_ids, limit, offset
+app.get('/branches/customers', requireAuth, requirePermission('customers.read'), async (req, res) => {
+  try {
+    const { branches, status, error: branchError } =
+      await loadPermittedBranches(req, 'customers.read');
+
+    if (branchError) {
+      return res.status(status).json({ error: branchError });
+    }
+
+    const { limit, offset } = branchPage(req.query);
+
+    // Branches are listed one after another, so read each in pages only as
+    // far as the requested window reaches
+    const rows = [];
+    const end = offset + limit;
+
+    for (const branch of branches) {
+      for (let from = 0; rows.length < end; from += FETCH_PAGE_SIZE) {
+        const size = Math.min(FETCH_PAGE_SIZE, end - rows.length);
+
+        const { data, error } = await supabase
+          .rpc('get_customers_with_last_message', {
+            business_uuid: branch.id,
+            user_uuid: req.user.id,
+          })
+          .range(from, from + size - 1);
+
+        if (error) throw error;
+
+        rows.push(...data.map(row => ({ ...row, business: branch })));
+        if (data.length < size) break;
+      }
+
+      if (rows.length >= end) break;
+    }
+
+    res.json(rows.slice(offset, end));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+scheduleJob('* * * * *', async () => {
+  try {
+    console.log('Running automation rules check...');
+
+    // Get ALL businesses
+    const { data: businesses } = await supabase
+      .from('businesses')
+      .select('*');
+
+    if (!businesses?.length) return;
+
+    // Loop through each business
+    for (const business of businesses) {
+      // Get enabled rules for this business
+      const { data: rules } = await supabase
+        .from('automation_rules')
+        .select('*')
+        .eq('business_id', business.id)
+        .eq('enabled', true);
+
+      if (!rules?.length) continue;
+
+      // Use Luxon instead of Date
+      const now = DateTime.now().toUTC();
+
+      for (const rule of rules) {
+        const template = rule.template_id
+          ? await loadMessageTemplate(business.id, rule.template_id)
+          : null;
+
+        // Calculate time windows using Luxon
+        const from = now.plus({ minutes: rule.offset_minutes - 1 });
+        const to = now.plus({ minutes: rule.offset_minutes });
+
+        const { data: appointments } = await supabase
+          .from('appointments')
+          .select(`
+            id,
+            service,
+            appointment_time,
+            customer_id,
+            customers ( phone )
+          `)
+          .eq('business_id', business.id)
+          .eq('status', 'scheduled')
+          .gte('appointment_time', from.toISO())
+          .lte('appointment_time', to.toISO());
+
+        if (!appointments?.length) continue;
+
+        for (const appt of appointments) {
+          // Check if this rule already fired
+          const { data: alreadySent } = await supabase
+            .from('automation_logs')
+            .select('id')
+            .eq('appointment_id', appt.id)
+            .eq('rule_id', rule.id)
+            .maybeSingle();
+
+          if (alreadySent) continue;
+
+          // Convert UTC appointment time to business timezone
+          const appointmentDateTime = DateTime.fromISO(appt.appointment_time, { zone: 'UTC' });
+          const businessTz = business.timezone || 'UTC';
+          const localTime = appointmentDateTime.setZone(businessTz).toFormat('yyyy-MM-dd hh:mm a');
+
+          // Build message: approved template when configured, else free text
+          const variables = {
+            service: appt.service || 'your service',
+            appointment_time: localTime,
+          };
+
+          const message = template
+            ? buildTemplateMessage(
+              template,
+              (rule.template_params || []).map(param =>
+                fillPlaceholders(param, variables)
+              )
+            )
+            : { type: 'text', text: fillPlaceholders(rule.message_template, variables) };
+
+          const sendResult = await sendAndLogSystemMessage({
+            business,
+            customerId: appt.customer_id,
+            phone: appt.customers.phone,
+            message,
+            purpose: 'appointment_reminder',
+            variables,
+          });
+
+          await recordAppointmentEvent(business.id, appt.id, 'reminder_sent', SYSTEM_ACTOR, {
+            rule_id: rule.id,
+            rule_type: rule.rule_type,
+            message_id: sendResult.id,
+            status: sendResult.status,
+          });
+
+          // Blocked sends (window closed, no template) won't succeed on retry either
+          if (sendResult.status !== 'failed') {
+            await supabase.from('automation_logs').insert([
+              {
+                appointment_id: appt.id,
+                rule_id: rule.id
+              }
+            ]);
+
+            console.log(
+              `Rule ${rule.id} executed for appointment ${appt.id} (Business: ${business.id})`
+            );
+          }
+        }
+      }
+    }
+  } catch (err) {
+    console.error('Automation cron error:', err.message);
+  }
+});
+
+app.post('/service-combos', requireAuth, requirePermission('catalog.manage'), async (req, res) => {
+  // Buffers are optional; null falls back to the services' own
+  const {
+    name,
+    service_ids,
+    buffer_before_minutes = null,
+    buffer_after_minutes = null,
+  } = req.body;
+
+  if (
+    !name ||
+    !Array.isArray(service_ids) ||
+    service_ids.length === 0
+  ) {
+    return res.status(400).json({
+      error: 'name and service_ids[] are required'
+    });
+  }
+
+  if (
+    (buffer_before_minutes !== null && !isBufferMinutes(buffer_before_minutes)) ||
+    (buffer_after_minutes !== null && !isBufferMinutes(buffer_after_minutes))
+  ) {
+    return res.status(400).json({
+      error: 'Buffer minutes must be non-negative integers'
+    });
+  }
+
+  // 🔒 Validate services belong to business
+  const { data: services, error: svcError } = await supabase
+    .from('services')
+    .select('id')
+    .eq('business_id', req.businessId)
+    .in('id', service_ids);
+
+  if (svcError || services.length !== service_ids.length) {
+    return res.status(400).json({
+      error: 'One or more services are invalid'
+    });
+  }
+
+  // 1️⃣ Create combo
+  const { data: combo, error } = await supabase
+    .from('service_combos')
+    .insert({
+      business_id: req.businessId,
+      name,
+      buffer_before_minutes,
+      buffer_after_minutes
+    })
+    .select()
+    .single();
+
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  // 2️⃣ Create combo items
+  const items = service_ids.map((id, idx) => ({
+    combo_id: combo.id,
+    service_id: id,
+    sort_order: idx
+  }));
+
+  const { error: itemError } = await supabase
+    .from('service_combo_items')
+    .insert(items);
+
+  if (itemError) {
+    return res.status(500).json({ error: itemError.message });
+  }
+
+  res.json(combo);
+});
+
+
+app.patch('/service-combos/:id', requireAuth, requirePermission('catalog.manage'), async (req, res) => {
+  await snapshotForAudit(res, 'service_combos', req.params.id, req.businessId);
+
+  await supabase
+    .from('service_combos')
+    .update({ is_active: false })
+    .eq('id', req.params.id)
+    .eq('business_id', req.businessId);
+
+  res.json({ success: true });
+});
+
+
+app.get('/service-combos', requireAuth, requirePermission('appointments.read'), async (req, res) => {
+  const { data, error } = await supabase
+    .from('service_combos')
+    .select(`
+      id,
+      name,
+      buffer_before_minutes,
+      buffer_after_minutes,
+      service_combo_items (
+        service_id,
+        services (
+          id,
+          name,
+          duration_minutes,
+          buffer_before_minutes,
+          buffer_after_minutes
+        )
+      )
+    `)
+    .eq('business_id', req.businessId)
+    .eq('is_active', true);
+
+  if (error) return res.status(500).json({ error: error.message });
+  res.json(data);
+});
+
+/* ---------- Staff ---------- */
+
+const STAFF_COLUMNS = `
+  id,
+  name,
+  phone,
+  is_active,
+  staff_services ( service_id ),
+  staff_hours ( weekday, open_time, close_time )
+`;
+
+// Returns an error message, or null when the staff payload is usable
+async function validateStaffPayload(businessId, { service_ids, hours }) {
+  if (service_ids !== undefined) {
+    if (!Array.isArray(service_ids)) return 'service_ids must be an array';
+
+    const { data: services, error } = await supabase
+      .from('services')
+      .select('id')
+      .eq('business_id', businessId)
+      .in('id', service_ids);
+
+    if (error) throw error;
+
+    if (services.length !== new Set(service_ids).size) {
+      return 'One or more services are invalid';
+    }
+  }
+
+  if (hours !== undefined) {
+    if (
+      !Array.isArray(hours) ||
+      hours.some(h => ![1, 2, 3, 4, 5, 6, 7].includes(h?.weekday))
+    ) {
+      return 'hours must be an array of { weekday (1 = Monday … 7 = Sunday), open_time, close_time }';
+    }
+
+    for (let weekday = 1; weekday <= 7; weekday++) {
+      const dayError = validateHoursIntervals(
+        hours.filter(h => h.weekday === weekday)
+      );
+
+      if (dayError) return dayError;
+    }
+  }
+
+  return null;
+}
+
+// Replaces a staff member's services and/or working hours. As with opening
+// hours, new rows go in before old ones are removed, so a failed write
+// keeps the previous calendar
+async function saveStaffCalendar(staffId, { service_ids, hours }) {
+  if (service_ids !== undefined) {
+    const { data: current, error: currentError } = await supabase
+      .from('staff_services')
+      .select('service_id')
+      .eq('staff_id', staffId);
+
+    if (currentError) throw currentError;
+
+    const wanted = new Set(service_ids);
+    const existing = new Set(current.map(row => row.service_id));
+    const added = [...wanted].filter(id => !existing.has(id));
+    const removed = [...existing].filter(id => !wanted.has(id));
+
+    if (added.length) {
+      const { error } = await supabase
+        .from('staff_services')
+        .insert(added.map(service_id => ({ staff_id: staffId, service_id })));
+
+      if (error) throw error;
+    }
+
+    if (removed.length) {
+      const { error } = await supabase
+        .from('staff_services')
+        .delete()
+        .eq('staff_id', staffId)
+        .in('service_id', removed);
+
+      if (error) {
+        if (added.length) {
+          await supabase
+            .from('staff_services')
+            .delete()
+            .eq('staff_id', staffId)
+            .in('service_id', added);
+        }
+
+        throw error;
+      }
+    }
+  }
+
+  if (hours !== undefined) {
+    const { data: previous, error: previousError } = await supabase
+      .from('staff_hours')
+      .select('id')
+      .eq('staff_id', staffId);
+
+    if (previousError) throw previousError;
+
+    let inserted = [];
+
+    if (hours.length) {
+      const { data, error } = await supabase
+        .from('staff_hours')
+        .insert(hours.map(h => ({
+          staff_id: staffId,
+          weekday: h.weekday,
+          open_time: h.open_time,
+          close_time: h.close_time,
+        })))
+        .select('id');
+
+      if (error) throw error;
+
+      inserted = data;
+    }
+
+    if (previous.length) {
+      const { error } = await supabase
+        .from('staff_hours')
+        .delete()
+        .in('id', previous.map(row => row.id));
+
+      if (error) {
+        if (inserted.length) {
+          await supabase
+            .from('staff_hours')
+            .delete()
+            .in('id', inserted.map(row => row.id));
+        }
+
+        throw error;
+      }
+    }
+  }
+}
+
+app.get('/staff', requireAuth, requirePermission('appointments.read'), async (req, res) => {
+  const { data, error } = await supabase
+    .from('staff')
+    .select(STAFF_COLUMNS)
+    .eq('business_id', req.businessId)
+    .eq('is_active', true)
+    .order('created_at');
+
+  if (error) return res.status(500).json({ error: error.message });
+  res.json(data);
+});
+
+// hours are optional; staff without them work the business's opening hours
+app.post('/staff', requireAuth, requirePermission('staff.manage'), async (req, res) => {
+  const { name, phone, service_ids = [], hours = [] } = req.body;
+
+  if (!name) {
+    return res.status(400).json({ error: 'name is required' });
+  }
+
+  try {
+    const invalid = await validateStaffPayload(req.businessId, { service_ids, hours });
+
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const { data: member, error } = await supabase
+      .from('staff')
+      .insert({
+        business_id: req.businessId,
+        name,
+        phone: phone ? normalizePhone(phone) : null,
+      })
+      .select('id')
+      .single();
+
+    if (error) return res.status(500).json({ error: error.message });
+
+    try {
+      await saveStaffCalendar(member.id, { service_ids, hours });
+    } catch (err) {
+      // No half-created, bookable staff member; the calendar rows cascade
+      await supabase.from('staff').delete().eq('id', member.id);
+      throw err;
+    }
+
+    const { data, error: loadError } = await supabase
+      .from('staff')
+      .select(STAFF_COLUMNS)
+      .eq('id', member.id)
+      .single();
+
+    if (loadError) return res.status(500).json({ error: loadError.message });
+    res.json(data);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.patch('/staff/:id', requireAuth, requirePermission('staff.manage'), async (req, res) => {
+  const { name, phone, is_active, service_ids, hours } = req.body;
+
+  try {
+    await snapshotForAudit(res, 'staff', req.params.id, req.businessId, STAFF_COLUMNS);
+
+    const invalid = await validateStaffPayload(req.businessId, { service_ids, hours });
+
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const updates = {
+      ...(name && { name }),
+      ...(phone !== undefined && { phone: phone ? normalizePhone(phone) : null }),
+      ...(typeof is_active === 'boolean' && { is_active }),
+    };
+
+    // Calendar-only edits still need the ownership check
+    const { data: member, error } = Object.keys(updates).length
+      ? await supabase
+        .from('staff')
+        .update(updates)
+        .eq('id', req.params.id)
+        .eq('business_id', req.businessId)
+        .select('id')
+        .maybeSingle()
+      : await supabase
+        .from('staff')
+        .select('id')
+        .eq('id', req.params.id)
+        .eq('business_id', req.businessId)
+        .maybeSingle();
+
+    if (error) return res.status(500).json({ error: error.message });
+
+    if (!member) {
+      return res.status(404).json({ error: 'Staff member not found' });
+    }
+
+    await saveStaffCalendar(member.id, { service_ids, hours });
+
+    const { data, error: loadError } = await supabase
+      .from('staff')
+      .select(STAFF_COLUMNS)
+      .eq('id', member.id)
+      .single();
+
+    if (loadError) return res.status(500).json({ error: loadError.message });
+    res.json(data);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+async function autoMarkNoShows() {
+  try {
+    const now = DateTime.now().toUTC();
+
+    // 1️⃣ Get businesses with their no-show grace settings
+    const { data: businesses, error: bizError } = await supabase
+      .from('businesses')
+      .select('id, appointment_settings');
+
+    if (bizError || !businesses?.length) {
+      console.error('Failed to load businesses for no-show check');
+      return;
+    }
+
+    for (const business of businesses) {
+      const graceMinutes =
+        business.appointment_settings?.no_show_grace_minutes ?? 30;
+
+      // 2️⃣ Get scheduled appointments for this business
+      const { data: appointments, error: apptError } = await supabase
+        .from('appointments')
+        .select('id, appointment_time, duration_minutes, staff_id')
+        .eq('business_id', business.id)
+        .eq('status', 'scheduled');
+
+      if (apptError || !appointments?.length) continue;
+
+      // 3️⃣ Find overdue appointments
+      const overdue = appointments.filter(appt => {
+        const apptTime = DateTime.fromISO(appt.appointment_time, {
+          zone: 'UTC',
+        });
+        const noShowAt = apptTime.plus({ minutes: graceMinutes });
+
+        return now > noShowAt;
+      });
+      const overdueIds = overdue.map(a => a.id);
+
+      if (overdueIds.length === 0) continue;
+
+      // 4️⃣ Mark them as no-show (staff_id stays for per-staff reporting)
+      const { error: updateError } = await supabase
+        .from('appointments')
+        .update({ status: 'no_show' })
+        .in('id', overdueIds);
+
+      if (updateError) {
+        console.error(
+          `No-show update failed for business ${business.id}`,
+          updateError.message
+        );
+      } else {
+        const staffIds = [...new Set(overdue.map(a => a.staff_id).filter(Boolean))];
+
+        for (const appt of overdue) {
+          await recordAppointmentEvent(business.id, appt.id, 'status_changed', SYSTEM_ACTOR, {
+            from: 'scheduled',
+            to: 'no_show',
+            grace_minutes: graceMinutes,
+          });
+
+          await offerFreedSlot(business.id, appt);
+        }
+
+        console.log(
+          `Auto-marked ${overdueIds.length} appointment(s) as no_show for business ${business.id}` +
+          (staffIds.length ? ` (staff: ${staffIds.join(', ')})` : '')
+        );
+      }
+    }
+  } catch (err) {
+    console.error('Auto no-show cron error:', err.message);
+  }
+}
+
+
+scheduleJob('* * * * *', autoMarkNoShows);
+
+scheduleJob('0 3 * * *', async () => {
+  // runs daily at 3 AM server time
+  try {
+    console.log('Archiving old cancelled / no-show appointments');
+
+    const cutoff = DateTime.now()
+      .minus({ days: 5 })
+      .toUTC()
+      .toISO();
+
+    const { error } = await supabase
+      .from('appointments')
+      .update({ archived_at: new Date().toISOString() })
+      .in('status', ['cancelled', 'no_show'])
+      .lt('appointment_time', cutoff)
+      .is('archived_at', null);
+
+    if (error) {
+      console.error('Archive cron error:', error.message);
+    }
+  } catch (err) {
+    console.error('Archive cron crash:', err.message);
+  }
+});
+
+//
+
+/* ---------- Cancellations ---------- */
+
+const CANCELLATION_REASONS = [
+  'customer_request',
+  'schedule_conflict',
+  'illness',
+  'no_longer_needed',
+  'staff_unavailable',
+  'business_closed',
+  'duplicate',
+  'other',
+];
+const CANCELLED_BY = ['business', 'customer'];
+
+// Cancels a scheduled appointment: records who cancelled and why, flags
+// it late when inside appointment_settings.cancellation_window_hours, stops
+// its reminders and offers the slot to the waitlist. `enforceWindow` lets
+// the business refuse late self-service cancellations.
+// Returns { appointment } or { status, error }.
+async function cancelAppointment({
+  businessId,
+  appointmentId,
+  cancelledBy,
+  reasonCode,
+  note,
+  notify = false,
+  enforceWindow = false,
+  actor = SYSTEM_ACTOR,
+}) {
+  /* --------------------------------------------------
+     1️⃣ Load appointment + business policy
+  -------------------------------------------------- */
+  const { data: appointment, error: fetchError } = await supabase
+    .from('appointments')
+    .select('id, status, customer_id, appointment_time, duration_minutes, customers(name, phone)')
+    .eq('id', appointmentId)
+    .eq('business_id', businessId)
+    .single();
+
+  if (fetchError || !appointment) {
+    return { status: 404, error: 'Appointment not found' };
+  }
+
+  if (appointment.status !== 'scheduled') {
+    return { status: 409, error: 'Only scheduled appointments can be cancelled' };
+  }
+
+  const business = await loadBookingBusiness(businessId);
+  const settings = business.appointment_settings || {};
+  const windowHours = settings.cancellation_window_hours ?? 0;
+  const hoursBefore = DateTime
+    .fromISO(appointment.appointment_time, { zone: 'UTC' })
+    .diffNow('hours').hours;
+  const isLate = windowHours > 0 && hoursBefore < windowHours;
+
+  if (isLate && enforceWindow && settings.block_late_customer_cancellations) {
+    return {
+      status: 422,
+      error: `Cancellations within ${windowHours} hours of the appointment must be made with the business`,
+    };
+  }
+
+  /* --------------------------------------------------
+     2️⃣ Cancel (only if still scheduled)
+  -------------------------------------------------- */
+  const { data: cancelled, error } = await supabase
+    .from('appointments')
+    .update({
+      status: 'cancelled',
+      cancelled_at: new Date().toISOString(),
+      cancelled_by: cancelledBy,
+      cancellation_reason: reasonCode,
+      cancellation_note: note || null,
+      late_cancellation: isLate,
+    })
+    .eq('id', appointmentId)
+    .eq('status', 'scheduled')
+    .select('*, customers(phone)')
+    .maybeSingle();
+
+  if (error) {
+    return { status: 500, error: error.message };
+  }
+
+  if (!cancelled) {
+    return { status: 409, error: 'Only scheduled appointments can be cancelled' };
+  }
+
+  await recordAppointmentEvent(businessId, appointmentId, 'status_changed', actor, {
+    from: 'scheduled',
+    to: 'cancelled',
+    cancelled_by: cancelledBy,
+    reason: reasonCode,
+    note: note || null,
+    late: isLate,
+  });
+
+  /* --------------------------------------------------
+     3️⃣ Stop reminders + update customer history
+  -------------------------------------------------- */
+  await supabase
+    .from('automation_logs')
+    .delete()
+    .eq('appointment_id', appointmentId);
+
+  if (isLate) {
+    const { count } = await supabase
+      .from('appointments')
+      .select('id', { count: 'exact', head: true })
+      .eq('customer_id', appointment.customer_id)
+      .eq('late_cancellation', true);
+
+    await supabase
+      .from('customers')
+      .update({ late_cancellation_count: count ?? 0 })
+      .eq('id', appointment.customer_id);
+  }
+
+  /* --------------------------------------------------
+     4️⃣ Notify customer + offer the slot to the waitlist
+  -------------------------------------------------- */
+  if (notify) {
+    const formattedTime = formatAppointmentTime(
+      appointment.appointment_time,
+      business.timezone || 'UTC'
+    );
+
+    await sendAndLogSystemMessage({
+      business,
+      customerId: appointment.customer_id,
+      phone: appointment.customers.phone,
+      content: [
+        `❌ Your appointment on ${formattedTime} has been cancelled.`,
+        ...(note ? ['', note] : []),
+        '',
+        'Reply here if you’d like to book another time.',
+      ].join('\n'),
+      purpose: 'appointment_cancelled',
+      variables: {
+        customer_name: appointment.customers.name || '',
+        appointment_time: formattedTime,
+        reason: note || reasonCode,
+      },
+    });
+  }
+
+  await offerFreedSlot(businessId, appointment);
+
+  return { appointment: cancelled };
+}
+
+// Dashboard cancel. cancelled_by is "customer" when staff record a
+// cancellation the customer asked for (phone call, walk-in).
+app.post('/appointments/:id/cancel', requireAuth, requirePermission('appointments.write'), async (req, res) => {
+  const {
+    reason_code,
+    note,
+    cancelled_by = 'business',
+    notify = true,
+  } = req.body;
+
+  if (!CANCELLATION_REASONS.includes(reason_code)) {
+    return res.status(400).json({
+      error: `reason_code must be one of ${CANCELLATION_REASONS.join(', ')}`
+    });
+  }
+
+  if (!CANCELLED_BY.includes(cancelled_by)) {
+    return res.status(400).json({ error: 'cancelled_by must be business or customer' });
+  }
+
+  try {
+    const result = await cancelAppointment({
+      actor: userActor(req),
+      businessId: req.businessId,
+      appointmentId: req.params.id,
+      cancelledBy: cancelled_by,
+      reasonCode: reason_code,
+      note,
+      notify: notify === true,
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json(result.appointment);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.patch('/appointments/:id/status', requireAuth, requirePermission('appointments.write'), async (req, res) => {
+  const businessId = req.businessId;
+  const { id } = req.params;
+  const { status } = req.body;
+
+  const allowedStatuses = ['completed', 'no_show', 'cancelled'];
+
+  if (!allowedStatuses.includes(status)) {
+    return res.status(400).json({
+      error: 'Invalid status'
+    });
+  }
+
+  try {
+    // Kept for older clients; POST /appointments/:id/cancel takes a reason
+    if (status === 'cancelled') {
+      const result = await cancelAppointment({
+        actor: userActor(req),
+        businessId,
+        appointmentId: id,
+        cancelledBy: 'business',
+        reasonCode: CANCELLATION_REASONS.includes(req.body.reason_code)
+          ? req.body.reason_code
+          : 'other',
+        note: req.body.note,
+      });
+
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      return res.json(result.appointment);
+    }
+
+    // Ensure appointment belongs to this business
+    const { data: appointment, error: fetchError } = await supabase
+      .from('appointments')
+      .select('id, status, appointment_time, duration_minutes')
+      .eq('id', id)
+      .eq('business_id', businessId)
+      .single();
+
+    if (fetchError || !appointment) {
+      return res.status(404).json({
+        error: 'Appointment not found'
+      });
+    }
+
+    // Update status explicitly
+    const { data, error } = await supabase
+      .from('appointments')
+      .update({ status })
+      .eq('id', id)
+      .select('*, customers(phone)')
+      .single();
+
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    await recordAppointmentEvent(businessId, id, 'status_changed', userActor(req), {
+      from: appointment.status,
+      to: status,
+    });
+
+    if (appointment.status === 'scheduled' && status === 'no_show') {
+      await offerFreedSlot(businessId, appointment);
+    }
+
+    res.json(data);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.patch('/businesses/settings/appointments', requireAuth, requirePermission('settings.manage'), async (req, res) => {
+  const businessId = req.businessId;
+
+  const {
+    reminder_24h,
+    reminder_2h,
+    no_show_grace_minutes,
+    max_appointments_per_slot,
+    chatbot_enabled,
+    reply_keywords,
+    waitlist_hold_minutes,
+    cancellation_window_hours,
+    block_late_customer_cancellations,
+  } = req.body;
+
+  if (
+    reply_keywords !== undefined &&
+    (typeof reply_keywords !== 'object' ||
+      Object.entries(reply_keywords).some(([action, keywords]) =>
+        !DEFAULT_REPLY_KEYWORDS[action] ||
+        !Array.isArray(keywords) ||
+        keywords.some(keyword => typeof keyword !== 'string')
+      ))
+  ) {
+    return res.status(400).json({
+      error: 'reply_keywords must map confirm/cancel/reschedule to string arrays'
+    });
+  }
+
+  // Basic validation
+  if (
+    typeof reminder_24h !== 'boolean' ||
+    typeof reminder_2h !== 'boolean' ||
+    typeof no_show_grace_minutes !== 'number' ||
+    typeof max_appointments_per_slot !== 'number' ||
+    (chatbot_enabled !== undefined && typeof chatbot_enabled !== 'boolean') ||
+    (waitlist_hold_minutes !== undefined &&
+      (!Number.isInteger(waitlist_hold_minutes) || waitlist_hold_minutes < 5)) ||
+    (cancellation_window_hours !== undefined &&
+      (typeof cancellation_window_hours !== 'number' || cancellation_window_hours < 0)) ||
+    (block_late_customer_cancellations !== undefined &&
+      typeof block_late_customer_cancellations !== 'boolean')
+  ) {
+    return res.status(400).json({ error: 'Invalid settings payload' });
+  }
+
+  // Keep settings this form doesn't manage
+  const { data: current, error: currentError } = await supabase
+    .from('businesses')
+    .select('appointment_settings')
+    .eq('id', businessId)
+    .single();
+
+  if (currentError) {
+    return res.status(500).json({ error: currentError.message });
+  }
+
+  res.locals.auditBefore = current.appointment_settings;
+
+  const { data, error } = await supabase
+    .from('businesses')
+    .update({
+      appointment_settings: {
+        ...current.appointment_settings,
+        reminder_24h,
+        reminder_2h,
+        no_show_grace_minutes,
+        max_appointments_per_slot,
+        ...(chatbot_enabled !== undefined && { chatbot_enabled }),
+        ...(waitlist_hold_minutes !== undefined && { waitlist_hold_minutes }),
+        ...(cancellation_window_hours !== undefined && { cancellation_window_hours }),
+        ...(block_late_customer_cancellations !== undefined && {
+          block_late_customer_cancellations,
+        }),
+        ...(reply_keywords !== undefined && {
+          reply_keywords: { ...current.appointment_settings?.reply_keywords, ...reply_keywords },
+        }),
+      },
+    })
+    .eq('id', businessId)
+    .select('appointment_settings')
+    .single();
+
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+  /* 🔄 SYNC REMINDER SETTINGS → AUTOMATION RULES */
+
+  // 24h reminder
+  await supabase
+    .from('automation_rules')
+    .update({ enabled: reminder_24h })
+    .eq('business_id', businessId)
+    .eq('rule_type', 'reminder_24h');
+
+  // 2h reminder
+  await supabase
+    .from('automation_rules')
+    .update({ enabled: reminder_2h })
+    .eq('business_id', businessId)
+    .eq('rule_type', 'reminder_2h');
+
+  res.json(data.appointment_settings);
+});
+
+/* ---------- Opening hours ---------- */
+
+// Weekly hours live in business_hours (weekday 1 = Monday … 7 = Sunday,
+// several rows per day for breaks). business_schedule_exceptions overrides
+// a single local date: closed all day, or special `hours`.
+const TIME_OF_DAY_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)(:00)?$/;
+
+function timeToMinutes(value) {
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function toMinuteInterval(interval) {
+  return {
+    open: timeToMinutes(interval.open_time),
+    close: timeToMinutes(interval.close_time),
+  };
+}
+
+// Returns an error message, or null when the intervals are usable
+function validateHoursIntervals(intervals) {
+  if (!Array.isArray(intervals)) return 'hours must be an array';
+
+  const bad = intervals.find(interval =>
+    !TIME_OF_DAY_PATTERN.test(interval?.open_time || '') ||
+    !TIME_OF_DAY_PATTERN.test(interval?.close_time || '') ||
+    timeToMinutes(interval.open_time) >= timeToMinutes(interval.close_time)
+  );
+
+  if (bad) {
+    return 'Each interval needs open_time < close_time in HH:mm';
+  }
+
+  const sorted = intervals
+    .map(toMinuteInterval)
+    .sort((a, b) => a.open - b.open);
+
+  for (let i = 1; i < sorted.length; i++) {
+    if (sorted[i].open < sorted[i - 1].close) {
+      return 'Opening intervals must not overlap';
+    }
+  }
+
+  return null;
+}
+
+async function loadBusinessSchedule(businessId, fromDate, toDate) {
+  const { data: weekly, error } = await supabase
+    .from('business_hours')
+    .select('weekday, open_time, close_time')
+    .eq('business_id', businessId);
+
+  if (error) throw error;
+
+  const { data: exceptions, error: exceptionError } = await supabase
+    .from('business_schedule_exceptions')
+    .select('date, is_closed, hours')
+    .eq('business_id', businessId)
+    .gte('date', fromDate)
+    .lte('date', toDate);
+
+  if (exceptionError) throw exceptionError;
+
+  return { weekly, exceptions };
+}
+
+// Open intervals ({ open, close } in minutes of the local day)
+function openIntervalsForDate(schedule, localDate) {
+  const exception = schedule.exceptions.find(e => e.date === localDate);
+
+  if (exception) {
+    return exception.is_closed
+      ? []
+      : (exception.hours || []).map(toMinuteInterval);
+  }
+
+  // Businesses that never set hours keep the old open-all-day behaviour
+  if (!schedule.weekly.length) {
+    return [{ open: 0, close: 24 * 60 }];
+  }
+
+  const weekday = DateTime.fromISO(localDate).weekday;
+
+  return schedule.weekly
+    .filter(h => h.weekday === weekday)
+    .map(toMinuteInterval);
+}
+
+function isWithinOpeningHours(schedule, timezone, utcISO, durationMinutes) {
+  const local = DateTime.fromISO(utcISO, { zone: 'UTC' }).setZone(timezone);
+  const start = local.hour * 60 + local.minute;
+  const end = start + durationMinutes;
+
+  return openIntervalsForDate(schedule, local.toISODate())
+    .some(interval => start >= interval.open && end <= interval.close);
+}
+
+function isBufferMinutes(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+// null means the service has no list price
+function isServicePrice(value) {
+  return value === null || (typeof value === 'number' && Number.isFinite(value) && value >= 0);
+}
+
+// Setup before the first service and cleanup after the last one. A combo's
+// own buffers win over the services' configured ones; buffer values sent with
+// a booking are ignored. Returns { before, after } in minutes.
+async function resolveBookingBuffers(businessId, services, comboId) {
+  if (comboId) {
+    const { data: combo, error } = await supabase
+      .from('service_combos')
+      .select('buffer_before_minutes, buffer_after_minutes')
+      .eq('id', comboId)
+      .eq('business_id', businessId)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (
+      combo?.buffer_before_minutes != null &&
+      combo?.buffer_after_minutes != null
+    ) {
+      return {
+        before: combo.buffer_before_minutes,
+        after: combo.buffer_after_minutes,
+      };
+    }
+
+    if (combo) {
+      const fromServices = await resolveBookingBuffers(businessId, services);
+
+      return {
+        before: combo.buffer_before_minutes ?? fromServices.before,
+        after: combo.buffer_after_minutes ?? fromServices.after,
+      };
+    }
+  }
+
+  if (!services?.length) return { before: 0, after: 0 };
+
+  const first = services[0];
+  const last = services[services.length - 1];
+
+  const { data: rows, error } = await supabase
+    .from('services')
+    .select('id, buffer_before_minutes, buffer_after_minutes')
+    .eq('business_id', businessId)
+    .in('id', [first.service_id, last.service_id]);
+
+  if (error) throw error;
+
+  const defaults = id => rows.find(row => row.id === id) || {};
+
+  return {
+    before: defaults(first.service_id).buffer_before_minutes || 0,
+    after: defaults(last.service_id).buffer_after_minutes || 0,
+  };
+}
+
+// Active staff with their services and working hours. Empty when the
+// business has no staff set up, which keeps the single
+// max_appointments_per_slot capacity model.
+async function loadActiveStaff(businessId) {
+  const { data: staff, error } = await supabase
+    .from('staff')
+    .select(`
+      id,
+      name,
+      staff_services ( service_id ),
+      staff_hours ( weekday, open_time, close_time )
+    `)
+    .eq('business_id', businessId)
+    .eq('is_active', true);
+
+  if (error) throw error;
+
+  return staff;
+}
+
+// Who of `staff` can perform every one of `serviceIds` (optionally just `staffId`)
+function filterEligibleStaff(staff, serviceIds = [], staffId) {
+  return staff.filter(member =>
+    (!staffId || member.id === staffId) &&
+    serviceIds.every(serviceId =>
+      member.staff_services.some(item => item.service_id === serviceId)
+    )
+  );
+}
+
+// Everything needed to decide which starts on a local `date` are bookable
+async function loadBookingDay({
+  businessId,
+  business,
+  date,
+  serviceIds,
+  staffId,
+  excludeAppointmentId,
+}) {
+  const timezone = business?.timezone || 'UTC';
+  const { start: dayStart, end: dayEnd } = localDayWindow(date, timezone);
+
+  // Starts a day early so bookings running past midnight still count
+  let query = supabase
+    .from('appointments')
+    .select('appointment_time, duration_minutes, buffer_before_minutes, buffer_after_minutes, staff_id')
+    .eq('business_id', businessId)
+    .eq('status', 'scheduled')
+    .gte('appointment_time', dayStart.minus({ days: 1 }).toUTC().toISO())
+    .lt('appointment_time', dayEnd.toUTC().toISO());
+
+  if (excludeAppointmentId) {
+    query = query.neq('id', excludeAppointmentId);
+  }
+
+  const { data: booked, error } = await query;
+
+  if (error) throw error;
+
+  // Waitlist offers hold their slot until they expire
+  const { data: holds, error: holdError } = await supabase
+    .from('waitlist_offers')
+    .select('appointment_time, duration_minutes, buffer_before_minutes, buffer_after_minutes, staff_id')
+    .eq('business_id', businessId)
+    .eq('status', 'pending')
+    .gt('expires_at', new Date().toISOString())
+    .gte('appointment_time', dayStart.minus({ days: 1 }).toUTC().toISO())
+    .lt('appointment_time', dayEnd.toUTC().toISO());
+
+  if (holdError) throw holdError;
+
+  const appointments = [...booked, ...holds];
+
+  const schedule = await loadBusinessSchedule(businessId, date, date);
+  const allStaff = await loadActiveStaff(businessId);
+
+  const staffLoad = {};
+  for (const member of allStaff) {
+    const own = appointments.filter(appt => appt.staff_id === member.id);
+    staffLoad[member.id] = {
+      slots: buildSlotLoadMap(own, dayStart),
+      bookings: own.length,
+    };
+  }
+
+  // Bookings without an (active) staff member still need someone: they
+  // count against the team as a whole
+  const unassigned = appointments.filter(appt => !staffLoad[appt.staff_id]);
+
+  return {
+    timezone,
+    dayStart,
+    dayLength: dayEnd.diff(dayStart, 'minutes').minutes,
+    schedule,
+    staff: allStaff.length ? filterEligibleStaff(allStaff, serviceIds, staffId) : null,
+    allStaff,
+    staffLoad,
+    unassignedLoad: buildSlotLoadMap(unassigned, dayStart),
+    slotLoad: buildSlotLoadMap(appointments, dayStart),
+    maxPerSlot: business?.appointment_settings?.max_appointments_per_slot ?? 1,
+  };
+}
+
+// Who can take a booking starting `offset` minutes into the day: staff ids,
+// least busy first, or [null] for businesses without staff. Empty when full,
+// including when the free staff are all needed for unassigned bookings.
+// Opening hours apply to the service itself, capacity to the buffers too.
+function freeStaffAt(day, offset, durationMinutes, buffers) {
+  const utcTime = day.dayStart.plus({ minutes: offset }).toUTC().toISO();
+
+  if (!isWithinOpeningHours(day.schedule, day.timezone, utcTime, durationMinutes)) {
+    return [];
+  }
+
+  if (!day.staff) {
+    return fitsSlotCapacity(day.slotLoad, offset, durationMinutes, day.maxPerSlot, buffers)
+      ? [null]
+      : [];
+  }
+
+  const isFree = member =>
+    // Staff without their own hours work whenever the business is open
+    isWithinOpeningHours(
+      { weekly: member.staff_hours, exceptions: [] },
+      day.timezone,
+      utcTime,
+      durationMinutes
+    ) &&
+    fitsSlotCapacity(day.staffLoad[member.id].slots, offset, durationMinutes, 1, buffers);
+
+  // Someone free has to be left over for each unassigned booking
+  const before = buffers?.before || 0;
+  const after = buffers?.after || 0;
+  const unassigned = Math.max(
+    0,
+    ...getSlotRange(offset - before, before + durationMinutes + after)
+      .map(slot => day.unassignedLoad[slot] || 0)
+  );
+
+  if (unassigned && day.allStaff.filter(isFree).length <= unassigned) {
+    return [];
+  }
+
+  return day.staff
+    .filter(isFree)
+    .sort((a, b) => day.staffLoad[a.id].bookings - day.staffLoad[b.id].bookings)
+    .map(member => member.id);
+}
+
+// Raised by book_appointment / reschedule_appointment when a concurrent
+// booking took the last seat after checkBookingSlot passed
+const SLOT_FULL_ERROR = 'slot_full';
+
+// Bookings allowed per slot: one per staff member, else the business setting
+function slotCapacity(business, staffId) {
+  return staffId
+    ? 1
+    : business?.appointment_settings?.max_appointments_per_slot ?? 1;
+}
+
+// Opening hours + capacity check shared by booking and rescheduling. Picks
+// the least busy eligible staff member when `staffId` isn't given.
+// Returns { staffId } when the time is bookable, otherwise { status, error }.
+async function checkBookingSlot({
+  businessId,
+  business,
+  appointmentUtcTime,
+  durationMinutes,
+  buffers,
+  serviceIds,
+  staffId,
+  excludeAppointmentId,
+}) {
+  const timezone = business?.timezone || 'UTC';
+  const localDate = DateTime
+    .fromISO(appointmentUtcTime, { zone: 'UTC' })
+    .setZone(timezone)
+    .toISODate();
+
+  try {
+    const day = await loadBookingDay({
+      businessId,
+      business,
+      date: localDate,
+      serviceIds,
+      staffId,
+      excludeAppointmentId,
+    });
+
+    if (day.staff && !day.staff.length) {
+      return {
+        status: 409,
+        error: staffId
+          ? 'Selected staff member can’t perform these services'
+          : 'No staff member can perform these services',
+      };
+    }
+
+    const offset = minutesSinceDayStart(day.dayStart, appointmentUtcTime);
+
+    if (!isWithinOpeningHours(day.schedule, timezone, appointmentUtcTime, durationMinutes)) {
+      return { status: 409, error: 'Selected time is outside opening hours' };
+    }
+
+    const [freeStaffId] = freeStaffAt(day, offset, durationMinutes, buffers);
+
+    if (freeStaffId === undefined) {
+      return {
+        status: 409,
+        error: staffId
+          ? 'Selected staff member is not available at that time'
+          : 'Selected time slot is fully booked',
+      };
+    }
+
+    return { staffId: freeStaffId };
+  } catch (err) {
+    return { status: 500, error: err.message };
+  }
+}
+
+app.get('/businesses/settings/hours', requireAuth, requirePermission('appointments.read'), async (req, res) => {
+  const { data, error } = await supabase
+    .from('business_hours')
+    .select('weekday, open_time, close_time')
+    .eq('business_id', req.businessId)
+    .order('weekday')
+    .order('open_time');
+
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  res.json(data);
+});
+
+// Replaces the whole weekly schedule
+app.put('/businesses/settings/hours', requireAuth, requirePermission('settings.manage'), async (req, res) => {
+  const businessId = req.businessId;
+
+  const { hours } = req.body;
+
+  if (
+    !Array.isArray(hours) ||
+    hours.some(h => ![1, 2, 3, 4, 5, 6, 7].includes(h?.weekday))
+  ) {
+    return res.status(400).json({
+      error: 'hours must be an array of { weekday (1 = Monday … 7 = Sunday), open_time, close_time }'
+    });
+  }
+
+  for (let weekday = 1; weekday <= 7; weekday++) {
+    const dayError = validateHoursIntervals(
+      hours.filter(h => h.weekday === weekday)
+    );
+
+    if (dayError) {
+      return res.status(400).json({ error: dayError });
+    }
+  }
+
+  // New rows go in before the old ones are removed, so a failed write
+  // leaves the previous schedule in place rather than none at all
+  const { data: previous, error: previousError } = await supabase
+    .from('business_hours')
+    .select('id')
+    .eq('business_id', businessId);
+
+  if (previousError) {
+    return res.status(500).json({ error: previousError.message });
+  }
+
+  let inserted = [];
+
+  if (hours.length) {
+    const { data, error } = await supabase
+      .from('business_hours')
+      .insert(hours.map(h => ({
+        business_id: businessId,
+        weekday: h.weekday,
+        open_time: h.open_time,
+        close_time: h.close_time,
+      })))
+      .select('id');
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    inserted = data;
+  }
+
+  if (previous.length) {
+    const { error: deleteError } = await supabase
+      .from('business_hours')
+      .delete()
+      .in('id', previous.map(row => row.id));
+
+    if (deleteError) {
+      // Back to the old schedule instead of both overlapping
+      if (inserted.length) {
+        await supabase
+          .from('business_hours')
+          .delete()
+          .in('id', inserted.map(row => row.id));
+      }
+
+      return res.status(500).json({ error: deleteError.message });
+    }
+  }
+
+  res.json(hours);
+});
+
+app.get('/businesses/settings/hours/exceptions', requireAuth, requirePermission('appointments.read'), async (req, res) => {
+  const { from, to } = req.query;
+
+  let query = supabase
+    .from('business_schedule_exceptions')
+    .select('*')
+    .eq('business_id', req.businessId)
+    .order('date');
+
+  if (from) query = query.gte('date', from);
+  if (to) query = query.lte('date', to);
+
+  const { data, error } = await query;
+
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  res.json(data);
+});
+
+// One closure or special-hours entry per date (re-posting a date replaces it)
+app.post('/businesses/settings/hours/exceptions', requireAuth, requirePermission('settings.manage'), async (req, res) => {
+  const { date, is_closed, hours, note } = req.body;
+
+  if (!date || !DateTime.fromISO(date).isValid) {
+    return res.status(400).json({ error: 'date is required (YYYY-MM-DD)' });
+  }
+
+  if (is_closed !== true) {
+    const hoursError = validateHoursIntervals(hours);
+
+    if (hoursError || !hours.length) {
+      return res.status(400).json({
+        error: hoursError || 'Special hours need at least one interval, or is_closed: true'
+      });
+    }
+  }
+
+  const { data, error } = await supabase
+    .from('business_schedule_exceptions')
+    .upsert(
+      {
+        business_id: req.businessId,
+        date,
+        is_closed: is_closed === true,
+        hours: is_closed === true ? [] : hours,
+        note: note || null,
+      },
+      { onConflict: 'business_id,date' }
+    )
+    .select()
+    .single();
+
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  res.json(data);
+});
+
+app.delete('/businesses/settings/hours/exceptions/:id', requireAuth, requirePermission('settings.manage'), async (req, res) => {
+  const { error } = await supabase
+    .from('business_schedule_exceptions')
+    .delete()
+    .eq('id', req.params.id)
+    .eq('business_id', req.businessId);
+
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  res.json({ success: true });
+});
+
+// Which start times on the business's local `date` can fit `durationMinutes`.
+// Returns { slotSize, timezone, slots: { [localMinutes]: boolean }, times },
+// where `times` lists every start with its local and UTC timestamps and,
+// for businesses with staff, which staff members are free. `buffers`
+// defaults to the setup/cleanup of `serviceIds` / `comboId`; with neither,
+// none are blocked and `buffers_applied` is false.
+async function getAvailability({
+  businessId,
+  date,
+  durationMinutes,
+  serviceIds,
+  comboId,
+  buffers,
+  staffId,
+  excludeAppointmentId,
+}) {
+  const { data: business, error: bizError } = await supabase
+    .from('businesses')
+    .select('appointment_settings, timezone')
+    .eq('id', businessId)
+    .single();
+
+  if (bizError) throw bizError;
+
+  const blockedBuffers = buffers || await resolveBookingBuffers(
+    businessId,
+    (serviceIds || []).map(id => ({ service_id: id })),
+    comboId
+  );
+
+  // 1️⃣ Load bookings, opening hours and staff calendars for the local day
+  const day = await loadBookingDay({
+    businessId,
+    business,
+    date,
+    serviceIds,
+    staffId,
+    excludeAppointmentId,
+  });
+
+  // 2️⃣ Generate availability by START slot (frontend-compatible)
+  const availability = {};
+  const times = [];
+
+  // Iterate over possible START times in 15-min steps
+  for (
+    let offset = 0;
+    offset + durationMinutes <= day.dayLength;
+    offset += SLOT_SIZE_MINUTES
+  ) {
+    const start = day.dayStart.plus({ minutes: offset });
+    const minutes = start.hour * 60 + start.minute;
+    const freeStaff = freeStaffAt(day, offset, durationMinutes, blockedBuffers);
+    const isAvailable = freeStaff.length > 0;
+
+    times.push({
+      minutes,
+      local_time: start.toISO(),
+      utc_time: start.toUTC().toISO(),
+      available: isAvailable,
+      ...(day.staff && { staff_ids: freeStaff }),
+    });
+
+    // The repeated hour when clocks go back keeps its first occurrence
+    if (!(minutes in availability)) {
+      availability[minutes] = isAvailable;
+    }
+  }
+
+  return {
+    slotSize: SLOT_SIZE_MINUTES,
+    timezone: day.timezone,
+    buffers: blockedBuffers,
+    buffers_applied: Boolean(buffers || serviceIds?.length || comboId),
+    slots: availability,
+    times,
+  };
+}
+
+app.get('/appointments/availability', requireAuth, requirePermission('appointments.read'), async (req, res) => {
+  const businessId = req.businessId;
+  const {
+    date,
+    excludeAppointmentId,
+    duration_minutes,
+    service_ids,
+    combo_id,
+    staff_id,
+  } = req.query;
+
+  const durationMinutes = Number(duration_minutes);
+  console.log('AVAILABILITY QUERY:', {
+    date: req.query.date,
+    duration_minutes: req.query.duration_minutes,
+  });
+  console.log('Parsed durationMinutes:', durationMinutes);
+
+  if (!durationMinutes || durationMinutes <= 0) {
+    return res.status(400).json({
+      error: 'duration_minutes is required',
+    });
+  }
+
+  if (!date) {
+    return res.status(400).json({ error: 'date is required (YYYY-MM-DD)' });
+  }
+
+  try {
+    res.json(await getAvailability({
+      businessId,
+      date,
+      durationMinutes,
+      // Comma-separated; limits availability to staff who do all of them
+      serviceIds: service_ids ? String(service_ids).split(',') : [],
+      comboId: combo_id,
+      staffId: staff_id,
+      excludeAppointmentId,
+    }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Moves an appointment to a new start time and notifies the customer.
+// Shared by the dashboard route and WhatsApp reschedule replies.
+// Returns { appointment } or { status, error }.
+async function rescheduleAppointment({
+  businessId,
+  appointmentId,
+  appointmentUtcTime,
+  staffId,
+  notify = true,
+  actor = SYSTEM_ACTOR,
+}) {
+  if (!appointmentUtcTime || !DateTime.fromISO(appointmentUtcTime).isValid) {
+    return { status: 400, error: 'appointment_utc_time is required' };
+  }
+
+  /* --------------------------------------------------
+     1️⃣ Verify appointment belongs to business
+  -------------------------------------------------- */
+  const { data: appointment, error: apptError } = await supabase
+    .from('appointments')
+    .select('*')
+    .eq('id', appointmentId)
+    .eq('business_id', businessId)
+    .single();
+
+  if (apptError || !appointment) {
+    return { status: 404, error: 'Appointment not found' };
+  }
+
+  /* --------------------------------------------------
+     2️⃣ Load appointment services → compute duration
+  -------------------------------------------------- */
+  const { data: services, error: svcError } = await supabase
+    .from('appointment_services')
+    .select('service_id, duration_minutes')
+    .eq('appointment_id', appointmentId);
+
+  if (svcError || !services?.length) {
+    return {
+      status: 400,
+      error: 'Appointment services missing. Cannot reschedule.',
+    };
+  }
+
+  const totalDurationMinutes = services.reduce(
+    (sum, s) => sum + s.duration_minutes,
+    0
+  );
+
+  /* --------------------------------------------------
+     3️⃣ Fetch business slot capacity
+  -------------------------------------------------- */
+  const { data: biz } = await supabase
+    .from('businesses')
+    .select(`appointment_settings, timezone, ${BUSINESS_SENDER_COLUMNS}`)
+    .eq('id', businessId)
+    .single();
+
+  /* --------------------------------------------------
+     4️⃣ Compute slot minutes (business local time)
+  -------------------------------------------------- */
+  const slot_minutes = localSlotMinutes(
+    appointmentUtcTime,
+    biz?.timezone || 'UTC'
+  );
+
+  /* --------------------------------------------------
+     5️⃣ Opening hours + duration-aware capacity check
+  -------------------------------------------------- */
+  // Stays with the same staff member unless a new one is requested
+  const slot = await checkBookingSlot({
+    businessId,
+    business: biz,
+    appointmentUtcTime,
+    durationMinutes: totalDurationMinutes,
+    // Keeps the setup/cleanup the appointment was booked with
+    buffers: {
+      before: appointment.buffer_before_minutes || 0,
+      after: appointment.buffer_after_minutes || 0,
+    },
+    serviceIds: services.map(s => s.service_id),
+    staffId: staffId || appointment.staff_id || undefined,
+    excludeAppointmentId: appointmentId,
+  });
+
+  if (slot.error) return slot;
+
+  /* --------------------------------------------------
+     6️⃣ Update appointment (time + duration)
+  -------------------------------------------------- */
+  const { error: updateError } = await supabase.rpc(
+    'reschedule_appointment',
+    {
+      p_business_id: businessId,
+      p_appointment_id: appointmentId,
+      p_appointment_time: appointmentUtcTime,
+      p_slot_minutes: slot_minutes,
+      p_duration_minutes: totalDurationMinutes,
+      p_staff_id: slot.staffId,
+      p_max_per_slot: slotCapacity(biz, slot.staffId),
+    }
+  );
+
+  if (updateError) {
+    return updateError.message === SLOT_FULL_ERROR
+      ? { status: 409, error: 'Selected time slot is fully booked' }
+      : { status: 500, error: updateError.message };
+  }
+
+  const { data: updated, error: loadError } = await supabase
+    .from('appointments')
+    .select('*, customers(phone)')
+    .eq('id', appointmentId)
+    .single();
+
+  if (loadError) {
+    return { status: 500, error: loadError.message };
+  }
+
+  await recordAppointmentEvent(businessId, appointmentId, 'rescheduled', actor, {
+    from: appointment.appointment_time,
+    to: updated.appointment_time,
+    from_staff_id: appointment.staff_id,
+    to_staff_id: updated.staff_id,
+    ...(appointment.status !== 'scheduled' && { from_status: appointment.status }),
+    ...(appointment.duration_minutes !== updated.duration_minutes && {
+      from_duration_minutes: appointment.duration_minutes,
+      to_duration_minutes: updated.duration_minutes,
+    }),
+  });
+
+  /* --------------------------------------------------
+     7️⃣ Notify customer + offer the old time to the waitlist
+  -------------------------------------------------- */
+  if (notify) {
+    await notifyRescheduled(biz, updated);
+  }
+
+  if (appointment.status === 'scheduled') {
+    await offerFreedSlot(businessId, appointment);
+  }
+
+  /* --------------------------------------------------
+     8️⃣ Clear automation logs (important)
+  -------------------------------------------------- */
+  await supabase
+    .from('automation_logs')
+    .delete()
+    .eq('appointment_id', appointmentId);
+
+  return { appointment: updated };
+}
+
+async function notifyRescheduled(biz, updated) {
+  const formattedTime = formatAppointmentTime(
+    updated.appointment_time,
+    biz.timezone || 'UTC'
+  );
+
+  const message = `
+🔁 Your appointment has been rescheduled.
+
+📅 New time: ${formattedTime}
+
+Reply here if you need help.
+`.trim();
+
+  await sendAndLogSystemMessage({
+    business: biz,
+    customerId: updated.customer_id,
+    phone: updated.customers.phone,
+    content: message,
+    purpose: 'appointment_rescheduled',
+    variables: { appointment_time: formattedTime },
+  });
+}
+
+app.patch('/appointments/:id/reschedule-slot', requireAuth, requirePermission('appointments.write'), async (req, res) => {
+  try {
+    const result = await rescheduleAppointment({
+      actor: userActor(req),
+      businessId: req.businessId,
+      appointmentId: req.params.id,
+      appointmentUtcTime: req.body.appointment_utc_time,
+      staffId: req.body.staff_id,
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json(result.appointment);
+  } catch (err) {
+    console.error('Reschedule error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/* ---------- Recurring series ---------- */
+
+const SERIES_MAX_OCCURRENCES = 52;
+const SERIES_FREQUENCIES = ['weekly', 'monthly'];
+const SERIES_SCOPES = ['this', 'following', 'all'];
+
+// Returns an error message, or null when the recurrence rule is usable
+function validateRecurrence(recurrence) {
+  const { frequency, interval = 1, count, until } = recurrence || {};
+
+  if (!SERIES_FREQUENCIES.includes(frequency)) {
+    return 'recurrence.frequency must be weekly or monthly';
+  }
+
+  if (!Number.isInteger(interval) || interval < 1 || interval > 12) {
+    return 'recurrence.interval must be between 1 and 12';
+  }
+
+  if (count === undefined && !until) {
+    return 'recurrence needs count or until';
+  }
+
+  if (
+    count !== undefined &&
+    (!Number.isInteger(count) || count < 1 || count > SERIES_MAX_OCCURRENCES)
+  ) {
+    return `recurrence.count must be between 1 and ${SERIES_MAX_OCCURRENCES}`;
+  }
+
+  if (until && !DateTime.fromISO(until).isValid) {
+    return 'recurrence.until must be a date (YYYY-MM-DD)';
+  }
+
+  return null;
+}
+
+// `nth` weekday of the month; a missing 5th one falls back to the last
+function nthWeekdayOfMonth(monthStart, weekday, nth) {
+  const first = monthStart.plus({ days: (weekday - monthStart.weekday + 7) % 7 });
+  const candidate = first.plus({ weeks: nth - 1 });
+
+  return candidate.month === monthStart.month
+    ? candidate
+    : candidate.minus({ weeks: 1 });
+}
+
+// Local start times for a series. Keeps the wall-clock time across DST.
+// Monthly series repeat on the same weekday of the month as the first
+// occurrence ("2nd Tuesday").
+function seriesOccurrences(firstLocal, recurrence) {
+  const { frequency, interval = 1, count, until } = recurrence;
+  const untilDate = until
+    ? DateTime.fromISO(until, { zone: firstLocal.zone }).endOf('day')
+    : null;
+  const limit = Math.min(count || SERIES_MAX_OCCURRENCES, SERIES_MAX_OCCURRENCES);
+  const nth = Math.ceil(firstLocal.day / 7);
+  const occurrences = [];
+
+  for (let i = 0; occurrences.length < limit; i++) {
+    const next = frequency === 'weekly'
+      ? firstLocal.plus({ weeks: i * interval })
+      : nthWeekdayOfMonth(
+        firstLocal.startOf('month').plus({ months: i * interval }),
+        firstLocal.weekday,
+        nth
+      ).set({ hour: firstLocal.hour, minute: firstLocal.minute });
+
+    if (untilDate && next > untilDate) break;
+
+    occurrences.push(next);
+  }
+
+  return occurrences;
+}
+
+function describeRecurrence(recurrence, firstLocal) {
+  const { frequency, interval = 1 } = recurrence;
+  const time = firstLocal.toFormat('hh:mm a');
+
+  if (frequency === 'weekly') {
+    const every = interval === 1 ? 'Every week' : `Every ${interval} weeks`;
+    return `${every} on ${firstLocal.toFormat('cccc')} at ${time}`;
+  }
+
+  const nth = Math.ceil(firstLocal.day / 7);
+  const ordinal = nth >= 5 ? 'last' : ['1st', '2nd', '3rd', '4th'][nth - 1];
+  const every = interval === 1 ? 'Every month' : `Every ${interval} months`;
+
+  return `${every} on the ${ordinal} ${firstLocal.toFormat('cccc')} at ${time}`;
+}
+
+function formatSeriesDates(utcTimes, timezone) {
+  return utcTimes
+    .map(utc => DateTime.fromISO(utc, { zone: 'UTC' }).setZone(timezone).toFormat('dd LLL'))
+    .join(', ');
+}
+
+async function loadBookingBusiness(businessId) {
+  const { data, error } = await supabase
+    .from('businesses')
+    .select(`appointment_settings, timezone, ${BUSINESS_SENDER_COLUMNS}`)
+    .eq('id', businessId)
+    .single();
+
+  if (error) throw error;
+
+  return data;
+}
+
+// Scheduled occurrences of the series an appointment belongs to, limited
+// to "this one", "this and following" or "all" upcoming ones.
+async function loadSeriesScope(businessId, appointmentId, scope) {
+  const { data: anchor, error } = await supabase
+    .from('appointments')
+    .select('id, series_id, status, appointment_time, duration_minutes, customer_id, customers(phone)')
+    .eq('id', appointmentId)
+    .eq('business_id', businessId)
+    .single();
+
+  if (error || !anchor) {
+    return { status: 404, error: 'Appointment not found' };
+  }
+
+  if (scope !== 'this' && !anchor.series_id) {
+    return { status: 400, error: 'Appointment is not part of a series' };
+  }
+
+  // Cancelled or completed occurrences are left alone, as in the other scopes
+  if (scope === 'this') {
+    return { anchor, appointments: anchor.status === 'scheduled' ? [anchor] : [] };
+  }
+
+  const { data: appointments, error: listError } = await supabase
+    .from('appointments')
+    .select('id, appointment_time, duration_minutes')
+    .eq('business_id', businessId)
+    .eq('series_id', anchor.series_id)
+    .eq('status', 'scheduled')
+    .gte(
+      'appointment_time',
+      scope === 'following' ? anchor.appointment_time : new Date().toISOString()
+    )
+    .order('appointment_time', { ascending: true });
+
+  if (listError) {
+    return { status: 500, error: listError.message };
+  }
+
+  return { anchor, appointments };
+}
+
+// Creates a recurring series. Occurrences that clash are skipped and
+// reported in `conflicts`; `dry_run` only reports. The customer gets one
+// summary message instead of a confirmation per occurrence.
+app.post('/appointment-series', requireAuth, requirePermission('appointments.write'), async (req, res) => {
+  const businessId = req.businessId;
+  const {
+    phone,
+    name,
+    services,
+    appointment_utc_time,
+    combo_id,
+    staff_id,
+    recurrence,
+    dry_run,
+  } = req.body;
+
+  if (
+    !phone ||
+    !appointment_utc_time ||
+    !DateTime.fromISO(appointment_utc_time).isValid ||
+    !Array.isArray(services) ||
+    services.length === 0
+  ) {
+    return res.status(400).json({ error: 'Invalid appointment payload' });
+  }
+
+  const recurrenceError = validateRecurrence(recurrence);
+
+  if (recurrenceError) {
+    return res.status(400).json({ error: recurrenceError });
+  }
+
+  try {
+    const business = await loadBookingBusiness(businessId);
+    const timezone = business.timezone || 'UTC';
+    const firstLocal = DateTime
+      .fromISO(appointment_utc_time, { zone: 'UTC' })
+      .setZone(timezone);
+
+    const occurrences = seriesOccurrences(firstLocal, recurrence)
+      .map(local => local.toUTC().toISO());
+
+    /* --------------------------------------------------
+       1️⃣ Preview: check every occurrence, book nothing
+    -------------------------------------------------- */
+    if (dry_run) {
+      const buffers = await resolveBookingBuffers(businessId, services, combo_id);
+      const durationMinutes = services.reduce(
+        (sum, s) => sum + Number(s.duration_minutes || 0),
+        0
+      );
+
+      const preview = [];
+      for (const utcTime of occurrences) {
+        const slot = await checkBookingSlot({
+          businessId,
+          business,
+          appointmentUtcTime: utcTime,
+          durationMinutes,
+          buffers,
+          serviceIds: services.map(s => s.service_id),
+          staffId: staff_id,
+        });
+
+        preview.push({
+          appointment_time: utcTime,
+          available: !slot.error,
+          ...(slot.error && { error: slot.error }),
+        });
+      }
+
+      return res.json({ occurrences: preview });
+    }
+
+    /* --------------------------------------------------
+       2️⃣ Create the series + bookable occurrences
+    -------------------------------------------------- */
+    const { customer, error: customerError } =
+      await findOrCreateCustomer(businessId, phone, name);
+
+    if (customerError) {
+      return res.status(500).json({ error: customerError });
+    }
+
+    const { data: series, error: seriesError } = await supabase
+      .from('appointment_series')
+      .insert({
+        business_id: businessId,
+        customer_id: customer.id,
+        recurrence,
+        first_appointment_time: appointment_utc_time,
+        combo_id: combo_id ?? null,
+        staff_id: staff_id ?? null,
+        services,
+        status: 'active',
+      })
+      .select()
+      .single();
+
+    if (seriesError) {
+      return res.status(500).json({ error: seriesError.message });
+    }
+
+    const appointments = [];
+    const conflicts = [];
+
+    for (const utcTime of occurrences) {
+      const result = await createAppointment({
+        actor: userActor(req),
+        businessId,
+        phone,
+        name,
+        services,
+        appointmentUtcTime: utcTime,
+        comboId: combo_id,
+        staffId: staff_id,
+        seriesId: series.id,
+        notify: false,
+      });
+
+      if (result.error) {
+        conflicts.push({ appointment_time: utcTime, error: result.error });
+      } else {
+        appointments.push(result.appointment);
+      }
+    }
+
+    if (!appointments.length) {
+      await supabase.from('appointment_series').delete().eq('id', series.id);
+
+      return res.status(409).json({
+        error: 'None of the occurrences could be booked',
+        conflicts,
+      });
+    }
+
+    /* --------------------------------------------------
+       3️⃣ One WhatsApp summary for the whole series
+    -------------------------------------------------- */
+    const summary = [
+      '✅ Your recurring appointment is booked.',
+      '',
+      `🔁 ${describeRecurrence(recurrence, firstLocal)}`,
+      `📅 ${appointments.length} appointment(s): ${formatSeriesDates(appointments.map(a => a.appointment_time), timezone)}`,
+      ...(conflicts.length
+        ? [`⚠️ Not available: ${formatSeriesDates(conflicts.map(c => c.appointment_time), timezone)}`]
+        : []),
+      '',
+      'Reply here if you need to change anything.',
+    ].join('\n');
+
+    await sendAndLogSystemMessage({
+      business,
+      customerId: customer.id,
+      phone: customer.phone,
+      businessTimezone: timezone,
+      content: summary,
+      purpose: 'appointment_confirmation',
+      variables: {
+        customer_name: customer.name || name || '',
+        appointment_time: formatAppointmentTime(appointments[0].appointment_time, timezone),
+        service_count: services.length,
+      },
+    });
+
+    res.json({ series, appointments, conflicts });
+  } catch (err) {
+    console.error('Create series error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/appointment-series/:id', requireAuth, requirePermission('appointments.read'), async (req, res) => {
+  const { data, error } = await supabase
+    .from('appointment_series')
+    .select(`
+      *,
+      appointments (
+        id,
+        appointment_time,
+        status,
+        staff_id
+      )
+    `)
+    .eq('id', req.params.id)
+    .eq('business_id', req.businessId)
+    .maybeSingle();
+
+  if (error) return res.status(500).json({ error: error.message });
+
+  if (!data) {
+    return res.status(404).json({ error: 'Series not found' });
+  }
+
+  data.appointments.sort((a, b) =>
+    a.appointment_time.localeCompare(b.appointment_time)
+  );
+
+  res.json(data);
+});
+
+// Moves "this one / this and following / all" occurrences. The new time of
+// this appointment sets the day shift and time of day for the others.
+app.patch('/appointments/:id/series', requireAuth, requirePermission('appointments.write'), async (req, res) => {
+  const businessId = req.businessId;
+  const { scope, appointment_utc_time, staff_id } = req.body;
+
+  if (!SERIES_SCOPES.includes(scope)) {
+    return res.status(400).json({ error: 'scope must be this, following or all' });
+  }
+
+  if (appointment_utc_time && !DateTime.fromISO(appointment_utc_time).isValid) {
+    return res.status(400).json({ error: 'appointment_utc_time must be an ISO timestamp' });
+  }
+
+  try {
+    const target = await loadSeriesScope(businessId, req.params.id, scope);
+
+    if (target.error) {
+      return res.status(target.status).json({ error: target.error });
+    }
+
+    const business = await loadBookingBusiness(businessId);
+    const timezone = business.timezone || 'UTC';
+    const toLocal = utc => DateTime.fromISO(utc, { zone: 'UTC' }).setZone(timezone);
+
+    const anchorOld = toLocal(target.anchor.appointment_time);
+    const anchorNew = appointment_utc_time ? toLocal(appointment_utc_time) : anchorOld;
+    const dayShift = anchorNew.startOf('day').diff(anchorOld.startOf('day'), 'days').days;
+
+    const moved = [];
+    const conflicts = [];
+
+    for (const occurrence of target.appointments) {
+      const newLocal = toLocal(occurrence.appointment_time)
+        .plus({ days: Math.round(dayShift) })
+        .set({ hour: anchorNew.hour, minute: anchorNew.minute });
+
+      const result = await rescheduleAppointment({
+        actor: userActor(req),
+        businessId,
+        appointmentId: occurrence.id,
+        appointmentUtcTime: newLocal.toUTC().toISO(),
+        staffId: staff_id,
+        notify: false,
+      });
+
+      if (result.error) {
+        conflicts.push({
+          id: occurrence.id,
+          appointment_time: occurrence.appointment_time,
+          error: result.error,
+        });
+      } else {
+        moved.push(result.appointment);
+      }
+    }
+
+    if (moved.length === 1 && !conflicts.length) {
+      await notifyRescheduled(business, moved[0]);
+    } else if (moved.length) {
+      const summary = [
+        `🔁 ${moved.length} of your recurring appointments have been rescheduled.`,
+        '',
+        `📅 New dates: ${formatSeriesDates(moved.map(a => a.appointment_time), timezone)} at ${anchorNew.toFormat('hh:mm a')}`,
+        ...(conflicts.length
+          ? [`⚠️ Unchanged: ${formatSeriesDates(conflicts.map(c => c.appointment_time), timezone)}`]
+          : []),
+        '',
+        'Reply here if you need help.',
+      ].join('\n');
+
+      await sendAndLogSystemMessage({
+        business,
+        customerId: target.anchor.customer_id,
+        phone: target.anchor.customers.phone,
+        businessTimezone: timezone,
+        content: summary,
+        purpose: 'appointment_rescheduled',
+        variables: {
+          appointment_time: formatAppointmentTime(moved[0].appointment_time, timezone),
+        },
+      });
+    }
+
+    res.json({ appointments: moved, conflicts });
+  } catch (err) {
+    console.error('Series update error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/appointments/:id/series/cancel', requireAuth, requirePermission('appointments.write'), async (req, res) => {
+  const businessId = req.businessId;
+  const { scope, reason_code = 'other', note, cancelled_by = 'business' } = req.body;
+
+  if (!SERIES_SCOPES.includes(scope)) {
+    return res.status(400).json({ error: 'scope must be this, following or all' });
+  }
+
+  if (
+    !CANCELLATION_REASONS.includes(reason_code) ||
+    !CANCELLED_BY.includes(cancelled_by)
+  ) {
+    return res.status(400).json({ error: 'Invalid reason_code or cancelled_by' });
+  }
+
+  try {
+    const target = await loadSeriesScope(businessId, req.params.id, scope);
+
+    if (target.error) {
+      return res.status(target.status).json({ error: target.error });
+    }
+
+    const cancelledAppointments = [];
+
+    for (const appointment of target.appointments) {
+      const result = await cancelAppointment({
+        actor: userActor(req),
+        businessId,
+        appointmentId: appointment.id,
+        cancelledBy: cancelled_by,
+        reasonCode: reason_code,
+        note,
+      });
+
+      if (!result.error) cancelledAppointments.push(appointment);
+    }
+
+    const ids = cancelledAppointments.map(a => a.id);
+
+    if (scope === 'all') {
+      await supabase
+        .from('appointment_series')
+        .update({ status: 'cancelled' })
+        .eq('id', target.anchor.series_id);
+    }
+
+    if (ids.length) {
+      const business = await loadBookingBusiness(businessId);
+      const timezone = business.timezone || 'UTC';
+
+      await sendAndLogSystemMessage({
+        business,
+        customerId: target.anchor.customer_id,
+        phone: target.anchor.customers.phone,
+        businessTimezone: timezone,
+        content: ids.length === 1
+          ? `❌ Your appointment on ${formatAppointmentTime(cancelledAppointments[0].appointment_time, timezone)} has been cancelled.`
+          : `❌ ${ids.length} of your recurring appointments have been cancelled: ${formatSeriesDates(cancelledAppointments.map(a => a.appointment_time), timezone)}.`,
+        purpose: 'appointment_cancelled',
+      });
+    }
+
+    res.json({ cancelled: ids });
+  } catch (err) {
+    console.error('Series cancel error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/* ---------- Waitlist ---------- */
+
+const WAITLIST_HOLD_MINUTES = 30;
+const WAITLIST_ACCEPT_ID = 'waitlist_accept';
+const WAITLIST_DECLINE_ID = 'waitlist_decline';
+
+function waitlistDuration(entry) {
+  return entry.services.reduce(
+    (sum, s) => sum + Number(s.duration_minutes || 0),
+    0
+  );
+}
+
+// Offers capacity freed by a cancellation, no-show or reschedule to the
+// longest-waiting matching entry, holding it for waitlist_hold_minutes.
+// Entries that already had an offer for this time are skipped, so calling
+// it again after an offer lapses passes the slot down the list. Never throws.
+async function offerFreedSlot(businessId, freed) {
+  try {
+    const now = DateTime.now().toUTC();
+    const freedStart = DateTime.fromISO(freed.appointment_time, { zone: 'UTC' });
+    const freedEnd = freedStart.plus({ minutes: freed.duration_minutes });
+
+    // No-shows free the rest of their time from the next slot boundary
+    const start = freedStart > now
+      ? freedStart
+      : now.startOf('minute').plus({
+        minutes: (SLOT_SIZE_MINUTES - (now.minute % SLOT_SIZE_MINUTES)) % SLOT_SIZE_MINUTES,
+      });
+
+    if (start >= freedEnd) return;
+
+    const business = await loadBookingBusiness(businessId);
+    const timezone = business.timezone || 'UTC';
+    const local = start.setZone(timezone);
+    const localDate = local.toISODate();
+    const localMinutes = local.hour * 60 + local.minute;
+
+    const { data: entries, error } = await supabase
+      .from('waitlist_entries')
+      .select('*, customers ( id, name, phone )')
+      .eq('business_id', businessId)
+      .eq('status', 'waiting')
+      .lte('date_from', localDate)
+      .gte('date_to', localDate)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    const { data: previousOffers, error: offerError } = await supabase
+      .from('waitlist_offers')
+      .select('entry_id')
+      .eq('business_id', businessId)
+      .eq('appointment_time', start.toISO());
+
+    if (offerError) throw offerError;
+
+    const alreadyOffered = new Set(previousOffers.map(o => o.entry_id));
+
+    for (const entry of entries) {
+      const duration = waitlistDuration(entry);
+
+      if (alreadyOffered.has(entry.id)) continue;
+      if (entry.time_from && localMinutes < timeToMinutes(entry.time_from)) continue;
+      if (entry.time_to && localMinutes + duration > timeToMinutes(entry.time_to)) continue;
+
+      const buffers = await resolveBookingBuffers(businessId, entry.services, entry.combo_id);
+
+      const slot = await checkBookingSlot({
+        businessId,
+        business,
+        appointmentUtcTime: start.toISO(),
+        durationMinutes: duration,
+        buffers,
+        serviceIds: entry.services.map(s => s.service_id),
+        staffId: entry.staff_id || undefined,
+      });
+
+      if (slot.error) continue;
+
+      await sendWaitlistOffer(business, entry, {
+        start,
+        duration,
+        buffers,
+        staffId: slot.staffId,
+      });
+      return;
+    }
+  } catch (err) {
+    console.error('Waitlist offer error:', err.message);
+  }
+}
+
+async function sendWaitlistOffer(business, entry, { start, duration, buffers, staffId }) {
+  const holdMinutes =
+    business.appointment_settings?.waitlist_hold_minutes ?? WAITLIST_HOLD_MINUTES;
+
+  const { error } = await supabase
+    .from('waitlist_offers')
+    .insert({
+      business_id: business.id,
+      entry_id: entry.id,
+      customer_id: entry.customer_id,
+      appointment_time: start.toISO(),
+      duration_minutes: duration,
+      buffer_before_minutes: buffers.before,
+      buffer_after_minutes: buffers.after,
+      staff_id: staffId,
+      status: 'pending',
+      expires_at: DateTime.now().plus({ minutes: holdMinutes }).toUTC().toISO(),
+    });
+
+  if (error) throw error;
+
+  await supabase
+    .from('waitlist_entries')
+    .update({ status: 'offered' })
+    .eq('id', entry.id);
+
+  const formattedTime = formatAppointmentTime(start.toISO(), business.timezone || 'UTC');
+
+  await sendAndLogSystemMessage({
+    business,
+    customerId: entry.customer_id,
+    phone: entry.customers.phone,
+    message: {
+      type: 'quick_reply',
+      text: `🎉 A slot just opened up: ${formattedTime}.\n\nIt’s held for you for ${holdMinutes} minutes. Reply YES to book it or NO to pass.`,
+      buttons: [
+        { id: WAITLIST_ACCEPT_ID, title: 'Book it' },
+        { id: WAITLIST_DECLINE_ID, title: 'No thanks' },
+      ],
+    },
+    purpose: 'waitlist_offer',
+    variables: {
+      customer_name: entry.customers.name || '',
+      appointment_time: formattedTime,
+    },
+  });
+}
+
+// YES / NO (or the offer buttons) answer the customer's pending offer.
+// Returns false when there is nothing to answer so other handlers run.
+async function handleWaitlistReply(business, customer, message) {
+  const data = message.data || {};
+  const text = inboundReplyText(message).replace(/[^\p{L}\p{N} ]/gu, '').trim();
+
+  const action =
+    [data.id, data.postback].includes(WAITLIST_ACCEPT_ID) || text === 'yes'
+      ? 'accept'
+      : [data.id, data.postback].includes(WAITLIST_DECLINE_ID) || text === 'no'
+        ? 'decline'
+        : null;
+
+  if (!action) return false;
+
+  const { data: offer, error } = await supabase
+    .from('waitlist_offers')
+    .select('*, waitlist_entries ( * )')
+    .eq('customer_id', customer.id)
+    .eq('status', 'pending')
+    .gt('expires_at', new Date().toISOString())
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!offer) return false;
+
+  const ctx = { business, customer };
+
+  // Claim the offer so a racing expiry can't pass it on at the same time
+  const { data: claimed } = await supabase
+    .from('waitlist_offers')
+    .update({ status: action === 'accept' ? 'accepted' : 'declined' })
+    .eq('id', offer.id)
+    .eq('status', 'pending')
+    .select('id');
+
+  if (!claimed?.length) {
+    await chatbotReply(ctx, '⏰ Sorry, that offer has expired. You’re still on the waitlist.');
+    return true;
+  }
+
+  if (action === 'decline') {
+    await supabase
+      .from('waitlist_entries')
+      .update({ status: 'waiting' })
+      .eq('id', offer.entry_id);
+
+    await chatbotReply(ctx, 'No problem. You’re still on the waitlist and we’ll message you if another slot opens.');
+    await offerFreedSlot(business.id, offer);
+    return true;
+  }
+
+  const entry = offer.waitlist_entries;
+  const result = await createAppointment({
+    actor: { type: 'customer', id: customer.id },
+    businessId: business.id,
+    phone: customer.phone,
+    name: customer.name,
+    services: entry.services,
+    appointmentUtcTime: offer.appointment_time,
+    comboId: entry.combo_id,
+    staffId: offer.staff_id || undefined,
+  });
+
+  if (result.error) {
+    // Release the hold and give whatever capacity is left to the next in line
+    await supabase
+      .from('waitlist_offers')
+      .update({ status: 'failed' })
+      .eq('id', offer.id);
+
+    await supabase
+      .from('waitlist_entries')
+      .update({ status: 'waiting' })
+      .eq('id', entry.id);
+
+    await chatbotReply(ctx, '😕 Sorry, that slot is no longer available. You’re still on the waitlist.');
+    await offerFreedSlot(business.id, offer);
+    return true;
+  }
+
+  await supabase
+    .from('waitlist_offers')
+    .update({ appointment_id: result.appointment.id })
+    .eq('id', offer.id);
+
+  await supabase
+    .from('waitlist_entries')
+    .update({ status: 'booked' })
+    .eq('id', entry.id);
+
+  // createAppointment already sent the confirmation
+  return true;
+}
+
+async function expireWaitlistOffers() {
+  try {
+    const now = new Date().toISOString();
+
+    // Whoever flips the row to expired passes the slot on
+    const { data: expired, error } = await supabase
+      .from('waitlist_offers')
+      .update({ status: 'expired' })
+      .eq('status', 'pending')
+      .lte('expires_at', now)
+      .select('business_id, entry_id, appointment_time, duration_minutes');
+
+    if (error) throw error;
+
+    for (const offer of expired || []) {
+      await supabase
+        .from('waitlist_entries')
+        .update({ status: 'waiting' })
+        .eq('id', offer.entry_id)
+        .eq('status', 'offered');
+
+      await offerFreedSlot(offer.business_id, offer);
+    }
+
+    // Entries whose whole date range is over
+    await supabase
+      .from('waitlist_entries')
+      .update({ status: 'expired' })
+      .in('status', ['waiting', 'offered'])
+      .lt('date_to', DateTime.now().minus({ days: 1 }).toISODate());
+  } catch (err) {
+    console.error('Waitlist expiry error:', err.message);
+  }
+}
+
+scheduleJob('* * * * *', expireWaitlistOffers);
+
+app.get('/waitlist', requireAuth, requirePermission('appointments.read'), async (req, res) => {
+  const { status } = req.query;
+
+  let query = supabase
+    .from('waitlist_entries')
+    .select(`
+      *,
+      customers ( id, name, phone ),
+      waitlist_offers ( id, appointment_time, status, expires_at )
+    `)
+    .eq('business_id', req.businessId)
+    .order('created_at', { ascending: true });
+
+  query = status
+    ? query.eq('status', status)
+    : query.in('status', ['waiting', 'offered']);
+
+  const { data, error } = await query;
+
+  if (error) return res.status(500).json({ error: error.message });
+  res.json(data);
+});
+
+// date_from/date_to are business-local dates; time_from/time_to (HH:mm)
+// optionally narrow the time of day
+app.post('/waitlist', requireAuth, requirePermission('appointments.write'), async (req, res) => {
+  const {
+    phone,
+    name,
+    services,
+    combo_id,
+    staff_id,
+    date_from,
+    date_to,
+    time_from,
+    time_to,
+  } = req.body;
+
+  if (
+    !phone ||
+    !Array.isArray(services) ||
+    services.length === 0 ||
+    services.some(s => !s.service_id || !(Number(s.duration_minutes) > 0))
+  ) {
+    return res.status(400).json({ error: 'phone and services[] are required' });
+  }
+
+  if (
+    !DateTime.fromISO(date_from || '').isValid ||
+    !DateTime.fromISO(date_to || '').isValid ||
+    date_to < date_from
+  ) {
+    return res.status(400).json({ error: 'date_from and date_to are required (YYYY-MM-DD)' });
+  }
+
+  if (
+    (time_from && !TIME_OF_DAY_PATTERN.test(time_from)) ||
+    (time_to && !TIME_OF_DAY_PATTERN.test(time_to)) ||
+    (time_from && time_to && timeToMinutes(time_from) >= timeToMinutes(time_to))
+  ) {
+    return res.status(400).json({ error: 'time_from/time_to must be HH:mm with time_from < time_to' });
+  }
+
+  const { customer, error: customerError } =
+    await findOrCreateCustomer(req.businessId, phone, name);
+
+  if (customerError) {
+    return res.status(500).json({ error: customerError });
+  }
+
+  const { data, error } = await supabase
+    .from('waitlist_entries')
+    .insert({
+      business_id: req.businessId,
+      customer_id: customer.id,
+      services,
+      combo_id: combo_id ?? null,
+      staff_id: staff_id ?? null,
+      date_from,
+      date_to,
+      time_from: time_from || null,
+      time_to: time_to || null,
+      status: 'waiting',
+    })
+    .select()
+    .single();
+
+  if (error) return res.status(500).json({ error: error.message });
+  res.json(data);
+});
+
+app.delete('/waitlist/:id', requireAuth, requirePermission('appointments.write'), async (req, res) => {
+  const { data, error } = await supabase
+    .from('waitlist_entries')
+    .update({ status: 'cancelled' })
+    .eq('id', req.params.id)
+    .eq('business_id', req.businessId)
+    .select('id')
+    .maybeSingle();
+
+  if (error) return res.status(500).json({ error: error.message });
+
+  if (!data) {
+    return res.status(404).json({ error: 'Waitlist entry not found' });
+  }
+
+  // Release any slot currently held for this entry
+  const { data: released } = await supabase
+    .from('waitlist_offers')
+    .update({ status: 'cancelled' })
+    .eq('entry_id', data.id)
+    .eq('status', 'pending')
+    .select('business_id, appointment_time, duration_minutes');
+
+  for (const offer of released || []) {
+    await offerFreedSlot(offer.business_id, offer);
+  }
+
+  res.json({ success: true });
+});
+
+
+app.get('/message-templates', requireAuth, requirePermission('messages.read'), async (req, res) => {
+  const { data, error } = await supabase
+    .from('message_templates')
+    .select('*')
+    .eq('business_id', req.businessId)
+    .eq('is_active', true)
+    .order('created_at');
+
+  if (error) return res.status(500).json({ error: error.message });
+  res.json(data);
+});
+
+app.post('/message-templates', requireAuth, requirePermission('automation.manage'), async (req, res) => {
+  const {
+    name,
+    provider_template_id,
+    body,
+    language,
+    category,
+    purpose,
+    default_params,
+  } = req.body;
+
+  if (!name || !provider_template_id || !body) {
+    return res.status(400).json({
+      error: 'name, provider_template_id and body are required'
+    });
+  }
+
+  if (
+    default_params !== undefined &&
+    (!Array.isArray(default_params) ||
+      default_params.length !== countTemplateParams(body))
   ) {
     return res.status(400).json({
-      error: 'name and service_ids[] are required'
+      error: `default_params must have ${countTemplateParams(body)} entries`
     });
   }
 
-  // 🔒 Validate services belong to business
-  const { data: services, error: svcError } = await supabase
-    .from('services')
-    .select('id')
+  const { data, error } = await supabase
+    .from('message_templates')
+    .insert({
+      business_id: req.businessId,
+      name,
+      provider_template_id,
+      body,
+      language: language || 'en',
+      category: category || 'utility',
+      param_count: countTemplateParams(body),
+      purpose: purpose || null,
+      default_params: default_params || [],
+    })
+    .select()
+    .single();
+
+  if (error) return res.status(500).json({ error: error.message });
+  res.json(data);
+});
+
+app.patch('/message-templates/:id', requireAuth, requirePermission('automation.manage'), async (req, res) => {
+  await snapshotForAudit(res, 'message_templates', req.params.id, req.businessId);
+
+  const {
+    name,
+    provider_template_id,
+    body,
+    language,
+    category,
+    purpose,
+    default_params,
+    is_active,
+  } = req.body;
+
+  if (default_params !== undefined && !Array.isArray(default_params)) {
+    return res.status(400).json({ error: 'default_params must be an array' });
+  }
+
+  // The fallback send fills exactly this many parameters, so the defaults
+  // must match the body being saved, new or stored
+  if (body || default_params !== undefined) {
+    const { data: current, error: currentError } = await supabase
+      .from('message_templates')
+      .select('body, default_params')
+      .eq('id', req.params.id)
+      .eq('business_id', req.businessId)
+      .maybeSingle();
+
+    if (currentError) return res.status(500).json({ error: currentError.message });
+
+    if (!current) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const paramCount = countTemplateParams(body || current.body);
+    const params = default_params ?? current.default_params ?? [];
+
+    // Like POST, a template may go without defaults altogether
+    if ((default_params !== undefined || params.length) && params.length !== paramCount) {
+      return res.status(400).json({
+        error: `default_params must have ${paramCount} entries`
+      });
+    }
+  }
+
+  const { data, error } = await supabase
+    .from('message_templates')
+    .update({
+      ...(name && { name }),
+      ...(provider_template_id && { provider_template_id }),
+      ...(body && { body, param_count: countTemplateParams(body) }),
+      ...(language && { language }),
+      ...(category && { category }),
+      ...(purpose !== undefined && { purpose: purpose || null }),
+      ...(default_params && { default_params }),
+      ...(typeof is_active === 'boolean' && { is_active }),
+    })
+    .eq('id', req.params.id)
     .eq('business_id', req.businessId)
-    .in('id', service_ids);
+    .select()
+    .single();
 
-  if (svcError || services.length !== service_ids.length) {
+  if (error) return res.status(500).json({ error: error.message });
+  res.json(data);
+});
+
+app.get('/automation-rules', requireAuth, requirePermission('automation.manage'), async (req, res) => {
+  const businessId = req.businessId;
+
+  const { data, error } = await supabase
+    .from('automation_rules')
+    .select('*')
+    .eq('business_id', businessId)
+    .order('offset_minutes');
+
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  res.json(data);
+});
+
+app.get('/businesses/settings/appointments', requireAuth, requirePermission('appointments.read'), async (req, res) => {
+  const businessId = req.businessId;
+
+  const { data, error } = await supabase
+    .from('businesses')
+    .select('appointment_settings')
+    .eq('id', businessId)
+    .single();
+
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  // ✅ Safe defaults (VERY IMPORTANT)
+  const settings = {
+    reminder_24h: data.appointment_settings?.reminder_24h ?? true,
+    reminder_2h: data.appointment_settings?.reminder_2h ?? false,
+    no_show_grace_minutes:
+      data.appointment_settings?.no_show_grace_minutes ?? 30,
+    max_appointments_per_slot:
+      data.appointment_settings?.max_appointments_per_slot ?? 1,
+    chatbot_enabled: data.appointment_settings?.chatbot_enabled ?? false,
+    waitlist_hold_minutes:
+      data.appointment_settings?.waitlist_hold_minutes ?? WAITLIST_HOLD_MINUTES,
+    cancellation_window_hours:
+      data.appointment_settings?.cancellation_window_hours ?? 0,
+    block_late_customer_cancellations:
+      data.appointment_settings?.block_late_customer_cancellations ?? false,
+    reply_keywords: {
+      ...DEFAULT_REPLY_KEYWORDS,
+      ...data.appointment_settings?.reply_keywords,
+    },
+  };
+
+  res.json(settings);
+});
+
+
+const WHATSAPP_SETTINGS_COLUMNS =
+  'whatsapp_number, gupshup_source_number, gupshup_app_name, messaging_provider, provider_config';
+
+const PROVIDER_SECRET_KEY = /token|secret/i;
+
+function maskSecret(value) {
+  return `••••${String(value).slice(-4)}`;
+}
+
+// Never echo provider credentials back in full
+function maskProviderConfig(config) {
+  return Object.fromEntries(
+    Object.entries(config || {}).map(([key, value]) => [
+      key,
+      PROVIDER_SECRET_KEY.test(key) && value ? maskSecret(value) : value,
+    ])
+  );
+}
+
+// A settings form that re-sends what GET returned must not overwrite the
+// stored secret with its mask
+function isMaskedSecret(key, value, current) {
+  return (
+    PROVIDER_SECRET_KEY.test(key) &&
+    typeof value === 'string' &&
+    (value === maskSecret(current) || value.startsWith('••••'))
+  );
+}
+
+function formatWhatsAppSettings(business) {
+  return {
+    ...business,
+    messaging_provider:
+      business.messaging_provider ||
+      process.env.DEFAULT_MESSAGING_PROVIDER ||
+      'gupshup',
+    provider_config: maskProviderConfig(business.provider_config),
+  };
+}
+
+app.get('/businesses/settings/whatsapp', requireAuth, requirePermission('settings.manage'), async (req, res) => {
+  const { data, error } = await supabase
+    .from('businesses')
+    .select(WHATSAPP_SETTINGS_COLUMNS)
+    .eq('id', req.businessId)
+    .single();
+
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  res.json(formatWhatsAppSettings(data));
+});
+
+app.patch('/businesses/settings/whatsapp', requireAuth, requirePermission('settings.manage'), async (req, res) => {
+  const businessId = req.businessId;
+
+  const {
+    whatsapp_number,
+    gupshup_source_number,
+    gupshup_app_name,
+    messaging_provider,
+    provider_config,
+  } = req.body;
+
+  const updates = {};
+  if (whatsapp_number !== undefined) {
+    updates.whatsapp_number = normalizePhone(whatsapp_number);
+  }
+  if (gupshup_source_number !== undefined) {
+    updates.gupshup_source_number = normalizePhone(gupshup_source_number) || null;
+  }
+  if (gupshup_app_name !== undefined) {
+    updates.gupshup_app_name = gupshup_app_name?.trim() || null;
+  }
+
+  if (messaging_provider !== undefined && !messagingProviders[messaging_provider]) {
     return res.status(400).json({
-      error: 'One or more services are invalid'
+      error: `messaging_provider must be one of ${Object.keys(messagingProviders).join(', ')}`
     });
   }
 
-  // 1️⃣ Create combo
-  const { data: combo, error } = await supabase
-    .from('service_combos')
-    .insert({
-      business_id: req.businessId,
-      name
-    })
-    .select()
+  if (
+    provider_config !== undefined &&
+    (typeof provider_config !== 'object' || Array.isArray(provider_config))
+  ) {
+    return res.status(400).json({ error: 'provider_config must be an object' });
+  }
+
+  if (
+    Object.keys(updates).length === 0 &&
+    messaging_provider === undefined &&
+    provider_config === undefined
+  ) {
+    return res.status(400).json({ error: 'No valid fields to update' });
+  }
+
+  if (updates.whatsapp_number === '') {
+    return res.status(400).json({ error: 'whatsapp_number cannot be empty' });
+  }
+
+  // 🔒 Inbound webhooks are routed by these values, so they must be unique
+  const routingKeys = { ...updates };
+  if (provider_config?.phone_number_id) {
+    routingKeys['provider_config->>phone_number_id'] = provider_config.phone_number_id;
+  }
+
+  for (const [column, value] of Object.entries(routingKeys)) {
+    if (!value) continue;
+
+    const { data: taken, error: takenError } = await supabase
+      .from('businesses')
+      .select('id')
+      .eq(column, value)
+      .neq('id', businessId)
+      .limit(1);
+
+    if (takenError) {
+      return res.status(500).json({ error: takenError.message });
+    }
+
+    if (taken.length) {
+      return res.status(409).json({
+        error: `${column} is already registered to another business`
+      });
+    }
+  }
+
+  if (messaging_provider !== undefined) {
+    updates.messaging_provider = messaging_provider;
+  }
+
+  const { data: previous } = await supabase
+    .from('businesses')
+    .select(WHATSAPP_SETTINGS_COLUMNS)
+    .eq('id', businessId)
+    .single();
+
+  res.locals.auditBefore = previous && formatWhatsAppSettings(previous);
+
+  // Merge so secrets don't have to be re-sent; null removes a key
+  if (provider_config !== undefined) {
+    const { data: current, error: currentError } = await supabase
+      .from('businesses')
+      .select('provider_config')
+      .eq('id', businessId)
+      .single();
+
+    if (currentError) {
+      return res.status(500).json({ error: currentError.message });
+    }
+
+    const incoming = Object.fromEntries(
+      Object.entries(provider_config).filter(([key, value]) =>
+        !isMaskedSecret(key, value, current.provider_config?.[key])
+      )
+    );
+
+    updates.provider_config = Object.fromEntries(
+      Object.entries({ ...current.provider_config, ...incoming })
+        .filter(([, value]) => value !== null)
+    );
+  }
+
+  const { data, error } = await supabase
+    .from('businesses')
+    .update(updates)
+    .eq('id', businessId)
+    .select(WHATSAPP_SETTINGS_COLUMNS)
+    .single();
+
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  res.json(formatWhatsAppSettings(data));
+});
+
+app.patch('/automation-rules/:ruleId', requireAuth, requirePermission('automation.manage'), async (req, res) => {
+  const { ruleId } = req.params;
+  const businessId = req.businessId;
+
+  await snapshotForAudit(res, 'automation_rules', ruleId, businessId);
+  const {
+    enabled,
+    offset_minutes,
+    message_template,
+    template_id,
+    template_params,
+  } = req.body;
+
+  const updates = {};
+  if (enabled !== undefined) updates.enabled = enabled;
+  if (offset_minutes !== undefined) updates.offset_minutes = offset_minutes;
+  if (message_template !== undefined)
+    updates.message_template = message_template;
+  if (template_params !== undefined) {
+    if (!Array.isArray(template_params)) {
+      return res.status(400).json({ error: 'template_params must be an array' });
+    }
+    updates.template_params = template_params;
+  }
+
+  // null clears the template and falls back to message_template text
+  if (template_id !== undefined) {
+    if (template_id !== null) {
+      const template = await loadMessageTemplate(businessId, template_id);
+      if (!template) {
+        return res.status(400).json({ error: 'Template not found' });
+      }
+    }
+    updates.template_id = template_id;
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return res.status(400).json({ error: 'No valid fields to update' });
+  }
+
+  const { data, error } = await supabase
+    .from('automation_rules')
+    .update(updates)
+    .eq('id', ruleId)
+    .eq('business_id', businessId)
+    .select(`
+  *,
+  appointment_services (
+    service_id,
+    services (
+      id,
+      name,
+      service_combo_items (
+        combo_id,
+        service_combos (
+          id,
+          name
+        )
+      )
+    )
+  )
+`)
+
     .single();
 
   if (error) {
     return res.status(500).json({ error: error.message });
   }
 
-  // 2️⃣ Create combo items
-  const items = service_ids.map((id, idx) => ({
-    combo_id: combo.id,
-    service_id: id,
-    sort_order: idx
-  }));
+  res.json(data);
+});
+// Returns an error message, or null when the role payload is usable
+function validateRolePayload({ name, permissions }) {
+  if (name !== undefined) {
+    if (!/^[a-z][a-z0-9_]{1,39}$/.test(name || '')) {
+      return 'name must be 2-40 lowercase letters, digits or _';
+    }
 
-  const { error: itemError } = await supabase
-    .from('service_combo_items')
-    .insert(items);
+    if (BUILT_IN_ROLES[name]) {
+      return `${name} is a built-in role`;
+    }
+  }
 
-  if (itemError) {
-    return res.status(500).json({ error: itemError.message });
+  if (
+    permissions !== undefined &&
+    (!Array.isArray(permissions) ||
+      permissions.some(permission => !PERMISSIONS.includes(permission)))
+  ) {
+    return `permissions must be a list of: ${PERMISSIONS.join(', ')}`;
   }
 
-  res.json(combo);
-});
+  return null;
+}
 
+app.get('/roles', requireAuth, requirePermission('roles.manage'), async (req, res) => {
+  const { data, error } = await supabase
+    .from('business_roles')
+    .select('id, name, permissions')
+    .eq('business_id', req.businessId)
+    .order('name');
 
-app.patch('/service-combos/:id', requireAuth, async (req, res) => {
-  await supabase
-    .from('service_combos')
-    .update({ is_active: false })
-    .eq('id', req.params.id)
-    .eq('business_id', req.businessId);
+  if (error) return res.status(500).json({ error: error.message });
 
-  res.json({ success: true });
+  res.json({
+    permissions: PERMISSIONS,
+    built_in: Object.entries(BUILT_IN_ROLES)
+      .filter(([name]) => name !== 'staff')
+      .map(([name, permissions]) => ({ name, permissions })),
+    custom: data,
+  });
 });
 
+app.post('/roles', requireAuth, requirePermission('roles.manage'), async (req, res) => {
+  const { name, permissions } = req.body;
+
+  const invalid =
+    validateRolePayload({ name, permissions }) ||
+    (!name || !permissions ? 'name and permissions are required' : null);
+
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
+  const missing = missingPermissions(req, permissions);
+  if (missing.length) {
+    return res.status(403).json({
+      error: 'You can only grant permissions you have',
+      permissions: missing,
+    });
+  }
 
-app.get('/service-combos', requireAuth, async (req, res) => {
   const { data, error } = await supabase
-    .from('service_combos')
-    .select(`
-      id,
+    .from('business_roles')
+    .insert({
+      business_id: req.businessId,
       name,
-      service_combo_items (
-        service_id,
-        services (
-          id,
-          name,
-          duration_minutes
-        )
-      )
-    `)
-    .eq('business_id', req.businessId)
-    .eq('is_active', true);
+      permissions,
+    })
+    .select('id, name, permissions')
+    .single();
+
+  if (error?.code === '23505') {
+    return res.status(409).json({ error: 'A role with this name already exists' });
+  }
 
   if (error) return res.status(500).json({ error: error.message });
   res.json(data);
 });
 
-async function autoMarkNoShows() {
-  try {
-    const now = DateTime.now().toUTC();
-
-    // 1️⃣ Get businesses with their no-show grace settings
-    const { data: businesses, error: bizError } = await supabase
-      .from('businesses')
-      .select('id, appointment_settings');
+// Only permissions can change; renaming would orphan assigned users
+app.patch('/roles/:id', requireAuth, requirePermission('roles.manage'), async (req, res) => {
+  const { permissions } = req.body;
+  const invalid =
+    validateRolePayload({ permissions }) ||
+    (!permissions ? 'permissions is required' : null);
 
-    if (bizError || !businesses?.length) {
-      console.error('Failed to load businesses for no-show check');
-      return;
-    }
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
 
-    for (const business of businesses) {
-      const graceMinutes =
-        business.appointment_settings?.no_show_grace_minutes ?? 30;
+  const { data: role, error: roleError } = await supabase
+    .from('business_roles')
+    .select('id, name, permissions')
+    .eq('id', req.params.id)
+    .eq('business_id', req.businessId)
+    .maybeSingle();
 
-      // 2️⃣ Get scheduled appointments for this business
-      const { data: appointments, error: apptError } = await supabase
-        .from('appointments')
-        .select('id, appointment_time')
-        .eq('business_id', business.id)
-        .eq('status', 'scheduled');
+  if (roleError) return res.status(500).json({ error: roleError.message });
 
-      if (apptError || !appointments?.length) continue;
+  if (!role) {
+    return res.status(404).json({ error: 'Role not found' });
+  }
 
-      // 3️⃣ Find overdue appointments
-      const overdueIds = appointments
-        .filter(appt => {
-          const apptTime = DateTime.fromISO(appt.appointment_time, {
-            zone: 'UTC',
-          });
-          const noShowAt = apptTime.plus({ minutes: graceMinutes });
+  // Nobody widens their own role, and only roles within the caller's own
+  // permissions can be edited (before and after)
+  if (role.name === req.role) {
+    return res.status(403).json({ error: 'You cannot change your own role' });
+  }
 
-          return now > noShowAt;
-        })
-        .map(a => a.id);
+  const missing = missingPermissions(req, [...role.permissions, ...permissions]);
+  if (missing.length) {
+    return res.status(403).json({
+      error: 'You can only grant permissions you have',
+      permissions: [...new Set(missing)],
+    });
+  }
 
-      if (overdueIds.length === 0) continue;
+  res.locals.auditBefore = role;
 
-      // 4️⃣ Mark them as no-show
-      const { error: updateError } = await supabase
-        .from('appointments')
-        .update({ status: 'no_show' })
-        .in('id', overdueIds);
+  const { data, error } = await supabase
+    .from('business_roles')
+    .update({ permissions })
+    .eq('id', role.id)
+    .select('id, name, permissions')
+    .single();
 
-      if (updateError) {
-        console.error(
-          `No-show update failed for business ${business.id}`,
-          updateError.message
-        );
-      } else {
-        console.log(
-          `Auto-marked ${overdueIds.length} appointment(s) as no_show for business ${business.id}`
-        );
-      }
-    }
-  } catch (err) {
-    console.error('Auto no-show cron error:', err.message);
-  }
-}
+  if (error) return res.status(500).json({ error: error.message });
 
+  res.json(data);
+});
 
-cron.schedule('* * * * *', autoMarkNoShows);
+app.delete('/roles/:id', requireAuth, requirePermission('roles.manage'), async (req, res) => {
+  const { data: role, error: roleError } = await supabase
+    .from('business_roles')
+    .select('id, name')
+    .eq('id', req.params.id)
+    .eq('business_id', req.businessId)
+    .maybeSingle();
 
-cron.schedule('0 3 * * *', async () => {
-  // runs daily at 3 AM server time
-  try {
-    console.log('Archiving old cancelled / no-show appointments');
+  if (roleError) return res.status(500).json({ error: roleError.message });
 
-    const cutoff = DateTime.now()
-      .minus({ days: 5 })
-      .toUTC()
-      .toISO();
+  if (!role) {
+    return res.status(404).json({ error: 'Role not found' });
+  }
 
-    const { error } = await supabase
-      .from('appointments')
-      .update({ archived_at: new Date().toISOString() })
-      .in('status', ['cancelled', 'no_show'])
-      .lt('appointment_time', cutoff)
-      .is('archived_at', null);
+  const { count } = await supabase
+    .from('business_users')
+    .select('user_id', { count: 'exact', head: true })
+    .eq('business_id', req.businessId)
+    .eq('role', role.name);
 
-    if (error) {
-      console.error('Archive cron error:', error.message);
-    }
-  } catch (err) {
-    console.error('Archive cron crash:', err.message);
+  if (count) {
+    return res.status(409).json({ error: 'Role is still assigned to team members' });
   }
-});
 
-//
+  const { error } = await supabase
+    .from('business_roles')
+    .delete()
+    .eq('id', role.id);
 
-app.patch('/appointments/:id/status', requireAuth, async (req, res) => {
-  const businessId = req.businessId;
-  const { id } = req.params;
-  const { status } = req.body;
+  if (error) return res.status(500).json({ error: error.message });
+  res.json({ success: true });
+});
 
-  const allowedStatuses = ['completed', 'no_show', 'cancelled'];
+/* ---------- Team ---------- */
 
-  if (!allowedStatuses.includes(status)) {
-    return res.status(400).json({
-      error: 'Invalid status'
-    });
-  }
+const TEAM_INVITE_TTL_DAYS = 7;
 
-  try {
-    // Ensure appointment belongs to this business
-    const { data: appointment, error: fetchError } = await supabase
-      .from('appointments')
-      .select('id, status')
-      .eq('id', id)
-      .eq('business_id', businessId)
-      .single();
+const MEMBER_COLUMNS = 'user_id, role, created_at, last_active_at, deactivated_at';
 
-    if (fetchError || !appointment) {
-      return res.status(404).json({
-        error: 'Appointment not found'
-      });
-    }
+function hashInviteToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
 
-    // Update status explicitly
-    const { data, error } = await supabase
-      .from('appointments')
-      .update({ status })
-      .eq('id', id)
-      .select('*, customers(phone)')
-      .single();
+// Built-in roles (except the legacy 'staff') or one of the business's custom roles
+async function isAssignableRole(businessId, role) {
+  if (typeof role !== 'string' || role === 'staff') return false;
+  if (BUILT_IN_ROLES[role]) return true;
 
+  const { data } = await supabase
+    .from('business_roles')
+    .select('id')
+    .eq('business_id', businessId)
+    .eq('name', role)
+    .maybeSingle();
 
-    if (error) {
-      return res.status(500).json({ error: error.message });
-    }
+  return Boolean(data);
+}
 
-    res.json(data);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+// Owners can't lock themselves out, and a business always keeps an active owner
+async function checkMemberChange(req, member, nextRole) {
+  if (member.user_id === req.user.id) {
+    return { status: 409, error: 'You cannot change your own membership' };
   }
-});
 
-app.patch('/businesses/settings/appointments', requireAuth, async (req, res) => {
-  const businessId = req.businessId;
+  if (member.role !== 'owner' || nextRole === 'owner') return null;
+
+  const { count } = await supabase
+    .from('business_users')
+    .select('user_id', { count: 'exact', head: true })
+    .eq('business_id', req.businessId)
+    .eq('role', 'owner')
+    .is('deactivated_at', null);
 
-  // 🔒 Owner-only
-  if (req.role !== 'owner') {
-    return res.status(403).json({ error: 'Only owner can update settings' });
+  if ((count || 0) <= 1) {
+    return { status: 409, error: 'The business needs at least one active owner' };
   }
 
-  const {
-    reminder_24h,
-    reminder_2h,
-    no_show_grace_minutes,
-    max_appointments_per_slot,
-  } = req.body;
+  return null;
+}
 
-  // Basic validation
-  if (
-    typeof reminder_24h !== 'boolean' ||
-    typeof reminder_2h !== 'boolean' ||
-    typeof no_show_grace_minutes !== 'number' ||
-    typeof max_appointments_per_slot !== 'number'
-  ) {
-    return res.status(400).json({ error: 'Invalid settings payload' });
+// Giving, changing or removing `role` needs every permission it carries,
+// and only owners manage owners
+async function checkRoleAuthority(req, role) {
+  if (role === 'owner' && req.role !== 'owner') {
+    return { status: 403, error: 'Only owners can manage owners' };
   }
 
-  const { data, error } = await supabase
-    .from('businesses')
-    .update({
-      appointment_settings: {
-        reminder_24h,
-        reminder_2h,
-        no_show_grace_minutes,
-        max_appointments_per_slot,
-      },
-    })
-    .eq('id', businessId)
-    .select('appointment_settings')
-    .single();
+  const missing = missingPermissions(req, await resolvePermissions(req.businessId, role));
 
-  if (error) {
-    return res.status(500).json({ error: error.message });
+  if (missing.length) {
+    return {
+      status: 403,
+      error: `You can only manage roles within your own permissions (missing ${missing.join(', ')})`,
+    };
   }
-  /* 🔄 SYNC REMINDER SETTINGS → AUTOMATION RULES */
 
-  // 24h reminder
-  await supabase
-    .from('automation_rules')
-    .update({ enabled: reminder_24h })
-    .eq('business_id', businessId)
-    .eq('rule_type', 'reminder_24h');
+  return null;
+}
 
-  // 2h reminder
-  await supabase
-    .from('automation_rules')
-    .update({ enabled: reminder_2h })
+async function loadMember(businessId, userId) {
+  return supabase
+    .from('business_users')
+    .select(MEMBER_COLUMNS)
     .eq('business_id', businessId)
-    .eq('rule_type', 'reminder_2h');
-
-  res.json(data.appointment_settings);
-});
-
-app.get('/appointments/availability', requireAuth, async (req, res) => {
-  const businessId = req.businessId;
-  const { date, excludeAppointmentId, duration_minutes } = req.query;
-
-const durationMinutes = Number(duration_minutes);
-console.log('AVAILABILITY QUERY:', {
-  date: req.query.date,
-  duration_minutes: req.query.duration_minutes,
-});
-console.log('Parsed durationMinutes:', durationMinutes);
-
+    .eq('user_id', userId)
+    .maybeSingle();
+}
 
+app.get('/team/members', requireAuth, requirePermission('team.manage'), async (req, res) => {
+  const { data: members, error } = await supabase
+    .from('business_users')
+    .select(MEMBER_COLUMNS)
+    .eq('business_id', req.businessId)
+    .order('created_at');
 
-if (!durationMinutes || durationMinutes <= 0) {
-  return res.status(400).json({
-    error: 'duration_minutes is required',
-  });
-}
+  if (error) return res.status(500).json({ error: error.message });
 
+  const withEmails = await Promise.all(
+    members.map(async member => {
+      const { data } = await supabase.auth.admin.getUserById(member.user_id);
 
-  if (!date) {
-    return res.status(400).json({ error: 'date is required (YYYY-MM-DD)' });
-  }
+      return {
+        ...member,
+        email: data?.user?.email || null,
+        active: !member.deactivated_at,
+      };
+    })
+  );
 
-  // Start/end of day in UTC
-  const dayStart = `${date}T00:00:00Z`;
-  const dayEnd = `${date}T23:59:59Z`;
-  
+  res.json(withEmails);
+});
 
-  // Fetch scheduled appointments for that day
-  let query = supabase
-    .from('appointments')
-    .select('appointment_time, duration_minutes')
-    .eq('business_id', businessId)
-    .eq('status', 'scheduled')
-    .gte('appointment_time', dayStart)
-    .lte('appointment_time', dayEnd);
+app.patch('/team/members/:userId', requireAuth, requirePermission('team.manage'), async (req, res) => {
+  const { role } = req.body;
 
-  if (excludeAppointmentId) {
-    query = query.neq('id', excludeAppointmentId);
+  if (!(await isAssignableRole(req.businessId, role))) {
+    return res.status(400).json({ error: 'Unknown role' });
   }
 
-  const { data: appointments, error } = await query;
+  const { data: member, error: memberError } = await loadMember(
+    req.businessId,
+    req.params.userId
+  );
 
+  if (memberError) return res.status(500).json({ error: memberError.message });
 
-  if (error) {
-    return res.status(500).json({ error: error.message });
+  if (!member) {
+    return res.status(404).json({ error: 'Team member not found' });
   }
 
-  // Count appointments per slot
-  const { data: business } = await supabase
-    .from('businesses')
-    .select('appointment_settings, timezone')
-    .eq('id', businessId)
-    .single();
+  const blocked =
+    (await checkRoleAuthority(req, role)) ||
+    (await checkRoleAuthority(req, member.role)) ||
+    (await checkMemberChange(req, member, role));
 
-  const maxPerSlot =
-    business?.appointment_settings?.max_appointments_per_slot ?? 1;
+  if (blocked) {
+    return res.status(blocked.status).json({ error: blocked.error });
+  }
 
-  // 1️⃣ Build slot load
-  const slotLoad = buildSlotLoadMap(appointments);
+  res.locals.auditBefore = { role: member.role };
 
-  // 2️⃣ Generate availability by START slot (frontend-compatible)
-const availability = {};
-
-// Iterate over possible START times in 15-min steps
-for (
-  let startMinutes = 0;
-  startMinutes + durationMinutes <= 24 * 60;
-  startMinutes += SLOT_SIZE_MINUTES
-) {
-  const requiredSlots = getSlotRange(
-    startMinutes,
-    durationMinutes
-  );
+  const { data, error } = await supabase
+    .from('business_users')
+    .update({ role })
+    .eq('business_id', req.businessId)
+    .eq('user_id', member.user_id)
+    .select(MEMBER_COLUMNS)
+    .single();
 
-  const isAvailable = requiredSlots.every(
-    slot => (slotLoad[slot] || 0) < maxPerSlot
-  );
+  if (error) return res.status(500).json({ error: error.message });
+  res.json(data);
+});
 
-  availability[startMinutes] = isAvailable;
-}
+// Deactivating keeps the business_users row, so history still resolves to the member
+app.post('/team/members/:userId/deactivate', requireAuth, requirePermission('team.manage'), async (req, res) => {
+  const { data: member, error: memberError } = await loadMember(
+    req.businessId,
+    req.params.userId
+  );
 
-  res.json({
-    slotSize: SLOT_SIZE_MINUTES,
-    slots: availability,
-  });
+  if (memberError) return res.status(500).json({ error: memberError.message });
 
-});
+  if (!member) {
+    return res.status(404).json({ error: 'Team member not found' });
+  }
 
-app.patch('/appointments/:id/reschedule-slot', requireAuth, async (req, res) => {
-    try {
-      const businessId = req.businessId;
-      const appointmentId = req.params.id;
+  if (member.deactivated_at) {
+    return res.json(member);
+  }
 
-      const { appointment_utc_time } = req.body;
+  const blocked =
+    (await checkRoleAuthority(req, member.role)) ||
+    (await checkMemberChange(req, member, null));
 
-      if (!appointment_utc_time) {
-        return res.status(400).json({ error: 'appointment_utc_time is required' });
-      }
+  if (blocked) {
+    return res.status(blocked.status).json({ error: blocked.error });
+  }
 
-      /* --------------------------------------------------
-         1️⃣ Verify appointment belongs to business
-      -------------------------------------------------- */
-      const { data: appointment, error: apptError } = await supabase
-        .from('appointments')
-        .select('*')
-        .eq('id', appointmentId)
-        .eq('business_id', businessId)
-        .single();
+  const { data, error } = await supabase
+    .from('business_users')
+    .update({ deactivated_at: new Date().toISOString() })
+    .eq('business_id', req.businessId)
+    .eq('user_id', member.user_id)
+    .select(MEMBER_COLUMNS)
+    .single();
 
-      if (apptError || !appointment) {
-        return res.status(404).json({ error: 'Appointment not found' });
-      }
+  if (error) return res.status(500).json({ error: error.message });
+  res.json(data);
+});
 
-      /* --------------------------------------------------
-         2️⃣ Load appointment services → compute duration
-      -------------------------------------------------- */
-      const { data: services, error: svcError } = await supabase
-        .from('appointment_services')
-        .select('duration_minutes')
-        .eq('appointment_id', appointmentId);
+app.post('/team/members/:userId/reactivate', requireAuth, requirePermission('team.manage'), async (req, res) => {
+  const { data: member, error: memberError } = await loadMember(
+    req.businessId,
+    req.params.userId
+  );
 
-      if (svcError || !services?.length) {
-        return res.status(400).json({
-          error: 'Appointment services missing. Cannot reschedule.',
-        });
-      }
+  if (memberError) return res.status(500).json({ error: memberError.message });
 
-      const totalDurationMinutes = services.reduce(
-        (sum, s) => sum + s.duration_minutes,
-        0
-      );
+  if (!member) {
+    return res.status(404).json({ error: 'Team member not found' });
+  }
 
-      /* --------------------------------------------------
-         3️⃣ Compute slot minutes (UTC)
-      -------------------------------------------------- */
-      const d = new Date(appointment_utc_time);
-      const slot_minutes =
-        d.getUTCHours() * 60 + d.getUTCMinutes();
-
-      /* --------------------------------------------------
-         4️⃣ Fetch business slot capacity
-      -------------------------------------------------- */
-      const { data: biz } = await supabase
-        .from('businesses')
-        .select('appointment_settings, timezone')
-        .eq('id', businessId)
-        .single();
-
-      const maxPerSlot =
-        biz?.appointment_settings?.max_appointments_per_slot ?? 1;
-
- /* --------------------------------------------------
-   5️⃣ Duration-aware capacity check
--------------------------------------------------- */
+  const blocked = await checkRoleAuthority(req, member.role);
+  if (blocked) {
+    return res.status(blocked.status).json({ error: blocked.error });
+  }
 
-// Fetch same-day appointments excluding this one
-const dayStart = appointment_utc_time.slice(0, 10) + 'T00:00:00Z';
-const dayEnd   = appointment_utc_time.slice(0, 10) + 'T23:59:59Z';
+  const { data, error } = await supabase
+    .from('business_users')
+    .update({ deactivated_at: null })
+    .eq('business_id', req.businessId)
+    .eq('user_id', member.user_id)
+    .select(MEMBER_COLUMNS)
+    .single();
 
-const { data: existingAppointments, error: fetchError } = await supabase
-  .from('appointments')
-  .select('appointment_time, duration_minutes')
-  .eq('business_id', businessId)
-  .eq('status', 'scheduled')
-  .neq('id', appointmentId)
-  .gte('appointment_time', dayStart)
-  .lte('appointment_time', dayEnd);
+  if (error) return res.status(500).json({ error: error.message });
+  res.json(data);
+});
 
-if (fetchError) {
-  return res.status(500).json({ error: fetchError.message });
-}
+app.get('/team/invites', requireAuth, requirePermission('team.manage'), async (req, res) => {
+  const { data, error } = await supabase
+    .from('team_invites')
+    .select('id, email, role, invited_by, expires_at, created_at')
+    .eq('business_id', req.businessId)
+    .is('accepted_at', null)
+    .is('revoked_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .order('created_at', { ascending: false });
 
-// Build slot load map
-const slotLoad = buildSlotLoadMap(existingAppointments);
+  if (error) return res.status(500).json({ error: error.message });
+  res.json(data);
+});
 
-// Required slots for this appointment
-const startSlotIndex = Math.floor(slot_minutes / SLOT_SIZE_MINUTES);
-const requiredSlots = Math.ceil(
-  totalDurationMinutes / SLOT_SIZE_MINUTES
-);
+// The token is only returned here; the database keeps its hash
+app.post('/team/invites', requireAuth, requirePermission('team.manage'), async (req, res) => {
+  const email = String(req.body.email || '').trim().toLowerCase();
+  const { role } = req.body;
 
-// Validate every slot
-for (let i = 0; i < requiredSlots; i++) {
-  const slotIndex = startSlotIndex + i;
-  const load = slotLoad[slotIndex] || 0;
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return res.status(400).json({ error: 'A valid email is required' });
+  }
 
-  if (load >= maxPerSlot) {
-    return res.status(409).json({
-      error: 'Selected time slot is fully booked',
-    });
+  if (!(await isAssignableRole(req.businessId, role))) {
+    return res.status(400).json({ error: 'Unknown role' });
   }
-}
 
+  const blocked = await checkRoleAuthority(req, role);
+  if (blocked) {
+    return res.status(blocked.status).json({ error: blocked.error });
+  }
 
+  // 1️⃣ A newer invite replaces any open one for the same email
+  await supabase
+    .from('team_invites')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('business_id', req.businessId)
+    .eq('email', email)
+    .is('accepted_at', null)
+    .is('revoked_at', null);
 
-      /* --------------------------------------------------
-         6️⃣ Update appointment (time + duration)
-      -------------------------------------------------- */
-      const { data: updated, error: updateError } = await supabase
-        .from('appointments')
-        .update({
-          appointment_time: appointment_utc_time,
-          slot_minutes,
-          duration_minutes: totalDurationMinutes,
-          status: 'scheduled',
-        })
-        .eq('id', appointmentId)
-        .select('*, customers(phone)')
-        .single();
+  // 2️⃣ Create the invite
+  const token = crypto.randomBytes(32).toString('base64url');
 
-      if (updateError) {
-        return res.status(500).json({ error: updateError.message });
-      }
+  const { data: invite, error } = await supabase
+    .from('team_invites')
+    .insert({
+      business_id: req.businessId,
+      email,
+      role,
+      token_hash: hashInviteToken(token),
+      invited_by: req.user.id,
+      expires_at: DateTime.utc().plus({ days: TEAM_INVITE_TTL_DAYS }).toISO(),
+    })
+    .select('id, email, role, expires_at, created_at')
+    .single();
 
-      /* --------------------------------------------------
-         7️⃣ Notify customer
-      -------------------------------------------------- */
-      const formattedTime = formatAppointmentTime(
-        updated.appointment_time,
-        biz.timezone || 'UTC'
-      );
+  if (error) return res.status(500).json({ error: error.message });
 
-      const message = `
-🔁 Your appointment has been rescheduled.
+  res.json({
+    ...invite,
+    token,
+    accept_url: process.env.APP_BASE_URL
+      ? `${process.env.APP_BASE_URL}/invites/accept?token=${token}`
+      : null,
+  });
+});
 
-📅 New time: ${formattedTime}
+app.delete('/team/invites/:id', requireAuth, requirePermission('team.manage'), async (req, res) => {
+  const { data, error } = await supabase
+    .from('team_invites')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', req.params.id)
+    .eq('business_id', req.businessId)
+    .is('accepted_at', null)
+    .select('id')
+    .maybeSingle();
 
-Reply here if you need help.
-`.trim();
+  if (error) return res.status(500).json({ error: error.message });
 
-      await sendAndLogSystemMessage({
-        customerId: updated.customer_id,
-        phone: updated.customers.phone,
-        content: message,
-      });
+  if (!data) {
+    return res.status(404).json({ error: 'Invite not found' });
+  }
 
-      /* --------------------------------------------------
-         8️⃣ Clear automation logs (important)
-      -------------------------------------------------- */
-      await supabase
-        .from('automation_logs')
-        .delete()
-        .eq('appointment_id', appointmentId);
+  res.json({ success: true });
+});
 
-      res.json(updated);
-    } catch (err) {
-      console.error('Reschedule error:', err);
-      res.status(500).json({ error: 'Internal server error' });
-    }
+// Called by the invited user after signing in; they have no business yet,
+// so this authenticates without requireAuth
+app.post('/team/invites/accept', async (req, res) => {
+  const { user, status, error: authError } = await authenticateUser(req);
+  if (authError) {
+    return res.status(status).json({ error: authError });
   }
-);
 
+  const { token } = req.body;
+  if (!token) {
+    return res.status(400).json({ error: 'token is required' });
+  }
 
-app.get('/automation-rules', requireAuth, async (req, res) => {
-  const businessId = req.businessId;
+  // 1️⃣ Find a usable invite addressed to this user
+  const { data: invite, error: inviteError } = await supabase
+    .from('team_invites')
+    .select('id, business_id, email, role, expires_at, accepted_at, revoked_at')
+    .eq('token_hash', hashInviteToken(String(token)))
+    .maybeSingle();
 
-  const { data, error } = await supabase
-    .from('automation_rules')
-    .select('*')
-    .eq('business_id', businessId)
-    .order('offset_minutes');
+  if (inviteError) return res.status(500).json({ error: inviteError.message });
 
-  if (error) {
-    return res.status(500).json({ error: error.message });
+  if (!invite || invite.revoked_at || invite.accepted_at) {
+    return res.status(404).json({ error: 'Invite not found' });
   }
 
-  res.json(data);
-});
+  if (DateTime.fromISO(invite.expires_at) <= DateTime.utc()) {
+    return res.status(410).json({ error: 'Invite has expired' });
+  }
 
-app.get('/businesses/settings/appointments', requireAuth, async (req, res) => {
-  const businessId = req.businessId;
+  if (invite.email !== (user.email || '').toLowerCase()) {
+    return res.status(403).json({ error: 'Invite was sent to a different email' });
+  }
 
-  const { data, error } = await supabase
-    .from('businesses')
-    .select('appointment_settings')
-    .eq('id', businessId)
-    .single();
+  // 2️⃣ A deactivated member is reactivated with the invited role
+  const { data: existing } = await supabase
+    .from('business_users')
+    .select('business_id, deactivated_at')
+    .eq('business_id', invite.business_id)
+    .eq('user_id', user.id)
+    .maybeSingle();
 
-  if (error) {
-    return res.status(500).json({ error: error.message });
+  if (existing && !existing.deactivated_at) {
+    return res.status(409).json({ error: 'User is already a team member' });
   }
 
-  // ✅ Safe defaults (VERY IMPORTANT)
-  const settings = {
-    reminder_24h: data.appointment_settings?.reminder_24h ?? true,
-    reminder_2h: data.appointment_settings?.reminder_2h ?? false,
-    no_show_grace_minutes:
-      data.appointment_settings?.no_show_grace_minutes ?? 30,
-    max_appointments_per_slot:
-      data.appointment_settings?.max_appointments_per_slot ?? 1,
+  const membership = {
+    role: invite.role,
+    deactivated_at: null,
+    last_active_at: new Date().toISOString(),
   };
 
-  res.json(settings);
-});
+  const { data: member, error } = existing
+    ? await supabase
+      .from('business_users')
+      .update(membership)
+      .eq('business_id', invite.business_id)
+      .eq('user_id', user.id)
+      .select(MEMBER_COLUMNS)
+      .single()
+    : await supabase
+      .from('business_users')
+      .insert({ ...membership, business_id: invite.business_id, user_id: user.id })
+      .select(MEMBER_COLUMNS)
+      .single();
 
+  if (error) return res.status(500).json({ error: error.message });
 
-app.patch('/automation-rules/:ruleId', requireAuth, async (req, res) => {
-  const { ruleId } = req.params;
-  const businessId = req.businessId;
-  const { enabled, offset_minutes, message_template } = req.body;
+  // 3️⃣ Mark the invite used
+  await supabase
+    .from('team_invites')
+    .update({ accepted_at: new Date().toISOString(), accepted_by: user.id })
+    .eq('id', invite.id);
 
-  const updates = {};
-  if (enabled !== undefined) updates.enabled = enabled;
-  if (offset_minutes !== undefined) updates.offset_minutes = offset_minutes;
-  if (message_template !== undefined)
-    updates.message_template = message_template;
+  req.user = user;
+  req.businessId = invite.business_id;
+  req.role = invite.role;
 
-  if (Object.keys(updates).length === 0) {
-    return res.status(400).json({ error: 'No valid fields to update' });
+  res.json(member);
+});
+
+const AUDIT_CSV_COLUMNS = [
+  'created_at',
+  'user_email',
+  'role',
+  'action',
+  'entity',
+  'entity_id',
+  'status_code',
+  'ip',
+  'changes',
+];
+
+// Cells a spreadsheet would run as a formula get a leading apostrophe
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function toCsvValue(value) {
+  let text = value === null || value === undefined
+    ? ''
+    : typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+  if (typeof value !== 'number' && CSV_FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
   }
 
-  const { data, error } = await supabase
-    .from('automation_rules')
-    .update(updates)
-    .eq('id', ruleId)
-    .eq('business_id', businessId)
-    .select(`
-  *,
-  appointment_services (
-    service_id,
-    services (
-      id,
-      name,
-      service_combo_items (
-        combo_id,
-        service_combos (
-          id,
-          name
-        )
-      )
-    )
-  )
-`)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
 
-    .single();
+// ?user_id, entity, entity_id, action, from, to, limit, format=csv
+app.get('/audit-logs', requireAuth, requirePermission('audit.read'), async (req, res) => {
+  const {
+    user_id,
+    entity,
+    entity_id,
+    action,
+    from,
+    to,
+    format,
+  } = req.query;
+  const limit = Math.min(Math.max(Math.trunc(Number(req.query.limit)) || 100, 1), 1000);
 
-  if (error) {
-    return res.status(500).json({ error: error.message });
+  let query = supabase
+    .from('audit_logs')
+    .select('*')
+    .eq('business_id', req.businessId)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (user_id) query = query.eq('user_id', user_id);
+  if (entity) query = query.eq('entity', entity);
+  if (entity_id) query = query.eq('entity_id', entity_id);
+  if (action) query = query.ilike('action', `%${action}%`);
+  if (from) query = query.gte('created_at', from);
+  if (to) query = query.lte('created_at', to);
+
+  const { data, error } = await query;
+
+  if (error) return res.status(500).json({ error: error.message });
+
+  if (format === 'csv') {
+    const rows = data.map(row =>
+      AUDIT_CSV_COLUMNS.map(column => toCsvValue(row[column])).join(',')
+    );
+
+    res.set('Content-Type', 'text/csv');
+    res.set('Content-Disposition', 'attachment; filename="audit-log.csv"');
+    return res.send([AUDIT_CSV_COLUMNS.join(','), ...rows].join('\n'));
   }
 
   res.json(data);
 });
-app.post('/messages/send', requireAuth, async (req, res) => {
-  const { customer_id, text } = req.body;
+
+app.post('/messages/send', requireAuth, requirePermission('messages.send'), async (req, res) => {
+  const { customer_id } = req.body;
   const businessId = req.businessId;
 
-  if (!customer_id || !text) {
-    return res.status(400).json({ error: 'customer_id and text are required' });
+  if (!customer_id) {
+    return res.status(400).json({ error: 'customer_id is required' });
+  }
+
+  let outbound;
+  try {
+    outbound = await buildOutboundMessage(businessId, req.body);
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+
+  if (outbound.error) {
+    return res.status(400).json({ error: outbound.error });
   }
 
   // 1️⃣ Verify customer belongs to this business
@@ -1558,6 +8575,35 @@ app.post('/messages/send', requireAuth, async (req, res) => {
   if (customerError || !customer) {
     return res.status(404).json({ error: 'Customer not found' });
   }
+
+  const { data: business, error: bizError } = await supabase
+    .from('businesses')
+    .select(BUSINESS_SENDER_COLUMNS)
+    .eq('id', businessId)
+    .single();
+
+  if (bizError) {
+    return res.status(500).json({ error: bizError.message });
+  }
+
+  // 🔒 Free-form messages need an open customer service window
+  if (outbound.message.type !== 'template') {
+    let sessionWindow;
+    try {
+      sessionWindow = await getSessionWindow(customer.id);
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+
+    if (!sessionWindow.open) {
+      return res.status(422).json({
+        error:
+          'The 24-hour customer service window is closed. Send an approved template instead.',
+        code: 'SESSION_WINDOW_CLOSED',
+        session_window: sessionWindow,
+      });
+    }
+  }
   // 1️⃣ Insert message first
   const { data: message, error: insertError } = await supabase
     .from('messages')
@@ -1565,8 +8611,8 @@ app.post('/messages/send', requireAuth, async (req, res) => {
       {
         customer_id,
         direction: 'out',
-        content: text,
-        status: 'pending'
+        status: 'pending',
+        ...outboundMessageColumns(outbound.message)
       }
     ])
     .select()
@@ -1577,38 +8623,25 @@ app.post('/messages/send', requireAuth, async (req, res) => {
   }
 
   // 2️⃣ Try sending WhatsApp
-  try {
-    const sendResult = await sendWhatsAppMessage(customer.phone, text);
-
-    // 3️⃣ Mark as sent
-    await supabase
-      .from('messages')
-      .update({
-        status: 'sent'
-      })
-      .eq('id', message.id);
-
-    res.json({ ...message, status: 'sent' });
-
-  } catch (err) {
-    // 4️⃣ Mark as failed
-    await supabase
-      .from('messages')
-      .update({
-        status: 'failed',
-        error: err.message,
-        retry_count: 1
-      })
-      .eq('id', message.id);
+  const sendResult = await sendWhatsAppMessage(
+    customer.phone,
+    outbound.message,
+    business
+  );
 
-    res.json({ ...message, status: 'failed' });
-  }
+  // 3️⃣ Record provider id (delivery updates arrive via webhook) or failure
+  const status = await recordSendResult(message.id, sendResult, 1);
 
+  res.json(formatMessageForClient({
+    ...message,
+    status,
+    provider_message_id: sendResult.messageId || null,
+  }));
 });
 async function retryFailedMessages() {
   const { data: messages } = await supabase
     .from('messages')
-    .select('*')
+    .select(`*, customers ( phone, businesses ( ${BUSINESS_SENDER_COLUMNS} ) )`)
     .eq('status', 'failed')
     .lt('retry_count', 3)
     .limit(10);
@@ -1620,13 +8653,35 @@ async function retryFailedMessages() {
         .update({ status: 'retrying' })
         .eq('id', msg.id);
 
-      const customer = await getCustomerPhone(msg.customer_id);
-      await sendWhatsAppMessage(customer.phone, msg.content);
+      // The window may have closed since the first attempt
+      const original = outboundMessageFromRow(msg);
+      const { message, blocked } = await applySessionWindow({
+        business: msg.customers.businesses,
+        customerId: msg.customer_id,
+        message: original,
+        purpose: msg.data?.purpose,
+        variables: msg.data?.variables,
+      });
 
-      await supabase
-        .from('messages')
-        .update({ status: 'sent' })
-        .eq('id', msg.id);
+      if (blocked) {
+        await recordSendResult(msg.id, { status: 'blocked', error: blocked });
+        continue;
+      }
+
+      if (message !== original) {
+        await supabase
+          .from('messages')
+          .update(systemMessageColumns(message, msg.data?.purpose, msg.data?.variables))
+          .eq('id', msg.id);
+      }
+
+      const sendResult = await sendWhatsAppMessage(
+        msg.customers.phone,
+        message,
+        msg.customers.businesses
+      );
+
+      await recordSendResult(msg.id, sendResult, msg.retry_count + 1);
 
     } catch (err) {
       await supabase
@@ -1640,8 +8695,31 @@ async function retryFailedMessages() {
     }
   }
 }
-setInterval(retryFailedMessages, 5 * 60 * 1000);
+if (!IS_TEST) {
+  setInterval(retryFailedMessages, 5 * 60 * 1000);
 
-app.listen(process.env.PORT, () => {
-  console.log(`Server running on port ${process.env.PORT}`);
-});
+  app.listen(process.env.PORT, () => {
+    console.log(`Server running on port ${process.env.PORT}`);
+  });
+}
+
+export {
+  app,
+  supabase,
+  resolveBusinessForRecipient,
+  ingestInboundMessage,
+  sendAndLogSystemMessage,
+  retryFailedMessages,
+  handleChatbotMessage,
+  matchAppointmentReply,
+  appointmentMenuSentLast,
+  checkBookingSlot,
+  resolveBookingBuffers,
+  getAvailability,
+  loadSeriesScope,
+  handleWaitlistReply,
+  createAppointment,
+  toCsvValue,
+  summarizeCustomerAppointments,
+  resolveSegmentCustomerIds,
+};
@@ -0,0 +1,25 @@
+-- Route inbound webhooks by the receiving number or Gupshup app name.
+
+alter table businesses
+  add column if not exists gupshup_source_number text,
+  add column if not exists gupshup_app_name text;
+
+create index if not exists businesses_gupshup_source_number_idx
+  on businesses (gupshup_source_number);
+
+create index if not exists businesses_whatsapp_number_idx
+  on businesses (whatsapp_number);
+
+create index if not exists businesses_gupshup_app_name_idx
+  on businesses (gupshup_app_name);
+
+-- Webhooks no business could be matched to, kept for inspection
+create table if not exists unrouted_webhooks (
+  id uuid primary key default gen_random_uuid(),
+  app_name text,
+  destination_number text,
+  sender_phone text,
+  reason text not null,
+  payload jsonb,
+  created_at timestamptz not null default now()
+);
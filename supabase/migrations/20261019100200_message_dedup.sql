@@ -0,0 +1,10 @@
+-- Inbound messages are deduplicated by the provider's message id. The
+-- unique index catches concurrent retries the API's lookup can't
+-- (the insert fails with 23505 and is treated as a duplicate).
+
+alter table messages
+  add column if not exists provider_message_id text;
+
+create unique index if not exists messages_provider_message_id_key
+  on messages (provider_message_id)
+  where provider_message_id is not null;
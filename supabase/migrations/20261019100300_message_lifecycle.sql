@@ -0,0 +1,7 @@
+-- Delivery lifecycle timestamps from provider status callbacks.
+
+alter table messages
+  add column if not exists sent_at timestamptz,
+  add column if not exists delivered_at timestamptz,
+  add column if not exists read_at timestamptz,
+  add column if not exists failed_at timestamptz;
@@ -0,0 +1,8 @@
+-- Media, location, contact and interactive payloads on messages.
+
+alter table messages
+  add column if not exists media_url text,
+  add column if not exists media_mime_type text,
+  add column if not exists media_filename text,
+  add column if not exists media_caption text,
+  add column if not exists data jsonb;
@@ -0,0 +1,21 @@
+-- Approved WhatsApp templates (HSM) and their use in automation rules.
+
+create table if not exists message_templates (
+  id uuid primary key default gen_random_uuid(),
+  business_id uuid not null references businesses (id) on delete cascade,
+  name text not null,
+  provider_template_id text not null,
+  body text not null,
+  language text not null default 'en',
+  category text not null default 'utility',
+  param_count int not null default 0,
+  is_active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists message_templates_business_id_idx
+  on message_templates (business_id);
+
+alter table automation_rules
+  add column if not exists template_id uuid references message_templates (id) on delete set null,
+  add column if not exists template_params jsonb;
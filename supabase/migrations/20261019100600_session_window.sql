@@ -0,0 +1,9 @@
+-- Purpose-based fallback templates for the 24h customer service window.
+
+alter table message_templates
+  add column if not exists purpose text,
+  add column if not exists default_params jsonb not null default '[]'::jsonb;
+
+-- Latest inbound message per customer
+create index if not exists messages_customer_direction_created_idx
+  on messages (customer_id, direction, created_at desc);
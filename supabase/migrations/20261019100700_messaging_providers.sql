@@ -0,0 +1,27 @@
+-- Per-business messaging provider (gupshup, meta, twilio, mock) and its
+-- credentials. provider_config holds secrets and is never returned unmasked.
+
+alter table businesses
+  add column if not exists messaging_provider text
+    check (messaging_provider in ('gupshup', 'meta', 'twilio', 'mock')),
+  add column if not exists provider_config jsonb not null default '{}'::jsonb;
+
+-- Meta webhooks are routed by phone_number_id
+create index if not exists businesses_meta_phone_number_id_idx
+  on businesses ((provider_config->>'phone_number_id'));
+
+alter table unrouted_webhooks
+  add column if not exists provider text;
+
+-- Outbound messages captured by the mock provider instead of being sent
+create table if not exists mock_outbound_messages (
+  id uuid primary key default gen_random_uuid(),
+  business_id uuid not null references businesses(id) on delete cascade,
+  phone text not null,
+  provider_message_id text not null,
+  message jsonb not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists mock_outbound_messages_business_idx
+  on mock_outbound_messages (business_id, created_at desc);
@@ -0,0 +1,15 @@
+-- Booking chatbot conversation state, one row per customer
+
+create table if not exists chatbot_sessions (
+  id uuid primary key default gen_random_uuid(),
+  business_id uuid not null references businesses(id) on delete cascade,
+  customer_id uuid not null unique references customers(id) on delete cascade,
+  state text not null,
+  data jsonb not null default '{}'::jsonb,
+  expires_at timestamptz not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists chatbot_sessions_expires_at_idx
+  on chatbot_sessions (expires_at);
@@ -0,0 +1,4 @@
+-- Set when the customer confirms by replying to the appointment message
+
+alter table appointments
+  add column if not exists confirmed_at timestamptz;
@@ -0,0 +1,26 @@
+-- Weekly opening hours (several rows per weekday for breaks) and per-date
+-- closures / special hours
+
+create table if not exists business_hours (
+  id uuid primary key default gen_random_uuid(),
+  business_id uuid not null references businesses(id) on delete cascade,
+  weekday smallint not null check (weekday between 1 and 7),
+  open_time time not null,
+  close_time time not null,
+  created_at timestamptz not null default now(),
+  check (open_time < close_time)
+);
+
+create index if not exists business_hours_business_idx
+  on business_hours (business_id, weekday);
+
+create table if not exists business_schedule_exceptions (
+  id uuid primary key default gen_random_uuid(),
+  business_id uuid not null references businesses(id) on delete cascade,
+  date date not null,
+  is_closed boolean not null default false,
+  hours jsonb not null default '[]'::jsonb,
+  note text,
+  created_at timestamptz not null default now(),
+  unique (business_id, date)
+);
@@ -0,0 +1,41 @@
+-- Staff members, the services each can perform and their own working hours.
+-- Businesses without staff keep the max_appointments_per_slot model.
+
+create table if not exists staff (
+  id uuid primary key default gen_random_uuid(),
+  business_id uuid not null references businesses(id) on delete cascade,
+  name text not null,
+  phone text,
+  is_active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists staff_business_idx
+  on staff (business_id) where is_active;
+
+create table if not exists staff_services (
+  staff_id uuid not null references staff(id) on delete cascade,
+  service_id uuid not null references services(id) on delete cascade,
+  primary key (staff_id, service_id)
+);
+
+create table if not exists staff_hours (
+  id uuid primary key default gen_random_uuid(),
+  staff_id uuid not null references staff(id) on delete cascade,
+  weekday smallint not null check (weekday between 1 and 7),
+  open_time time not null,
+  close_time time not null,
+  check (open_time < close_time)
+);
+
+create index if not exists staff_hours_staff_idx
+  on staff_hours (staff_id);
+
+-- Null for bookings made before staff were set up; those count against the
+-- team as a whole
+alter table appointments
+  add column if not exists staff_id uuid references staff(id) on delete set null;
+
+create index if not exists appointments_staff_time_idx
+  on appointments (staff_id, appointment_time)
+  where staff_id is not null;
@@ -0,0 +1,19 @@
+-- Setup / cleanup minutes blocked around a booking. Combos leave them null
+-- to use their services' values; appointments keep what was blocked when
+-- they were booked.
+
+alter table services
+  add column if not exists buffer_before_minutes int not null default 0
+    check (buffer_before_minutes >= 0),
+  add column if not exists buffer_after_minutes int not null default 0
+    check (buffer_after_minutes >= 0);
+
+alter table service_combos
+  add column if not exists buffer_before_minutes int
+    check (buffer_before_minutes >= 0),
+  add column if not exists buffer_after_minutes int
+    check (buffer_after_minutes >= 0);
+
+alter table appointments
+  add column if not exists buffer_before_minutes int not null default 0,
+  add column if not exists buffer_after_minutes int not null default 0;
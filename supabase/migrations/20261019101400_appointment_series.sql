@@ -0,0 +1,22 @@
+-- Recurring bookings. Each occurrence is a normal appointment pointing at
+-- its series; `services` is the booking payload every occurrence reuses.
+
+create table if not exists appointment_series (
+  id uuid primary key default gen_random_uuid(),
+  business_id uuid not null references businesses(id) on delete cascade,
+  customer_id uuid not null references customers(id) on delete cascade,
+  combo_id uuid references service_combos(id) on delete set null,
+  staff_id uuid references staff(id) on delete set null,
+  recurrence jsonb not null,
+  services jsonb not null,
+  first_appointment_time timestamptz not null,
+  status text not null default 'active' check (status in ('active', 'cancelled')),
+  created_at timestamptz not null default now()
+);
+
+alter table appointments
+  add column if not exists series_id uuid references appointment_series(id) on delete set null;
+
+create index if not exists appointments_series_idx
+  on appointments (series_id, appointment_time)
+  where series_id is not null;
@@ -0,0 +1,47 @@
+-- Waitlist for fully booked days and the slot offers made to it. A pending,
+-- unexpired offer holds its slot like a booking.
+
+create table if not exists waitlist_entries (
+  id uuid primary key default gen_random_uuid(),
+  business_id uuid not null references businesses(id) on delete cascade,
+  customer_id uuid not null references customers(id) on delete cascade,
+  services jsonb not null,
+  combo_id uuid references service_combos(id) on delete set null,
+  staff_id uuid references staff(id) on delete set null,
+  date_from date not null,
+  date_to date not null,
+  time_from time,
+  time_to time,
+  status text not null default 'waiting'
+    check (status in ('waiting', 'offered', 'booked', 'cancelled', 'expired')),
+  created_at timestamptz not null default now(),
+  check (date_from <= date_to)
+);
+
+create index if not exists waitlist_entries_open_idx
+  on waitlist_entries (business_id, created_at)
+  where status in ('waiting', 'offered');
+
+create table if not exists waitlist_offers (
+  id uuid primary key default gen_random_uuid(),
+  business_id uuid not null references businesses(id) on delete cascade,
+  entry_id uuid not null references waitlist_entries(id) on delete cascade,
+  customer_id uuid not null references customers(id) on delete cascade,
+  appointment_id uuid references appointments(id) on delete set null,
+  staff_id uuid references staff(id) on delete set null,
+  appointment_time timestamptz not null,
+  duration_minutes int not null,
+  buffer_before_minutes int not null default 0,
+  buffer_after_minutes int not null default 0,
+  status text not null default 'pending'
+    check (status in ('pending', 'accepted', 'declined', 'expired', 'cancelled', 'failed')),
+  expires_at timestamptz not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists waitlist_offers_pending_idx
+  on waitlist_offers (business_id, appointment_time)
+  where status = 'pending';
+
+create index if not exists waitlist_offers_customer_idx
+  on waitlist_offers (customer_id, created_at desc);
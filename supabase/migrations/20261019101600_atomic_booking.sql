@@ -0,0 +1,200 @@
+-- Atomic booking / rescheduling.
+--
+-- The API still runs its own availability check first (opening hours, staff
+-- choice, friendly errors). These functions repeat the capacity part inside
+-- one transaction, under a per-business advisory lock, so two concurrent
+-- requests can't both take the last seat of a slot. A full slot raises
+-- 'slot_full', which the API turns into a 409.
+
+-- True when any 15-minute slot touched by [p_block_start, p_block_end)
+-- already holds p_max_per_slot bookings. Mirrors buildSlotLoadMap: buffers
+-- count and pending waitlist holds count. With p_staff_id only that staff
+-- member's bookings count against p_max_per_slot, but unassigned bookings
+-- still need someone, so the slot is also full once the whole team is busy.
+create or replace function appointment_slot_full(
+  p_business_id uuid,
+  p_staff_id uuid,
+  p_block_start timestamptz,
+  p_block_end timestamptz,
+  p_max_per_slot int,
+  p_exclude_appointment_id uuid default null
+) returns boolean
+language sql
+stable
+as $$
+  with slots as (
+    select generate_series(
+      to_timestamp(floor(extract(epoch from p_block_start) / 900) * 900),
+      p_block_end - interval '1 microsecond',
+      interval '15 minutes'
+    ) as slot_start
+  ),
+  busy as (
+    select
+      a.staff_id,
+      a.appointment_time - make_interval(mins => coalesce(a.buffer_before_minutes, 0)) as block_start,
+      a.appointment_time + make_interval(mins => a.duration_minutes + coalesce(a.buffer_after_minutes, 0)) as block_end
+    from appointments a
+    where a.business_id = p_business_id
+      and a.status = 'scheduled'
+      and a.id is distinct from p_exclude_appointment_id
+      and a.appointment_time > p_block_start - interval '1 day'
+      and a.appointment_time < p_block_end + interval '1 day'
+
+    union all
+
+    select
+      o.staff_id,
+      o.appointment_time - make_interval(mins => coalesce(o.buffer_before_minutes, 0)),
+      o.appointment_time + make_interval(mins => o.duration_minutes + coalesce(o.buffer_after_minutes, 0))
+    from waitlist_offers o
+    where o.business_id = p_business_id
+      and o.status = 'pending'
+      and o.expires_at > now()
+      and o.appointment_time > p_block_start - interval '1 day'
+      and o.appointment_time < p_block_end + interval '1 day'
+  ),
+  team as (
+    select count(*) as size
+    from staff
+    where business_id = p_business_id
+      and is_active
+  )
+  select exists (
+    select 1
+    from slots s
+    cross join lateral (
+      select
+        count(*) filter (where p_staff_id is null or b.staff_id = p_staff_id) as own_load,
+        count(*) as team_load
+      from busy b
+      where b.block_start < s.slot_start + interval '15 minutes'
+        and b.block_end > s.slot_start
+    ) slot_load
+    where slot_load.own_load >= p_max_per_slot
+      or (p_staff_id is not null and slot_load.team_load >= (select size from team))
+  );
+$$;
+
+-- Inserts the appointment and its services in one transaction
+create or replace function book_appointment(
+  p_business_id uuid,
+  p_customer_id uuid,
+  p_appointment_time timestamptz,
+  p_slot_minutes int,
+  p_duration_minutes int,
+  p_combo_id uuid,
+  p_staff_id uuid,
+  p_buffer_before_minutes int,
+  p_buffer_after_minutes int,
+  p_series_id uuid,
+  p_services jsonb,
+  p_max_per_slot int
+) returns appointments
+language plpgsql
+as $$
+declare
+  v_appointment appointments;
+begin
+  perform pg_advisory_xact_lock(hashtext('appointments:' || p_business_id::text));
+
+  if appointment_slot_full(
+    p_business_id,
+    p_staff_id,
+    p_appointment_time - make_interval(mins => p_buffer_before_minutes),
+    p_appointment_time + make_interval(mins => p_duration_minutes + p_buffer_after_minutes),
+    p_max_per_slot
+  ) then
+    raise exception 'slot_full';
+  end if;
+
+  insert into appointments (
+    business_id,
+    customer_id,
+    appointment_time,
+    slot_minutes,
+    duration_minutes,
+    status,
+    combo_id,
+    staff_id,
+    buffer_before_minutes,
+    buffer_after_minutes,
+    series_id
+  )
+  values (
+    p_business_id,
+    p_customer_id,
+    p_appointment_time,
+    p_slot_minutes,
+    p_duration_minutes,
+    'scheduled',
+    p_combo_id,
+    p_staff_id,
+    p_buffer_before_minutes,
+    p_buffer_after_minutes,
+    p_series_id
+  )
+  returning * into v_appointment;
+
+  insert into appointment_services (appointment_id, service_id, duration_minutes)
+  select
+    v_appointment.id,
+    (item->>'service_id')::uuid,
+    (item->>'duration_minutes')::int
+  from jsonb_array_elements(p_services) as item;
+
+  return v_appointment;
+end;
+$$;
+
+-- Moves an appointment, re-checking capacity without counting itself
+create or replace function reschedule_appointment(
+  p_business_id uuid,
+  p_appointment_id uuid,
+  p_appointment_time timestamptz,
+  p_slot_minutes int,
+  p_duration_minutes int,
+  p_staff_id uuid,
+  p_max_per_slot int
+) returns appointments
+language plpgsql
+as $$
+declare
+  v_appointment appointments;
+begin
+  perform pg_advisory_xact_lock(hashtext('appointments:' || p_business_id::text));
+
+  select * into v_appointment
+  from appointments
+  where id = p_appointment_id
+    and business_id = p_business_id
+  for update;
+
+  if not found then
+    raise exception 'appointment_not_found';
+  end if;
+
+  if appointment_slot_full(
+    p_business_id,
+    p_staff_id,
+    p_appointment_time - make_interval(mins => coalesce(v_appointment.buffer_before_minutes, 0)),
+    p_appointment_time + make_interval(mins => p_duration_minutes + coalesce(v_appointment.buffer_after_minutes, 0)),
+    p_max_per_slot,
+    p_appointment_id
+  ) then
+    raise exception 'slot_full';
+  end if;
+
+  update appointments
+  set
+    appointment_time = p_appointment_time,
+    slot_minutes = p_slot_minutes,
+    duration_minutes = p_duration_minutes,
+    status = 'scheduled',
+    staff_id = p_staff_id
+  where id = p_appointment_id
+  returning * into v_appointment;
+
+  return v_appointment;
+end;
+$$;
@@ -0,0 +1,17 @@
+-- Who cancelled an appointment, why, and whether it was inside the
+-- business's late-cancellation window
+
+alter table appointments
+  add column if not exists cancelled_at timestamptz,
+  add column if not exists cancelled_by text
+    check (cancelled_by in ('business', 'customer')),
+  add column if not exists cancellation_reason text,
+  add column if not exists cancellation_note text,
+  add column if not exists late_cancellation boolean not null default false;
+
+create index if not exists appointments_late_cancellation_idx
+  on appointments (customer_id)
+  where late_cancellation;
+
+alter table customers
+  add column if not exists late_cancellation_count int not null default 0;
@@ -0,0 +1,16 @@
+-- Append-only appointment timeline. actor_type is user, customer or system;
+-- actor_id is the auth user or customer id.
+
+create table if not exists appointment_events (
+  id uuid primary key default gen_random_uuid(),
+  business_id uuid not null references businesses(id) on delete cascade,
+  appointment_id uuid not null references appointments(id) on delete cascade,
+  type text not null,
+  actor_type text not null check (actor_type in ('user', 'customer', 'system')),
+  actor_id uuid,
+  data jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists appointment_events_appointment_idx
+  on appointment_events (appointment_id, created_at);
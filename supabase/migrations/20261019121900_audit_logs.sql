@@ -0,0 +1,26 @@
+-- One row per dashboard write: who, what, and the before/after snapshot
+
+create table if not exists audit_logs (
+  id uuid primary key default gen_random_uuid(),
+  business_id uuid not null references businesses(id) on delete cascade,
+  user_id uuid,
+  user_email text,
+  role text,
+  action text not null,
+  entity text,
+  entity_id text,
+  before jsonb,
+  after jsonb,
+  changes jsonb,
+  request_body jsonb,
+  status_code int,
+  ip text,
+  user_agent text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists audit_logs_business_created_idx
+  on audit_logs (business_id, created_at desc);
+
+create index if not exists audit_logs_entity_idx
+  on audit_logs (business_id, entity, entity_id);
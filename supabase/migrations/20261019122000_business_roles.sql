@@ -0,0 +1,11 @@
+-- Custom roles. business_users.role holds either a built-in role name or
+-- the name of one of these rows.
+
+create table if not exists business_roles (
+  id uuid primary key default gen_random_uuid(),
+  business_id uuid not null references businesses(id) on delete cascade,
+  name text not null,
+  permissions text[] not null default '{}',
+  created_at timestamptz not null default now(),
+  unique (business_id, name)
+);
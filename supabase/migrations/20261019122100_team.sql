@@ -0,0 +1,25 @@
+-- Team management: membership activity and email invites. Invite tokens are
+-- only stored as a sha256 hash.
+
+alter table business_users
+  add column if not exists created_at timestamptz not null default now(),
+  add column if not exists last_active_at timestamptz,
+  add column if not exists deactivated_at timestamptz;
+
+create table if not exists team_invites (
+  id uuid primary key default gen_random_uuid(),
+  business_id uuid not null references businesses(id) on delete cascade,
+  email text not null,
+  role text not null,
+  token_hash text not null unique,
+  invited_by uuid not null,
+  expires_at timestamptz not null,
+  accepted_at timestamptz,
+  accepted_by uuid,
+  revoked_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists team_invites_open_idx
+  on team_invites (business_id, email)
+  where accepted_at is null and revoked_at is null;
@@ -0,0 +1,8 @@
+-- Who started creating a business, so a retried onboarding reuses it
+-- instead of creating a duplicate
+
+alter table businesses
+  add column if not exists created_by uuid;
+
+create index if not exists businesses_created_by_idx
+  on businesses (created_by, whatsapp_number);
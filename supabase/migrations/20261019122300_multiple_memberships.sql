@@ -0,0 +1,31 @@
+-- A user can belong to several businesses (branches): membership is unique
+-- per (business, user) instead of per user.
+
+do $$
+declare
+  v_constraint text;
+begin
+  for v_constraint in
+    select c.conname
+    from pg_constraint c
+    where c.conrelid = 'business_users'::regclass
+      and c.contype = 'u'
+      and c.conkey = array[(
+        select a.attnum
+        from pg_attribute a
+        where a.attrelid = 'business_users'::regclass
+          and a.attname = 'user_id'
+      )]
+  loop
+    execute format('alter table business_users drop constraint %I', v_constraint);
+  end loop;
+end;
+$$;
+
+drop index if exists business_users_user_id_key;
+
+create unique index if not exists business_users_business_user_idx
+  on business_users (business_id, user_id);
+
+create index if not exists business_users_user_idx
+  on business_users (user_id);
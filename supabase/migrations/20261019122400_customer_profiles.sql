@@ -0,0 +1,109 @@
+-- Richer customer profiles, business-defined custom fields and list prices.
+-- appointment_services keeps the price charged at booking time, so spend
+-- totals don't change when a service is repriced.
+
+alter table customers
+  add column if not exists email text,
+  add column if not exists birthday date,
+  add column if not exists gender text
+    check (gender in ('female', 'male', 'non_binary', 'other', 'prefer_not_to_say')),
+  add column if not exists preferred_staff_id uuid references staff(id) on delete set null,
+  add column if not exists notes text,
+  add column if not exists custom_fields jsonb not null default '{}'::jsonb;
+
+create table if not exists customer_field_definitions (
+  id uuid primary key default gen_random_uuid(),
+  business_id uuid not null references businesses(id) on delete cascade,
+  key text not null,
+  label text not null,
+  type text not null default 'text'
+    check (type in ('text', 'number', 'date', 'boolean', 'select')),
+  options jsonb,
+  created_at timestamptz not null default now(),
+  unique (business_id, key)
+);
+
+alter table services
+  add column if not exists price numeric(10, 2) check (price >= 0);
+
+alter table appointment_services
+  add column if not exists price numeric(10, 2);
+
+-- Existing bookings get today's price as the best record available
+update appointment_services item
+set price = s.price
+from services s
+where s.id = item.service_id
+  and item.price is null;
+
+-- Same as in the atomic booking migration, now also storing each price
+create or replace function book_appointment(
+  p_business_id uuid,
+  p_customer_id uuid,
+  p_appointment_time timestamptz,
+  p_slot_minutes int,
+  p_duration_minutes int,
+  p_combo_id uuid,
+  p_staff_id uuid,
+  p_buffer_before_minutes int,
+  p_buffer_after_minutes int,
+  p_series_id uuid,
+  p_services jsonb,
+  p_max_per_slot int
+) returns appointments
+language plpgsql
+as $$
+declare
+  v_appointment appointments;
+begin
+  perform pg_advisory_xact_lock(hashtext('appointments:' || p_business_id::text));
+
+  if appointment_slot_full(
+    p_business_id,
+    p_staff_id,
+    p_appointment_time - make_interval(mins => p_buffer_before_minutes),
+    p_appointment_time + make_interval(mins => p_duration_minutes + p_buffer_after_minutes),
+    p_max_per_slot
+  ) then
+    raise exception 'slot_full';
+  end if;
+
+  insert into appointments (
+    business_id,
+    customer_id,
+    appointment_time,
+    slot_minutes,
+    duration_minutes,
+    status,
+    combo_id,
+    staff_id,
+    buffer_before_minutes,
+    buffer_after_minutes,
+    series_id
+  )
+  values (
+    p_business_id,
+    p_customer_id,
+    p_appointment_time,
+    p_slot_minutes,
+    p_duration_minutes,
+    'scheduled',
+    p_combo_id,
+    p_staff_id,
+    p_buffer_before_minutes,
+    p_buffer_after_minutes,
+    p_series_id
+  )
+  returning * into v_appointment;
+
+  insert into appointment_services (appointment_id, service_id, duration_minutes, price)
+  select
+    v_appointment.id,
+    (item->>'service_id')::uuid,
+    (item->>'duration_minutes')::int,
+    (item->>'price')::numeric
+  from jsonb_array_elements(p_services) as item;
+
+  return v_appointment;
+end;
+$$;
@@ -0,0 +1,20 @@
+-- Free-form customer tags and saved segments (rule lists evaluated on read)
+
+alter table customers
+  add column if not exists tags text[] not null default '{}';
+
+create index if not exists customers_tags_idx
+  on customers using gin (tags);
+
+create table if not exists customer_segments (
+  id uuid primary key default gen_random_uuid(),
+  business_id uuid not null references businesses(id) on delete cascade,
+  name text not null,
+  rules jsonb not null,
+  match text not null default 'all' check (match in ('all', 'any')),
+  created_by uuid,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists customer_segments_business_idx
+  on customer_segments (business_id);
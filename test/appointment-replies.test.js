@@ -0,0 +1,108 @@
+import './helpers/env.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeSupabase } from './helpers/fakeSupabase.js';
+import { supabase, matchAppointmentReply, appointmentMenuSentLast } from '../src/index.js';
+
+let fake;
+afterEach(() => fake?.restore());
+
+const business = { id: 'biz-1', appointment_settings: {} };
+const twilioBusiness = { ...business, messaging_provider: 'twilio' };
+
+const appointmentMenu = {
+  type: 'quick_reply',
+  text: 'Your appointment is confirmed.',
+  buttons: [
+    { id: 'appointment_confirm', title: 'Confirm' },
+    { id: 'appointment_reschedule', title: 'Reschedule' },
+    { id: 'appointment_cancel', title: 'Cancel' },
+  ],
+};
+
+function text(content) {
+  return { message_type: 'text', content };
+}
+
+function outbound(message, createdAt) {
+  return {
+    id: crypto.randomUUID(),
+    customer_id: 'cust-1',
+    direction: 'out',
+    message_type: 'interactive',
+    data: { outbound: message },
+    created_at: createdAt,
+  };
+}
+
+test('bare numbers are ignored when no menu was sent', () => {
+  assert.equal(matchAppointmentReply(business, text('1')), null);
+  assert.equal(matchAppointmentReply(business, text(' 2. ')), null);
+  assert.equal(matchAppointmentReply(business, text('3')), null);
+});
+
+test('numbered menu replies map to the buttons in the order sent', () => {
+  const menuSent = { menuSent: true };
+
+  assert.equal(matchAppointmentReply(business, text('1'), menuSent), 'confirm');
+  assert.equal(matchAppointmentReply(business, text(' 2. '), menuSent), 'reschedule');
+  assert.equal(matchAppointmentReply(business, text('3'), menuSent), 'cancel');
+  assert.equal(matchAppointmentReply(business, text('4'), menuSent), null);
+  assert.equal(matchAppointmentReply(business, text('0'), menuSent), null);
+});
+
+test('button taps and keywords still match', () => {
+  assert.equal(
+    matchAppointmentReply(business, {
+      message_type: 'interactive',
+      data: { id: 'appointment_cancel' },
+    }),
+    'cancel'
+  );
+  assert.equal(matchAppointmentReply(business, text('Confirm!')), 'confirm');
+});
+
+test('custom keywords win over menu numbers', () => {
+  const custom = {
+    id: 'biz-2',
+    appointment_settings: { reply_keywords: { cancel: ['1'] } },
+  };
+
+  assert.equal(matchAppointmentReply(custom, text('1'), { menuSent: true }), 'cancel');
+});
+
+test('the menu counts as sent only when it was the last Twilio message', async () => {
+  fake = installFakeSupabase(supabase, {
+    tables: { messages: [outbound(appointmentMenu, '2026-10-19T09:00:00Z')] },
+  });
+
+  assert.equal(await appointmentMenuSentLast(twilioBusiness, 'cust-1'), true);
+
+  // Buttons render natively elsewhere, so no numbered menu went out
+  assert.equal(
+    await appointmentMenuSentLast({ ...business, messaging_provider: 'meta' }, 'cust-1'),
+    false
+  );
+
+  fake.tables.messages.push(
+    outbound({ type: 'text', text: 'How many people?' }, '2026-10-19T09:05:00Z')
+  );
+
+  assert.equal(await appointmentMenuSentLast(twilioBusiness, 'cust-1'), false);
+});
+
+test('other numbered menus do not count as the appointment menu', async () => {
+  fake = installFakeSupabase(supabase, {
+    tables: {
+      messages: [
+        outbound(
+          { type: 'quick_reply', text: 'Pick one', buttons: [{ id: 'option_1', title: 'Yes' }] },
+          '2026-10-19T09:00:00Z'
+        ),
+      ],
+    },
+  });
+
+  assert.equal(await appointmentMenuSentLast(twilioBusiness, 'cust-1'), false);
+  assert.equal(await appointmentMenuSentLast(twilioBusiness, 'cust-2'), false);
+});
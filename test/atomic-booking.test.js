@@ -0,0 +1,68 @@
+import './helpers/env.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeSupabase } from './helpers/fakeSupabase.js';
+import { supabase, createAppointment } from '../src/index.js';
+
+const tables = {
+  businesses: [{
+    id: 'biz-1',
+    timezone: 'Asia/Kolkata',
+    messaging_provider: 'mock',
+    appointment_settings: { max_appointments_per_slot: 2 },
+  }],
+  customers: [{ id: 'cust-1', business_id: 'biz-1', phone: '919811112222', name: 'Asha' }],
+  services: [{
+    id: 'svc-cut',
+    business_id: 'biz-1',
+    name: 'Cut',
+    duration_minutes: 30,
+    buffer_before_minutes: 10,
+    buffer_after_minutes: 5,
+    price: 450,
+  }],
+};
+
+let fake;
+afterEach(() => fake?.restore());
+
+function book(rpc) {
+  fake = installFakeSupabase(supabase, { tables, rpc });
+
+  return createAppointment({
+    businessId: 'biz-1',
+    phone: '919811112222',
+    services: [{ service_id: 'svc-cut', duration_minutes: 30 }],
+    appointmentUtcTime: '2099-03-02T05:00:00.000Z',
+  });
+}
+
+test('bookings go through book_appointment with the resolved capacity', async () => {
+  let args;
+
+  const result = await book({
+    book_appointment(params) {
+      args = params;
+      return { id: 'appt-1', ...params, appointment_time: params.p_appointment_time };
+    },
+  });
+
+  assert.equal(result.appointment.id, 'appt-1');
+  assert.equal(args.p_slot_minutes, 10 * 60 + 30);
+  assert.equal(args.p_buffer_before_minutes, 10);
+  assert.equal(args.p_buffer_after_minutes, 5);
+  assert.equal(args.p_max_per_slot, 2);
+  assert.equal(args.p_staff_id, null);
+  assert.deepEqual(args.p_services, [{ service_id: 'svc-cut', duration_minutes: 30, price: 450 }]);
+});
+
+test('a slot taken by a concurrent booking is a 409, not a 500', async () => {
+  const result = await book({
+    book_appointment() {
+      throw new Error('slot_full');
+    },
+  });
+
+  assert.equal(result.status, 409);
+  assert.ok(!fake.tables.messages?.length);
+});
@@ -0,0 +1,76 @@
+import './helpers/env.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeSupabase } from './helpers/fakeSupabase.js';
+import { startServer } from './helpers/server.js';
+import { app, supabase, toCsvValue } from '../src/index.js';
+
+let server;
+let fake;
+
+function logRow(i, extra = {}) {
+  return {
+    id: `log-${i}`,
+    business_id: 'biz-1',
+    user_email: 'owner@example.com',
+    action: 'PATCH /customers/:id',
+    entity: 'customers',
+    created_at: `2026-10-0${i}T10:00:00.000Z`,
+    ...extra,
+  };
+}
+
+before(async () => {
+  fake = installFakeSupabase(supabase, {
+    users: { 'owner-token': { id: 'user-owner', email: 'owner@example.com' } },
+    tables: {
+      business_users: [{ business_id: 'biz-1', user_id: 'user-owner', role: 'owner' }],
+      audit_logs: [
+        logRow(1),
+        logRow(2),
+        logRow(3, { entity_id: '=HYPERLINK("http://evil.example","x")' }),
+      ],
+    },
+  });
+  server = await startServer(app);
+});
+
+after(async () => {
+  await server.close();
+  fake.restore();
+});
+
+test('formula-like cells are neutralised', () => {
+  assert.equal(toCsvValue('=1+1'), "'=1+1");
+  assert.equal(toCsvValue('+91 98111'), "'+91 98111");
+  assert.equal(toCsvValue('-2'), "'-2");
+  assert.equal(toCsvValue('@SUM(A1)'), "'@SUM(A1)");
+  assert.equal(toCsvValue(-2), '-2');
+  assert.equal(toCsvValue('plain'), 'plain');
+});
+
+test('values with separators, quotes or line breaks are quoted', () => {
+  assert.equal(toCsvValue('a,b'), '"a,b"');
+  assert.equal(toCsvValue('say "hi"'), '"say ""hi"""');
+  assert.equal(toCsvValue('line\rbreak'), '"line\rbreak"');
+  assert.equal(toCsvValue({ a: 1 }), '"{""a"":1}"');
+});
+
+test('the CSV export does not carry live formulas', async () => {
+  const { status, text } = await server.request('GET', '/audit-logs?format=csv', {
+    token: 'owner-token',
+  });
+
+  assert.equal(status, 200);
+  assert.ok(text.includes(`"'=HYPERLINK(""http://evil.example"",""x"")"`));
+});
+
+test('out of range limits are clamped instead of failing', async () => {
+  const negative = await server.request('GET', '/audit-logs?limit=-5', { token: 'owner-token' });
+  assert.equal(negative.status, 200);
+  assert.equal(negative.body.length, 1);
+
+  const huge = await server.request('GET', '/audit-logs?limit=5000', { token: 'owner-token' });
+  assert.equal(huge.status, 200);
+  assert.equal(huge.body.length, 3);
+});
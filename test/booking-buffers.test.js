@@ -0,0 +1,78 @@
+import './helpers/env.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeSupabase } from './helpers/fakeSupabase.js';
+import { supabase, resolveBookingBuffers, getAvailability } from '../src/index.js';
+
+const tables = {
+  businesses: [{ id: 'biz-1', timezone: 'UTC', appointment_settings: {} }],
+  services: [
+    { id: 'svc-color', business_id: 'biz-1', buffer_before_minutes: 15, buffer_after_minutes: 0 },
+    { id: 'svc-wash', business_id: 'biz-1', buffer_before_minutes: 0, buffer_after_minutes: 30 },
+  ],
+  service_combos: [
+    { id: 'combo-1', business_id: 'biz-1', buffer_before_minutes: 5, buffer_after_minutes: null },
+  ],
+};
+
+let fake;
+afterEach(() => fake?.restore());
+
+test('buffers come from the configured services, not the request', async () => {
+  fake = installFakeSupabase(supabase, { tables });
+
+  const buffers = await resolveBookingBuffers('biz-1', [
+    { service_id: 'svc-color', buffer_before_minutes: 0 },
+    { service_id: 'svc-wash', buffer_after_minutes: 0 },
+  ]);
+
+  assert.deepEqual(buffers, { before: 15, after: 30 });
+});
+
+test('a combo overrides the service buffers it sets', async () => {
+  fake = installFakeSupabase(supabase, { tables });
+
+  const buffers = await resolveBookingBuffers(
+    'biz-1',
+    [{ service_id: 'svc-color' }, { service_id: 'svc-wash' }],
+    'combo-1'
+  );
+
+  assert.deepEqual(buffers, { before: 5, after: 30 });
+});
+
+test('availability says whether buffers were applied', async () => {
+  fake = installFakeSupabase(supabase, {
+    tables: {
+      ...tables,
+      appointments: [{
+        id: 'appt-1',
+        business_id: 'biz-1',
+        appointment_time: '2026-11-02T10:00:00.000Z',
+        duration_minutes: 60,
+        status: 'scheduled',
+      }],
+    },
+  });
+
+  const withoutServices = await getAvailability({
+    businessId: 'biz-1',
+    date: '2026-11-02',
+    durationMinutes: 30,
+  });
+
+  assert.equal(withoutServices.buffers_applied, false);
+  assert.equal(withoutServices.slots[11 * 60], true);
+
+  const withServices = await getAvailability({
+    businessId: 'biz-1',
+    date: '2026-11-02',
+    durationMinutes: 30,
+    serviceIds: ['svc-color'],
+  });
+
+  assert.equal(withServices.buffers_applied, true);
+  // 15 minutes of setup before 11:00 overlap the 10:00–11:00 booking
+  assert.equal(withServices.slots[11 * 60], false);
+  assert.equal(withServices.slots[11 * 60 + 15], true);
+});
@@ -0,0 +1,127 @@
+import './helpers/env.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeSupabase } from './helpers/fakeSupabase.js';
+import { startServer } from './helpers/server.js';
+import { app, supabase } from '../src/index.js';
+
+let server;
+let fake;
+
+// Customers per branch returned by the RPC, 2 unless set
+const branchSizes = {};
+
+function appointment(id, businessId, day) {
+  return {
+    id,
+    business_id: businessId,
+    appointment_time: `2026-11-${day}T10:00:00.000Z`,
+    status: 'scheduled',
+  };
+}
+
+before(async () => {
+  fake = installFakeSupabase(supabase, {
+    users: {
+      'multi-token': { id: 'user-multi', email: 'multi@example.com' },
+      'books-token': { id: 'user-books', email: 'books@example.com' },
+    },
+    tables: {
+      businesses: [
+        { id: 'biz-1', name: 'Central' },
+        { id: 'biz-2', name: 'North' },
+        { id: 'biz-3', name: 'South' },
+      ],
+      business_users: [
+        { business_id: 'biz-1', user_id: 'user-multi', role: 'owner' },
+        { business_id: 'biz-2', user_id: 'user-multi', role: 'read_only' },
+        { business_id: 'biz-3', user_id: 'user-multi', role: 'bookkeeper' },
+        { business_id: 'biz-3', user_id: 'user-books', role: 'bookkeeper' },
+      ],
+      business_roles: [
+        { id: 'role-books', business_id: 'biz-3', name: 'bookkeeper', permissions: ['audit.read'] },
+      ],
+      appointments: [
+        appointment('appt-1', 'biz-1', '01'),
+        appointment('appt-2', 'biz-2', '02'),
+        appointment('appt-3', 'biz-3', '03'),
+        appointment('appt-4', 'biz-1', '04'),
+      ],
+    },
+    rpc: {
+      get_customers_with_last_message: ({ business_uuid }) =>
+        branchSizes[business_uuid]
+          ? Array.from({ length: branchSizes[business_uuid] }, (_, idx) => ({
+            id: `cust-${business_uuid}-${idx}`,
+          }))
+          : [{ id: `cust-${business_uuid}-a` }, { id: `cust-${business_uuid}-b` }],
+    },
+  });
+  server = await startServer(app);
+});
+
+after(async () => {
+  await server.close();
+  fake.restore();
+});
+
+function get(path, token = 'multi-token', businessId = 'biz-1') {
+  return server.request('GET', path, { token, headers: { 'x-business-id': businessId } });
+}
+
+test('only branches whose role grants the permission are included', async () => {
+  const { status, body } = await get('/branches/appointments');
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.map(appt => appt.id), ['appt-4', 'appt-2', 'appt-1']);
+});
+
+test('asking for a branch without the permission is refused', async () => {
+  const { status } = await get('/branches/appointments?business_ids=biz-1,biz-3');
+  assert.equal(status, 403);
+
+  const customers = await get('/branches/customers?business_ids=biz-3');
+  assert.equal(customers.status, 403);
+});
+
+test('the active business needs the permission too', async () => {
+  const { status, body } = await get('/branches/customers', 'books-token', 'biz-3');
+
+  assert.equal(status, 403);
+  assert.equal(body.permission, 'customers.read');
+});
+
+test('cross-branch lists are paged', async () => {
+  const first = await get('/branches/appointments?limit=2');
+  const second = await get('/branches/appointments?limit=2&offset=2');
+
+  assert.deepEqual(first.body.map(appt => appt.id), ['appt-4', 'appt-2']);
+  assert.deepEqual(second.body.map(appt => appt.id), ['appt-1']);
+
+  const customers = await get('/branches/customers?limit=3&offset=1');
+  assert.deepEqual(
+    customers.body.map(row => row.id),
+    ['cust-biz-1-b', 'cust-biz-2-a', 'cust-biz-2-b']
+  );
+});
+
+test('customer pages reach past the response cap of a large branch', async () => {
+  branchSizes['biz-1'] = 2500;
+  branchSizes['biz-2'] = 3;
+  fake.maxRows = 1000;
+
+  try {
+    const deep = await get('/branches/customers?limit=2&offset=1500');
+    assert.deepEqual(deep.body.map(row => row.id), ['cust-biz-1-1500', 'cust-biz-1-1501']);
+
+    const across = await get('/branches/customers?limit=4&offset=2498');
+    assert.deepEqual(
+      across.body.map(row => row.id),
+      ['cust-biz-1-2498', 'cust-biz-1-2499', 'cust-biz-2-0', 'cust-biz-2-1']
+    );
+  } finally {
+    delete branchSizes['biz-1'];
+    delete branchSizes['biz-2'];
+    fake.maxRows = null;
+  }
+});
@@ -0,0 +1,78 @@
+import './helpers/env.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeSupabase } from './helpers/fakeSupabase.js';
+import { startServer } from './helpers/server.js';
+import { app, supabase } from '../src/index.js';
+
+let server;
+let fake;
+
+const mondayHours = { business_id: 'biz-1', weekday: 1, open_time: '09:00', close_time: '17:00' };
+
+beforeEach(() => {
+  fake?.restore();
+  fake = installFakeSupabase(supabase, {
+    users: { 'owner-token': { id: 'user-owner', email: 'owner@example.com' } },
+    tables: {
+      business_users: [{ business_id: 'biz-1', user_id: 'user-owner', role: 'owner' }],
+      business_hours: [{ id: 'old-1', ...mondayHours }],
+    },
+  });
+});
+
+before(async () => {
+  server = await startServer(app);
+});
+
+after(async () => {
+  await server.close();
+  fake.restore();
+});
+
+function putHours(hours) {
+  return server.request('PUT', '/businesses/settings/hours', {
+    token: 'owner-token',
+    body: { hours },
+  });
+}
+
+test('the weekly schedule is replaced', async () => {
+  const { status } = await putHours([
+    { weekday: 2, open_time: '10:00', close_time: '14:00' },
+    { weekday: 2, open_time: '15:00', close_time: '19:00' },
+  ]);
+
+  assert.equal(status, 200);
+  assert.deepEqual(
+    fake.tables.business_hours.map(row => [row.weekday, row.open_time]),
+    [[2, '10:00'], [2, '15:00']]
+  );
+});
+
+test('a failed insert keeps the previous schedule', async () => {
+  fake.fail('business_hours.insert', { message: 'connection reset' });
+
+  const { status } = await putHours([{ weekday: 2, open_time: '10:00', close_time: '14:00' }]);
+
+  assert.equal(status, 500);
+  assert.deepEqual(fake.tables.business_hours.map(row => row.id), ['old-1']);
+});
+
+test('invalid hours are rejected before anything is written', async () => {
+  const { status } = await putHours([
+    { weekday: 1, open_time: '09:00', close_time: '13:00' },
+    { weekday: 1, open_time: '12:00', close_time: '18:00' },
+  ]);
+
+  assert.equal(status, 400);
+  assert.ok(!fake.calls.some(call => call.table === 'business_hours' && call.action !== 'select'));
+  assert.deepEqual(fake.tables.business_hours.map(row => row.id), ['old-1']);
+});
+
+test('an empty list closes every day', async () => {
+  const { status } = await putHours([]);
+
+  assert.equal(status, 200);
+  assert.deepEqual(fake.tables.business_hours, []);
+});
@@ -0,0 +1,91 @@
+import './helpers/env.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeSupabase } from './helpers/fakeSupabase.js';
+import { startServer } from './helpers/server.js';
+import { app, supabase } from '../src/index.js';
+
+let server;
+let fake;
+
+const signup = {
+  name: 'Glow Salon',
+  city: 'Pune',
+  whatsapp_number: '919800000001',
+  timezone: 'Asia/Kolkata',
+};
+
+before(async () => {
+  server = await startServer(app);
+});
+
+after(async () => {
+  await server.close();
+  fake.restore();
+});
+
+beforeEach(() => {
+  fake?.restore();
+  fake = installFakeSupabase(supabase, {
+    users: {
+      'new-token': { id: 'user-new', email: 'new@example.com' },
+      'owner-token': { id: 'user-owner', email: 'owner@example.com' },
+    },
+    tables: {
+      businesses: [
+        { id: 'biz-1', name: 'Existing', whatsapp_number: '919800000001', created_by: 'user-owner' },
+      ],
+      business_users: [
+        { business_id: 'biz-1', user_id: 'user-owner', role: 'owner' },
+      ],
+      services: [{ id: 'svc-1', business_id: 'biz-1', name: 'Cut' }],
+    },
+  });
+});
+
+test('a number already routed to another business is refused', async () => {
+  const { status, body } = await server.request('POST', '/businesses', {
+    token: 'new-token',
+    body: signup,
+  });
+
+  assert.equal(status, 409);
+  assert.match(body.error, /already registered to another business/);
+  assert.equal(fake.tables.businesses.length, 1);
+  assert.equal(fake.tables.business_users.length, 1);
+});
+
+test('the creator retrying with the same number gets their business back', async () => {
+  const { status, body } = await server.request('POST', '/businesses', {
+    token: 'owner-token',
+    body: signup,
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.id, 'biz-1');
+  assert.equal(fake.tables.businesses.length, 1);
+});
+
+test('a failed membership lookup does not link the caller', async () => {
+  fake.fail('business_users.select', { message: 'boom' });
+
+  const { status } = await server.request('POST', '/businesses', {
+    token: 'new-token',
+    body: { ...signup, whatsapp_number: '919800000002' },
+  });
+
+  assert.equal(status, 500);
+  assert.equal(fake.tables.business_users.length, 1);
+});
+
+test('a failed catalog count does not seed starter services', async () => {
+  fake.fail('services.select', { message: 'boom' });
+
+  const { status } = await server.request('POST', '/businesses', {
+    token: 'new-token',
+    body: { ...signup, whatsapp_number: '919800000002' },
+  });
+
+  assert.equal(status, 500);
+  assert.equal(fake.tables.services.length, 1);
+});
@@ -0,0 +1,88 @@
+import './helpers/env.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeSupabase } from './helpers/fakeSupabase.js';
+import { supabase, getAvailability } from '../src/index.js';
+
+let fake;
+afterEach(() => fake?.restore());
+
+function booking(id, appointmentTime) {
+  return {
+    id,
+    business_id: 'biz-1',
+    appointment_time: appointmentTime,
+    duration_minutes: 30,
+    status: 'scheduled',
+  };
+}
+
+function availability(timezone, date, appointments = []) {
+  fake = installFakeSupabase(supabase, {
+    tables: {
+      businesses: [{ id: 'biz-1', timezone, appointment_settings: {} }],
+      appointments,
+    },
+  });
+
+  return getAvailability({ businessId: 'biz-1', date, durationMinutes: 30 });
+}
+
+test('the day starts at local midnight in a non-UTC zone', async () => {
+  const day = await availability('Asia/Kolkata', '2026-11-02', [
+    // 00:30 and 10:00 on 2 Nov in Kolkata, the first still 1 Nov in UTC
+    booking('appt-early', '2026-11-01T19:00:00.000Z'),
+    booking('appt-morning', '2026-11-02T04:30:00.000Z'),
+    // 01:30 on 3 Nov in Kolkata, outside the day
+    booking('appt-next-day', '2026-11-02T20:00:00.000Z'),
+  ]);
+
+  assert.equal(day.timezone, 'Asia/Kolkata');
+  assert.equal(day.times[0].utc_time, '2026-11-01T18:30:00.000Z');
+  assert.equal(day.times.length, (24 * 60 - 30) / 15 + 1);
+
+  assert.equal(day.slots[30], false);
+  assert.equal(day.slots[10 * 60], false);
+  assert.equal(day.slots[10 * 60 + 30], true);
+  assert.equal(day.slots[23 * 60 + 30], true);
+});
+
+test('the spring-forward day has no slots in the skipped hour', async () => {
+  // Clocks in London go from 01:00 to 02:00 on 29 Mar 2026
+  const day = await availability('Europe/London', '2026-03-29', [
+    booking('appt-1', '2026-03-29T01:00:00.000Z'),
+  ]);
+
+  assert.equal(day.times.length, (23 * 60 - 30) / 15 + 1);
+  assert.equal(60 in day.slots, false);
+  assert.equal(90 in day.slots, false);
+
+  // 01:00 UTC is 02:00 BST, straight after 00:45 GMT
+  const twoAm = day.times.find(slot => slot.minutes === 2 * 60);
+  assert.equal(twoAm.utc_time, '2026-03-29T01:00:00.000Z');
+  assert.equal(day.slots[2 * 60], false);
+  assert.equal(day.slots[45], false);
+  assert.equal(day.slots[30], true);
+});
+
+test('the fall-back day repeats an hour without mixing the two', async () => {
+  // Clocks in London go from 02:00 BST back to 01:00 GMT on 25 Oct 2026
+  const day = await availability('Europe/London', '2026-10-25', [
+    // 01:00 GMT, the second 01:00 of the day
+    booking('appt-1', '2026-10-25T01:00:00.000Z'),
+  ]);
+
+  assert.equal(day.times.length, (25 * 60 - 30) / 15 + 1);
+
+  const oneAm = day.times.filter(slot => slot.minutes === 60);
+  assert.deepEqual(
+    oneAm.map(slot => [slot.utc_time, slot.available]),
+    [
+      ['2026-10-25T00:00:00.000Z', true],
+      ['2026-10-25T01:00:00.000Z', false],
+    ]
+  );
+
+  // The minutes map keeps the first occurrence
+  assert.equal(day.slots[60], true);
+});
@@ -0,0 +1,39 @@
+import './helpers/env.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeSupabase } from './helpers/fakeSupabase.js';
+import { supabase, handleChatbotMessage } from '../src/index.js';
+
+const business = {
+  id: 'biz-1',
+  messaging_provider: 'mock',
+  appointment_settings: { chatbot_enabled: true },
+};
+const customer = { id: 'cust-1', business_id: 'biz-1', phone: '919811112222' };
+
+let fake;
+afterEach(() => fake?.restore());
+
+async function reply(content) {
+  fake = installFakeSupabase(supabase);
+  const handled = await handleChatbotMessage(business, customer, { content });
+  return { handled, session: fake.tables.chatbot_sessions?.[0] };
+}
+
+test('asking for a human hands the conversation to staff', async () => {
+  for (const content of ['Agent please', 'can I talk to someone?', 'HUMAN']) {
+    const { handled, session } = await reply(content);
+
+    assert.equal(handled, true, content);
+    assert.equal(session?.state, 'handoff', content);
+  }
+});
+
+test('keywords inside other words do not trigger a handoff', async () => {
+  for (const content of ['Is the reagent safe?', 'very humane staff', 'management']) {
+    const { handled, session } = await reply(content);
+
+    assert.equal(handled, false, content);
+    assert.equal(session, undefined, content);
+  }
+});
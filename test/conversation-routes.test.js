@@ -0,0 +1,55 @@
+import './helpers/env.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { DateTime } from 'luxon';
+import { installFakeSupabase } from './helpers/fakeSupabase.js';
+import { startServer } from './helpers/server.js';
+import { app, supabase } from '../src/index.js';
+
+let server;
+let fake;
+
+before(async () => {
+  fake = installFakeSupabase(supabase, {
+    users: { 'desk-token': { id: 'user-desk', email: 'desk@example.com' } },
+    tables: {
+      business_users: [{ business_id: 'biz-1', user_id: 'user-desk', role: 'receptionist' }],
+      customers: [{ id: 'cust-1', business_id: 'biz-1', phone: '919811112222' }],
+      messages: [
+        {
+          id: 'in-1',
+          customer_id: 'cust-1',
+          direction: 'in',
+          content: 'hi',
+          created_at: DateTime.utc().minus({ hours: 2 }).toISO(),
+        },
+      ],
+    },
+  });
+  server = await startServer(app);
+});
+
+after(async () => {
+  await server.close();
+  fake.restore();
+});
+
+test('GET /customers/:id/messages still returns the message array', async () => {
+  const { status, body } = await server.request('GET', '/customers/cust-1/messages', {
+    token: 'desk-token',
+  });
+
+  assert.equal(status, 200);
+  assert.ok(Array.isArray(body));
+  assert.equal(body[0].content, 'hi');
+});
+
+test('GET /customers/:id/session-window reports the window', async () => {
+  const { status, body } = await server.request('GET', '/customers/cust-1/session-window', {
+    token: 'desk-token',
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.session_window.open, true);
+  assert.equal(body.chatbot, null);
+});
@@ -0,0 +1,28 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { summarizeCustomerAppointments } from '../src/index.js';
+
+function visit(status, items) {
+  return {
+    id: `appt-${Math.random()}`,
+    status,
+    appointment_time: '2026-01-10T10:00:00.000Z',
+    appointment_services: items,
+  };
+}
+
+test('spend sums the prices stored at booking time', () => {
+  const summary = summarizeCustomerAppointments([
+    visit('completed', [
+      // Cut has since gone up to 600
+      { price: 450, services: { id: 'svc-cut', name: 'Cut', price: 600 } },
+      { price: 200, services: { id: 'svc-wash', name: 'Wash' } },
+    ]),
+    visit('completed', [{ price: null, services: { id: 'svc-free', name: 'Consult' } }]),
+    visit('cancelled', [{ price: 450, services: { id: 'svc-cut', name: 'Cut' } }]),
+  ]);
+
+  assert.equal(summary.total_spend, 650);
+  assert.equal(summary.visit_count, 2);
+});
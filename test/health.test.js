@@ -0,0 +1,50 @@
+import './helpers/env.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeSupabase } from './helpers/fakeSupabase.js';
+import { startServer } from './helpers/server.js';
+import { app, supabase } from '../src/index.js';
+
+let server;
+let fake;
+
+before(async () => {
+  fake = installFakeSupabase(supabase, {
+    users: {
+      'owner-token': { id: 'user-owner', email: 'owner@example.com' },
+      'desk-token': { id: 'user-desk', email: 'desk@example.com' },
+    },
+    tables: {
+      business_users: [
+        { business_id: 'biz-1', user_id: 'user-owner', role: 'owner' },
+        { business_id: 'biz-1', user_id: 'user-desk', role: 'receptionist' },
+      ],
+    },
+  });
+  server = await startServer(app);
+});
+
+after(async () => {
+  await server.close();
+  fake.restore();
+});
+
+test('/health only reports liveness', async () => {
+  const { status, body } = await server.request('GET', '/health');
+
+  assert.equal(status, 200);
+  assert.deepEqual(body, { status: 'ok' });
+});
+
+test('webhook counters need an authenticated owner', async () => {
+  assert.equal((await server.request('GET', '/webhook-stats')).status, 401);
+
+  const denied = await server.request('GET', '/webhook-stats', { token: 'desk-token' });
+  assert.equal(denied.status, 403);
+  assert.equal(denied.body.permission, 'settings.manage');
+
+  const { status, body } = await server.request('GET', '/webhook-stats', { token: 'owner-token' });
+  assert.equal(status, 200);
+  assert.equal(typeof body.received, 'number');
+  assert.ok(body.since);
+});
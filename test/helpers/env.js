@@ -0,0 +1,12 @@
+// Imported before src/index.js so the app loads without real credentials
+process.env.NODE_ENV = 'test';
+process.env.SUPABASE_URL ||= 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY ||= 'test-service-role-key';
+process.env.DEFAULT_MESSAGING_PROVIDER ||= 'mock';
+
+// The app logs every webhook and send to stdout, which node:test (Node 20)
+// also uses for its own reporting and occasionally fails to parse. Set
+// TEST_LOGS=1 to see the app output while debugging.
+if (!process.env.TEST_LOGS) {
+  console.log = () => {};
+}
@@ -0,0 +1,391 @@
+import crypto from 'crypto';
+
+// In-memory stand-in for the parts of supabase-js the API uses. Tables are
+// plain arrays of rows; embedded relations are not resolved, so seed rows
+// with the nested objects a route selects.
+
+// Supports `col`, `json->>key` and `embedded.col` (an embedded relation)
+function readColumn(row, column) {
+  const [base, key] = column.split('->>');
+
+  if (key === undefined && base.includes('.')) {
+    const [relation, nested] = base.split('.');
+    return row[relation]?.[nested];
+  }
+
+  const value = row[base];
+
+  if (key === undefined) return value;
+  return value?.[key] === undefined || value?.[key] === null
+    ? value?.[key]
+    : String(value[key]);
+}
+
+function compare(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  return a < b ? -1 : 1;
+}
+
+function parseInList(list) {
+  return String(list)
+    .replace(/^\(|\)$/g, '')
+    .split(',')
+    .map(value => value.replace(/^"|"$/g, ''));
+}
+
+class FakeQuery {
+  constructor(fake, table) {
+    this.fake = fake;
+    this.table = table;
+    this.action = 'select';
+    this.filters = [];
+    this.orders = [];
+    this.returning = false;
+    this.selectOptions = {};
+    this.mode = 'many';
+  }
+
+  get rows() {
+    this.fake.tables[this.table] ??= [];
+    return this.fake.tables[this.table];
+  }
+
+  select(columns, options = {}) {
+    if (this.action === 'select') {
+      this.selectOptions = options;
+    } else {
+      this.returning = true;
+    }
+    return this;
+  }
+
+  insert(values) {
+    this.action = 'insert';
+    this.values = Array.isArray(values) ? values : [values];
+    return this;
+  }
+
+  upsert(values, options = {}) {
+    this.action = 'upsert';
+    this.values = Array.isArray(values) ? values : [values];
+    this.conflictColumns = (options.onConflict || 'id').split(',').map(c => c.trim());
+    this.ignoreDuplicates = options.ignoreDuplicates;
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.values = values;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  filter(test) {
+    this.filters.push(test);
+    return this;
+  }
+
+  eq(column, value) {
+    return this.filter(row => readColumn(row, column) === value);
+  }
+
+  neq(column, value) {
+    return this.filter(row => readColumn(row, column) !== value);
+  }
+
+  in(column, values) {
+    return this.filter(row => values.includes(readColumn(row, column)));
+  }
+
+  is(column, value) {
+    return this.filter(row => (readColumn(row, column) ?? null) === value);
+  }
+
+  gt(column, value) {
+    return this.filter(row => readColumn(row, column) > value);
+  }
+
+  gte(column, value) {
+    return this.filter(row => readColumn(row, column) >= value);
+  }
+
+  lt(column, value) {
+    return this.filter(row => readColumn(row, column) < value);
+  }
+
+  lte(column, value) {
+    return this.filter(row => readColumn(row, column) <= value);
+  }
+
+  contains(column, values) {
+    return this.filter(row =>
+      values.every(value => (readColumn(row, column) || []).includes(value))
+    );
+  }
+
+  not(column, operator, value) {
+    if (operator === 'is') {
+      return this.filter(row => (readColumn(row, column) ?? null) !== value);
+    }
+
+    if (operator === 'in') {
+      const list = parseInList(value);
+      return this.filter(row => !list.includes(readColumn(row, column)));
+    }
+
+    throw new Error(`fakeSupabase: unsupported not(${operator})`);
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.orders.push({ column, ascending });
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  range(from, to) {
+    this.rangeFrom = from;
+    this.rangeTo = to;
+    return this;
+  }
+
+  single() {
+    this.mode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.mode = 'maybeSingle';
+    return this;
+  }
+
+  matching() {
+    return this.rows.filter(row => this.filters.every(test => test(row)));
+  }
+
+  violatesUnique(row, ignore) {
+    return (this.fake.unique[this.table] || []).some(columns =>
+      this.rows.some(existing =>
+        existing !== ignore &&
+        columns.every(column => existing[column] === row[column])
+      )
+    );
+  }
+
+  run() {
+    this.fake.calls.push({
+      table: this.table,
+      action: this.action,
+      values: this.values,
+    });
+
+    const key = `${this.table}.${this.action}`;
+    const failure = this.fake.failures[key];
+    if (failure) {
+      if (failure.times !== undefined && --failure.times === 0) {
+        delete this.fake.failures[key];
+      }
+      return { data: null, error: failure.error, count: null };
+    }
+
+    let result;
+
+    if (this.action === 'insert') {
+      result = [];
+
+      for (const values of this.values) {
+        const row = {
+          id: crypto.randomUUID(),
+          created_at: new Date().toISOString(),
+          ...values,
+        };
+
+        if (this.violatesUnique(row)) {
+          return {
+            data: null,
+            error: { code: '23505', message: 'duplicate key value' },
+          };
+        }
+
+        this.rows.push(row);
+        result.push(row);
+      }
+    } else if (this.action === 'upsert') {
+      result = [];
+
+      for (const values of this.values) {
+        const existing = this.rows.find(row =>
+          this.conflictColumns.every(column => row[column] === values[column])
+        );
+
+        if (existing) {
+          if (!this.ignoreDuplicates) Object.assign(existing, values);
+          result.push(existing);
+        } else {
+          const row = {
+            id: crypto.randomUUID(),
+            created_at: new Date().toISOString(),
+            ...values,
+          };
+          this.rows.push(row);
+          result.push(row);
+        }
+      }
+    } else if (this.action === 'update') {
+      result = this.matching();
+      for (const row of result) Object.assign(row, this.values);
+    } else if (this.action === 'delete') {
+      result = this.matching();
+      this.fake.tables[this.table] = this.rows.filter(row => !result.includes(row));
+    } else {
+      result = this.matching();
+    }
+
+    const count = result.length;
+
+    if (this.action !== 'select' && !this.returning) {
+      return { data: null, error: null, count };
+    }
+
+    result = [...result].sort((a, b) => {
+      for (const { column, ascending } of this.orders) {
+        const order = compare(readColumn(a, column), readColumn(b, column));
+        if (order) return ascending ? order : -order;
+      }
+      return 0;
+    });
+
+    if (this.rangeFrom !== undefined) {
+      result = result.slice(this.rangeFrom, this.rangeTo + 1);
+    }
+
+    if (this.limitCount !== undefined) {
+      result = result.slice(0, this.limitCount);
+    }
+
+    if (this.fake.maxRows) {
+      result = result.slice(0, this.fake.maxRows);
+    }
+
+    result = result.map(row => structuredClone(row));
+
+    if (this.selectOptions.head) {
+      return { data: null, error: null, count };
+    }
+
+    if (this.mode === 'single' || this.mode === 'maybeSingle') {
+      if (result.length > 1 || (this.mode === 'single' && !result.length)) {
+        return {
+          data: null,
+          error: { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' },
+          count,
+        };
+      }
+
+      return { data: result[0] ?? null, error: null, count };
+    }
+
+    return { data: result, error: null, count };
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.run()).then(resolve, reject);
+  }
+}
+
+// Swaps supabase.from / rpc / auth on the app's client for in-memory ones.
+// `users` maps bearer tokens to auth users.
+export function installFakeSupabase(supabase, {
+  tables = {},
+  users = {},
+  rpc = {},
+  unique = {},
+} = {}) {
+  const original = {
+    from: supabase.from,
+    rpc: supabase.rpc,
+    getUser: supabase.auth.getUser,
+    getUserById: supabase.auth.admin.getUserById,
+  };
+
+  const fake = {
+    tables: structuredClone(tables),
+    unique,
+    failures: {},
+    calls: [],
+    maxRows: null,
+
+    // e.g. fail('business_hours.insert', { message: 'boom' }); `times`
+    // limits how many calls fail, otherwise every one does
+    fail(key, error, times) {
+      this.failures[key] = { error, times };
+    },
+
+    restore() {
+      supabase.from = original.from;
+      supabase.rpc = original.rpc;
+      supabase.auth.getUser = original.getUser;
+      supabase.auth.admin.getUserById = original.getUserById;
+    },
+  };
+
+  supabase.from = table => new FakeQuery(fake, table);
+
+  // Awaitable like supabase-js; .range() and the max-rows cap apply to
+  // functions returning rows
+  supabase.rpc = (name, args) => {
+    let range = null;
+
+    const run = async () => {
+      if (!rpc[name]) {
+        return { data: null, error: { message: `rpc ${name} is not stubbed` } };
+      }
+
+      try {
+        let data = await rpc[name](args, fake);
+
+        if (Array.isArray(data)) {
+          if (range) data = data.slice(range[0], range[1] + 1);
+          if (fake.maxRows) data = data.slice(0, fake.maxRows);
+        }
+
+        return { data, error: null };
+      } catch (error) {
+        return { data: null, error: { message: error.message } };
+      }
+    };
+
+    return {
+      range(from, to) {
+        range = [from, to];
+        return this;
+      },
+      then(resolve, reject) {
+        return run().then(resolve, reject);
+      },
+    };
+  };
+
+  supabase.auth.getUser = async token => {
+    const user = users[token];
+    return user
+      ? { data: { user }, error: null }
+      : { data: { user: null }, error: { message: 'invalid token' } };
+  };
+
+  supabase.auth.admin.getUserById = async id => {
+    const user = Object.values(users).find(candidate => candidate.id === id);
+    return { data: { user: user || null }, error: null };
+  };
+
+  return fake;
+}
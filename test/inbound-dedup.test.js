@@ -0,0 +1,41 @@
+import './helpers/env.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeSupabase } from './helpers/fakeSupabase.js';
+import { supabase, ingestInboundMessage } from '../src/index.js';
+
+let fake;
+afterEach(() => fake?.restore());
+
+const business = { id: 'biz-1' };
+
+function inbound(providerMessageId) {
+  return {
+    phone: '919811112222',
+    senderName: 'Asha',
+    providerMessageId,
+    columns: { content: 'hi', message_type: 'text' },
+  };
+}
+
+test('a retried delivery is stored once', async () => {
+  fake = installFakeSupabase(supabase, { unique: { messages: [['provider_message_id']] } });
+
+  const first = await ingestInboundMessage(business, inbound('wamid.1'));
+  const retry = await ingestInboundMessage(business, inbound('wamid.1'));
+
+  assert.equal(first.outcome, 'stored');
+  assert.equal(retry.outcome, 'duplicate');
+  assert.equal(fake.tables.messages.length, 1);
+  assert.equal(fake.tables.customers.length, 1);
+});
+
+test('a unique violation from a concurrent retry counts as a duplicate', async () => {
+  fake = installFakeSupabase(supabase, {
+    tables: { customers: [{ id: 'cust-1', business_id: 'biz-1', phone: '919811112222' }] },
+  });
+  fake.fail('messages.insert', { code: '23505', message: 'duplicate key value' });
+
+  const { outcome } = await ingestInboundMessage(business, inbound('wamid.2'));
+  assert.equal(outcome, 'duplicate');
+});
@@ -0,0 +1,84 @@
+import './helpers/env.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeSupabase } from './helpers/fakeSupabase.js';
+import { startServer } from './helpers/server.js';
+import { app, supabase } from '../src/index.js';
+
+let server;
+let fake;
+
+before(async () => {
+  server = await startServer(app);
+});
+
+after(async () => {
+  await server.close();
+  fake.restore();
+});
+
+beforeEach(() => {
+  fake?.restore();
+  fake = installFakeSupabase(supabase, {
+    users: { 'owner-token': { id: 'user-owner', email: 'owner@example.com' } },
+    tables: {
+      business_users: [{ business_id: 'biz-1', user_id: 'user-owner', role: 'owner' }],
+      message_templates: [
+        {
+          id: 'tpl-1',
+          business_id: 'biz-1',
+          body: 'Hi {{1}}, see you at {{2}}',
+          param_count: 2,
+          default_params: ['{{customer_name}}', '{{appointment_time}}'],
+        },
+        {
+          id: 'tpl-2',
+          business_id: 'biz-1',
+          body: 'Hello {{1}}',
+          param_count: 1,
+          default_params: [],
+        },
+      ],
+    },
+  });
+});
+
+function patchTemplate(id, body) {
+  return server.request('PATCH', `/message-templates/${id}`, { token: 'owner-token', body });
+}
+
+test('default_params must match the stored body', async () => {
+  const { status, body } = await patchTemplate('tpl-1', { default_params: ['{{customer_name}}'] });
+
+  assert.equal(status, 400);
+  assert.equal(body.error, 'default_params must have 2 entries');
+});
+
+test('a new body must match the stored default_params', async () => {
+  const { status } = await patchTemplate('tpl-1', { body: 'Hi {{1}}' });
+
+  assert.equal(status, 400);
+  assert.equal(fake.tables.message_templates[0].body, 'Hi {{1}}, see you at {{2}}');
+});
+
+test('body and default_params can change together', async () => {
+  const { status, body } = await patchTemplate('tpl-1', {
+    body: 'Hi {{1}}',
+    default_params: ['{{customer_name}}'],
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.param_count, 1);
+});
+
+test('templates without defaults can still change their body', async () => {
+  const { status } = await patchTemplate('tpl-2', { body: 'Hello {{1}} from {{2}}' });
+  assert.equal(status, 200);
+});
+
+test('another business\'s template is not found', async () => {
+  fake.tables.message_templates[0].business_id = 'biz-2';
+
+  const { status } = await patchTemplate('tpl-1', { default_params: [] });
+  assert.equal(status, 404);
+});
@@ -0,0 +1,172 @@
+import './helpers/env.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { installFakeSupabase } from './helpers/fakeSupabase.js';
+import { startServer } from './helpers/server.js';
+import { app, supabase } from '../src/index.js';
+
+process.env.META_APP_SECRET = 'platform-meta-secret';
+process.env.TWILIO_AUTH_TOKEN = 'platform-twilio-token';
+
+let server;
+let fake;
+
+const ownMeta = {
+  id: 'biz-own',
+  whatsapp_number: '15550000001',
+  messaging_provider: 'meta',
+  provider_config: {
+    phone_number_id: '1001',
+    access_token: 'own-access-token-abcd',
+    app_secret: 'own-app-secret-wxyz',
+  },
+};
+
+const sharedMeta = {
+  id: 'biz-shared',
+  whatsapp_number: '15550000002',
+  messaging_provider: 'meta',
+  provider_config: { phone_number_id: '1002' },
+};
+
+const ownTwilio = {
+  id: 'biz-twilio',
+  whatsapp_number: '15550000003',
+  messaging_provider: 'twilio',
+  provider_config: { account_sid: 'AC1', auth_token: 'own-twilio-token' },
+};
+
+beforeEach(() => {
+  fake?.restore();
+  fake = installFakeSupabase(supabase, {
+    users: { 'owner-token': { id: 'user-owner', email: 'owner@example.com' } },
+    tables: {
+      businesses: [ownMeta, sharedMeta, ownTwilio],
+      business_users: [{ business_id: 'biz-own', user_id: 'user-owner', role: 'owner' }],
+    },
+  });
+});
+
+before(async () => {
+  server = await startServer(app);
+});
+
+after(async () => {
+  await server.close();
+  fake.restore();
+});
+
+function metaPayload(phoneNumberId, messageId) {
+  return {
+    entry: [{
+      changes: [{
+        value: {
+          metadata: { phone_number_id: phoneNumberId },
+          contacts: [{ wa_id: '919811112222', profile: { name: 'Asha' } }],
+          messages: [{
+            id: messageId,
+            from: '919811112222',
+            type: 'text',
+            text: { body: 'hello' },
+          }],
+        },
+      }],
+    }],
+  };
+}
+
+function postMeta(body, secret) {
+  const raw = JSON.stringify(body);
+  const signature =
+    'sha256=' + crypto.createHmac('sha256', secret).update(raw).digest('hex');
+
+  return server.request('POST', '/webhook/meta', {
+    body,
+    headers: { 'x-hub-signature-256': signature },
+  });
+}
+
+test('Meta webhooks are verified with the business app secret', async () => {
+  const accepted = await postMeta(metaPayload('1001', 'wamid.A'), 'own-app-secret-wxyz');
+  assert.equal(accepted.status, 200);
+  assert.equal(fake.tables.messages.length, 1);
+
+  const platformSigned = await postMeta(metaPayload('1001', 'wamid.B'), 'platform-meta-secret');
+  assert.equal(platformSigned.status, 401);
+});
+
+test('businesses without their own secret fall back to the env value', async () => {
+  const accepted = await postMeta(metaPayload('1002', 'wamid.C'), 'platform-meta-secret');
+  assert.equal(accepted.status, 200);
+
+  const wrong = await postMeta(metaPayload('1002', 'wamid.D'), 'own-app-secret-wxyz');
+  assert.equal(wrong.status, 401);
+});
+
+test('a payload mixing businesses is not verified with one of their secrets', async () => {
+  const body = metaPayload('1001', 'wamid.E');
+  body.entry.push(metaPayload('1002', 'wamid.F').entry[0]);
+
+  const { status } = await postMeta(body, 'own-app-secret-wxyz');
+  assert.equal(status, 401);
+});
+
+test('Twilio webhooks are verified with the business auth token', async () => {
+  const params = {
+    From: 'whatsapp:+919811112222',
+    To: 'whatsapp:+15550000003',
+    Body: 'hi',
+    MessageSid: 'SM1',
+    NumMedia: '0',
+  };
+
+  const post = token => {
+    const url = `${server.baseUrl}/webhook/twilio`;
+    const payload = Object.keys(params).sort().reduce((acc, key) => acc + key + params[key], url);
+    const signature = crypto.createHmac('sha1', token).update(payload).digest('base64');
+
+    return fetch(url, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/x-www-form-urlencoded',
+        'x-twilio-signature': signature,
+      },
+      body: new URLSearchParams(params).toString(),
+    });
+  };
+
+  assert.equal((await post('own-twilio-token')).status, 200);
+  assert.equal((await post('platform-twilio-token')).status, 401);
+});
+
+test('saving the masked settings back keeps the stored secrets', async () => {
+  const { body: settings } = await server.request('GET', '/businesses/settings/whatsapp', {
+    token: 'owner-token',
+  });
+
+  assert.equal(settings.provider_config.app_secret, '••••wxyz');
+
+  const { status } = await server.request('PATCH', '/businesses/settings/whatsapp', {
+    token: 'owner-token',
+    body: {
+      provider_config: { ...settings.provider_config, phone_number_id: '1001' },
+    },
+  });
+
+  assert.equal(status, 200);
+
+  const stored = fake.tables.businesses.find(row => row.id === 'biz-own').provider_config;
+  assert.equal(stored.app_secret, 'own-app-secret-wxyz');
+  assert.equal(stored.access_token, 'own-access-token-abcd');
+});
+
+test('a new secret still replaces the stored one', async () => {
+  await server.request('PATCH', '/businesses/settings/whatsapp', {
+    token: 'owner-token',
+    body: { provider_config: { app_secret: 'rotated-secret' } },
+  });
+
+  const stored = fake.tables.businesses.find(row => row.id === 'biz-own').provider_config;
+  assert.equal(stored.app_secret, 'rotated-secret');
+});
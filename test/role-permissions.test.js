@@ -0,0 +1,116 @@
+import './helpers/env.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeSupabase } from './helpers/fakeSupabase.js';
+import { startServer } from './helpers/server.js';
+import { app, supabase } from '../src/index.js';
+
+let server;
+let fake;
+
+beforeEach(() => {
+  fake?.restore();
+  fake = installFakeSupabase(supabase, {
+    users: {
+      'owner-token': { id: 'user-owner', email: 'owner@example.com' },
+      'roles-token': { id: 'user-roles', email: 'roles@example.com' },
+    },
+    tables: {
+      business_users: [
+        { business_id: 'biz-1', user_id: 'user-owner', role: 'owner' },
+        { business_id: 'biz-1', user_id: 'user-roles', role: 'role_admin' },
+      ],
+      business_roles: [
+        {
+          id: 'role-admin',
+          business_id: 'biz-1',
+          name: 'role_admin',
+          permissions: ['roles.manage', 'customers.read', 'customers.write'],
+        },
+        {
+          id: 'role-desk',
+          business_id: 'biz-1',
+          name: 'desk',
+          permissions: ['customers.read'],
+        },
+        {
+          id: 'role-accounts',
+          business_id: 'biz-1',
+          name: 'accounts',
+          permissions: ['customers.read', 'audit.read'],
+        },
+      ],
+    },
+  });
+});
+
+before(async () => {
+  server = await startServer(app);
+});
+
+after(async () => {
+  await server.close();
+  fake.restore();
+});
+
+function permissionsOf(name) {
+  return fake.tables.business_roles.find(role => role.name === name).permissions;
+}
+
+test('new roles can only hold permissions the creator has', async () => {
+  const denied = await server.request('POST', '/roles', {
+    token: 'roles-token',
+    body: { name: 'shadow', permissions: ['customers.read', 'settings.manage'] },
+  });
+
+  assert.equal(denied.status, 403);
+  assert.deepEqual(denied.body.permissions, ['settings.manage']);
+
+  const allowed = await server.request('POST', '/roles', {
+    token: 'roles-token',
+    body: { name: 'helper', permissions: ['customers.read', 'customers.write'] },
+  });
+
+  assert.equal(allowed.status, 200);
+});
+
+test('a roles.manage holder cannot widen their own role', async () => {
+  const { status } = await server.request('PATCH', '/roles/role-admin', {
+    token: 'roles-token',
+    body: { permissions: ['roles.manage', 'customers.read', 'customers.write'] },
+  });
+
+  assert.equal(status, 403);
+  assert.deepEqual(permissionsOf('role_admin'), ['roles.manage', 'customers.read', 'customers.write']);
+});
+
+test('roles are only editable within the editor\'s permissions', async () => {
+  const widen = await server.request('PATCH', '/roles/role-desk', {
+    token: 'roles-token',
+    body: { permissions: ['customers.read', 'team.manage'] },
+  });
+  assert.equal(widen.status, 403);
+
+  const stronger = await server.request('PATCH', '/roles/role-accounts', {
+    token: 'roles-token',
+    body: { permissions: ['customers.read'] },
+  });
+  assert.equal(stronger.status, 403);
+  assert.deepEqual(permissionsOf('accounts'), ['customers.read', 'audit.read']);
+
+  const allowed = await server.request('PATCH', '/roles/role-desk', {
+    token: 'roles-token',
+    body: { permissions: ['customers.read', 'customers.write'] },
+  });
+  assert.equal(allowed.status, 200);
+  assert.deepEqual(permissionsOf('desk'), ['customers.read', 'customers.write']);
+});
+
+test('owners can grant any permission', async () => {
+  const { status } = await server.request('PATCH', '/roles/role-desk', {
+    token: 'owner-token',
+    body: { permissions: ['customers.read', 'settings.manage', 'team.manage'] },
+  });
+
+  assert.equal(status, 200);
+});
@@ -0,0 +1,85 @@
+import './helpers/env.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeSupabase } from './helpers/fakeSupabase.js';
+import { startServer } from './helpers/server.js';
+import { app, supabase, resolveSegmentCustomerIds } from '../src/index.js';
+
+const CUSTOMER_COUNT = 2500;
+
+let server;
+let fake;
+
+before(async () => {
+  const customers = Array.from({ length: CUSTOMER_COUNT }, (_, i) => ({
+    id: `cust-${String(i).padStart(5, '0')}`,
+    business_id: 'biz-1',
+    phone: `9198${String(i).padStart(8, '0')}`,
+    // Every other customer is a VIP
+    tags: i % 2 ? ['VIP'] : [],
+  }));
+
+  // Regulars (every fifth customer) have two completed visits
+  const appointments = customers
+    .filter((_, i) => i % 5 === 0)
+    .flatMap(customer => [1, 2].map(n => ({
+      id: `appt-${customer.id}-${n}`,
+      business_id: 'biz-1',
+      customer_id: customer.id,
+      status: 'completed',
+      appointment_time: `2026-0${n}-01T10:00:00.000Z`,
+      appointment_services: [],
+    })));
+
+  fake = installFakeSupabase(supabase, {
+    users: { 'owner-token': { id: 'user-owner', email: 'owner@example.com' } },
+    tables: {
+      businesses: [{ id: 'biz-1', timezone: 'UTC' }],
+      business_users: [{ business_id: 'biz-1', user_id: 'user-owner', role: 'owner' }],
+      customers,
+      appointments,
+      customer_segments: [{
+        id: 'seg-vip',
+        business_id: 'biz-1',
+        rules: [{ type: 'tag', tag: 'vip' }],
+        match: 'all',
+      }],
+    },
+    rpc: {
+      get_customers_with_last_message: (args, db) =>
+        db.tables.customers.map(({ id, phone }) => ({ id, phone })),
+    },
+  });
+
+  // PostgREST's default max-rows
+  fake.maxRows = 1000;
+
+  server = await startServer(app);
+});
+
+after(async () => {
+  await server.close();
+  fake.restore();
+});
+
+test('segments see every customer past the max-rows cap', async () => {
+  const vip = await resolveSegmentCustomerIds('biz-1', {
+    rules: [{ type: 'tag', tag: 'vip' }],
+  });
+  assert.equal(vip.customerIds.size, CUSTOMER_COUNT / 2);
+
+  const regulars = await resolveSegmentCustomerIds('biz-1', {
+    rules: [{ type: 'min_visits', count: 2 }],
+  });
+  assert.equal(regulars.customerIds.size, CUSTOMER_COUNT / 5);
+});
+
+test('filtering the customer list by segment is not truncated', async () => {
+  const { status, body } = await server.request('GET', '/customers?segment_id=seg-vip', {
+    token: 'owner-token',
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.length, CUSTOMER_COUNT / 2);
+  assert.ok(body.some(row => row.id === 'cust-02499'));
+});
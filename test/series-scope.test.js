@@ -0,0 +1,56 @@
+import './helpers/env.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeSupabase } from './helpers/fakeSupabase.js';
+import { supabase, loadSeriesScope } from '../src/index.js';
+
+function occurrence(id, day, status = 'scheduled') {
+  return {
+    id,
+    business_id: 'biz-1',
+    series_id: 'series-1',
+    customer_id: 'cust-1',
+    customers: { phone: '919811112222' },
+    appointment_time: `2099-01-${day}T10:00:00.000Z`,
+    duration_minutes: 30,
+    status,
+  };
+}
+
+let fake;
+afterEach(() => fake?.restore());
+
+function load(id, scope) {
+  fake = installFakeSupabase(supabase, {
+    tables: {
+      appointments: [
+        occurrence('appt-1', '05', 'cancelled'),
+        occurrence('appt-2', '12'),
+        occurrence('appt-3', '19', 'completed'),
+        occurrence('appt-4', '26'),
+      ],
+    },
+  });
+
+  return loadSeriesScope('biz-1', id, scope);
+}
+
+test('"this" only includes a scheduled occurrence', async () => {
+  assert.deepEqual((await load('appt-1', 'this')).appointments, []);
+  assert.deepEqual((await load('appt-3', 'this')).appointments, []);
+  assert.deepEqual(
+    (await load('appt-2', 'this')).appointments.map(a => a.id),
+    ['appt-2']
+  );
+});
+
+test('"following" and "all" skip cancelled and completed occurrences', async () => {
+  assert.deepEqual(
+    (await load('appt-1', 'following')).appointments.map(a => a.id),
+    ['appt-2', 'appt-4']
+  );
+  assert.deepEqual(
+    (await load('appt-4', 'all')).appointments.map(a => a.id),
+    ['appt-2', 'appt-4']
+  );
+});
@@ -0,0 +1,141 @@
+import './helpers/env.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { DateTime } from 'luxon';
+import { installFakeSupabase } from './helpers/fakeSupabase.js';
+import {
+  supabase,
+  sendAndLogSystemMessage,
+  retryFailedMessages,
+} from '../src/index.js';
+
+const business = { id: 'biz-1', messaging_provider: 'mock' };
+const customer = { id: 'cust-1', business_id: 'biz-1', phone: '919811112222' };
+
+const reminderTemplate = {
+  id: 'tpl-1',
+  business_id: 'biz-1',
+  name: 'reminder',
+  provider_template_id: 'reminder_v1',
+  body: 'Reminder: {{1}}',
+  language: 'en',
+  is_active: true,
+  purpose: 'appointment_reminder',
+  default_params: ['{{appointment_time}}'],
+};
+
+function inboundAt(hoursAgo) {
+  return {
+    id: `in-${hoursAgo}`,
+    customer_id: 'cust-1',
+    direction: 'in',
+    content: 'hi',
+    created_at: DateTime.utc().minus({ hours: hoursAgo }).toISO(),
+  };
+}
+
+let fake;
+afterEach(() => fake?.restore());
+
+function send(extra = {}) {
+  return sendAndLogSystemMessage({
+    business,
+    customerId: 'cust-1',
+    phone: customer.phone,
+    content: 'See you tomorrow at 10:00',
+    purpose: 'appointment_reminder',
+    variables: { appointment_time: '10:00' },
+    ...extra,
+  });
+}
+
+function outbound() {
+  return fake.tables.messages.filter(row => row.direction === 'out');
+}
+
+test('free text inside the window is sent as is', async () => {
+  fake = installFakeSupabase(supabase, { tables: { messages: [inboundAt(2)] } });
+
+  const logged = await send();
+
+  assert.equal(logged.status, 'submitted');
+  assert.equal(fake.tables.mock_outbound_messages[0].message.type, 'text');
+});
+
+test('outside the window the purpose template replaces free text', async () => {
+  fake = installFakeSupabase(supabase, {
+    tables: { messages: [inboundAt(30)], message_templates: [reminderTemplate] },
+  });
+
+  await send();
+
+  const sent = fake.tables.mock_outbound_messages[0].message;
+  assert.equal(sent.type, 'template');
+  assert.deepEqual(sent.params, ['10:00']);
+});
+
+test('without a template the send is blocked, not failed', async () => {
+  fake = installFakeSupabase(supabase, { tables: { messages: [inboundAt(30)] } });
+
+  const logged = await send();
+
+  assert.equal(logged.status, 'blocked');
+  assert.equal(fake.tables.mock_outbound_messages, undefined);
+  assert.equal(outbound()[0].status, 'blocked');
+});
+
+function failedRow(extra = {}) {
+  return {
+    id: 'msg-1',
+    customer_id: 'cust-1',
+    direction: 'out',
+    status: 'failed',
+    retry_count: 1,
+    message_type: 'system',
+    content: 'See you tomorrow at 10:00',
+    data: { purpose: 'appointment_reminder', variables: { appointment_time: '10:00' } },
+    customers: { phone: customer.phone, businesses: business },
+    ...extra,
+  };
+}
+
+test('retries never resend free text once the window has closed', async () => {
+  fake = installFakeSupabase(supabase, {
+    tables: { messages: [inboundAt(30), failedRow()] },
+  });
+
+  await retryFailedMessages();
+
+  assert.equal(fake.tables.mock_outbound_messages, undefined);
+  assert.equal(fake.tables.messages.find(row => row.id === 'msg-1').status, 'blocked');
+
+  // Blocked rows are left alone by later runs
+  await retryFailedMessages();
+  assert.equal(fake.tables.mock_outbound_messages, undefined);
+});
+
+test('retries fall back to the purpose template when the window closed', async () => {
+  fake = installFakeSupabase(supabase, {
+    tables: {
+      messages: [inboundAt(30), failedRow()],
+      message_templates: [reminderTemplate],
+    },
+  });
+
+  await retryFailedMessages();
+
+  const row = fake.tables.messages.find(message => message.id === 'msg-1');
+  assert.equal(fake.tables.mock_outbound_messages[0].message.type, 'template');
+  assert.equal(row.message_type, 'template');
+  assert.equal(row.status, 'submitted');
+});
+
+test('retries inside the window resend the original text', async () => {
+  fake = installFakeSupabase(supabase, {
+    tables: { messages: [inboundAt(1), failedRow()] },
+  });
+
+  await retryFailedMessages();
+
+  assert.equal(fake.tables.mock_outbound_messages[0].message.text, 'See you tomorrow at 10:00');
+});
@@ -0,0 +1,91 @@
+import './helpers/env.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeSupabase } from './helpers/fakeSupabase.js';
+import { startServer } from './helpers/server.js';
+import { app, supabase } from '../src/index.js';
+
+let server;
+let fake;
+
+const oldHours = { id: 'hours-old', staff_id: 'staff-a', weekday: 1, open_time: '09:00', close_time: '17:00' };
+
+before(async () => {
+  server = await startServer(app);
+});
+
+after(async () => {
+  await server.close();
+  fake.restore();
+});
+
+beforeEach(() => {
+  fake?.restore();
+  fake = installFakeSupabase(supabase, {
+    users: { 'owner-token': { id: 'user-owner', email: 'owner@example.com' } },
+    unique: { staff_services: [['staff_id', 'service_id']] },
+    tables: {
+      business_users: [{ business_id: 'biz-1', user_id: 'user-owner', role: 'owner' }],
+      services: [
+        { id: 'svc-cut', business_id: 'biz-1' },
+        { id: 'svc-colour', business_id: 'biz-1' },
+      ],
+      staff: [{ id: 'staff-a', business_id: 'biz-1', name: 'Asha', is_active: true }],
+      staff_services: [{ staff_id: 'staff-a', service_id: 'svc-cut' }],
+      staff_hours: [oldHours],
+    },
+  });
+});
+
+function patchStaff(body) {
+  return server.request('PATCH', '/staff/staff-a', { token: 'owner-token', body });
+}
+
+test('services are replaced without tripping over ones kept', async () => {
+  const { status } = await patchStaff({ service_ids: ['svc-cut', 'svc-colour'] });
+
+  assert.equal(status, 200);
+  assert.deepEqual(
+    fake.tables.staff_services.map(row => row.service_id).sort(),
+    ['svc-colour', 'svc-cut']
+  );
+
+  await patchStaff({ service_ids: ['svc-colour'] });
+  assert.deepEqual(fake.tables.staff_services.map(row => row.service_id), ['svc-colour']);
+});
+
+test('a failed hours insert keeps the previous hours', async () => {
+  fake.fail('staff_hours.insert', { message: 'boom' });
+
+  const { status } = await patchStaff({
+    hours: [{ weekday: 2, open_time: '10:00', close_time: '18:00' }],
+  });
+
+  assert.equal(status, 500);
+  assert.deepEqual(fake.tables.staff_hours, [oldHours]);
+});
+
+test('a failed delete rolls back to the previous services', async () => {
+  fake.fail('staff_services.delete', { message: 'boom' }, 1);
+
+  const { status } = await patchStaff({ service_ids: ['svc-colour'] });
+
+  assert.equal(status, 500);
+  assert.deepEqual(fake.tables.staff_services.map(row => row.service_id), ['svc-cut']);
+});
+
+test('a staff member whose calendar fails to save is not created', async () => {
+  fake.fail('staff_hours.insert', { message: 'boom' });
+
+  const { status } = await server.request('POST', '/staff', {
+    token: 'owner-token',
+    body: {
+      name: 'Ravi',
+      service_ids: ['svc-cut'],
+      hours: [{ weekday: 1, open_time: '09:00', close_time: '17:00' }],
+    },
+  });
+
+  assert.equal(status, 500);
+  assert.deepEqual(fake.tables.staff.map(row => row.id), ['staff-a']);
+});
@@ -0,0 +1,84 @@
+import './helpers/env.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeSupabase } from './helpers/fakeSupabase.js';
+import { supabase, checkBookingSlot } from '../src/index.js';
+
+const business = { id: 'biz-1', timezone: 'UTC', appointment_settings: {} };
+
+function member(id) {
+  return {
+    id,
+    business_id: 'biz-1',
+    name: id,
+    is_active: true,
+    staff_services: [{ service_id: 'svc-cut' }],
+    staff_hours: [],
+  };
+}
+
+function booking(staffId, time = '2026-11-02T10:00:00.000Z') {
+  return {
+    id: `appt-${staffId}-${time}`,
+    business_id: 'biz-1',
+    appointment_time: time,
+    duration_minutes: 30,
+    status: 'scheduled',
+    staff_id: staffId,
+  };
+}
+
+let fake;
+afterEach(() => fake?.restore());
+
+function check(appointments, at = '2026-11-02T10:00:00.000Z') {
+  fake = installFakeSupabase(supabase, {
+    tables: { staff: [member('staff-a'), member('staff-b')], appointments },
+  });
+
+  return checkBookingSlot({
+    businessId: 'biz-1',
+    business,
+    appointmentUtcTime: at,
+    durationMinutes: 30,
+    buffers: { before: 0, after: 0 },
+    serviceIds: ['svc-cut'],
+  });
+}
+
+test('the least busy free staff member gets the booking', async () => {
+  assert.deepEqual(await check([booking('staff-a')]), { staffId: 'staff-b' });
+});
+
+test('unassigned bookings use up a free staff member', async () => {
+  const result = await check([booking('staff-a'), booking(null)]);
+
+  assert.equal(result.status, 409);
+});
+
+test('two unassigned bookings fill a team of two', async () => {
+  const result = await check([booking(null), booking(null)]);
+
+  assert.equal(result.status, 409);
+});
+
+test('one unassigned booking still leaves room on a team of two', async () => {
+  const result = await check([booking(null)]);
+
+  assert.ok(['staff-a', 'staff-b'].includes(result.staffId));
+});
+
+test('bookings of deactivated staff count as unassigned', async () => {
+  const result = await check([booking('staff-a'), booking('staff-gone')]);
+
+  assert.equal(result.status, 409);
+});
+
+test('unassigned bookings only block the slots they cover', async () => {
+  const result = await check(
+    [booking('staff-a'), booking(null)],
+    '2026-11-02T11:00:00.000Z'
+  );
+
+  assert.ok(['staff-a', 'staff-b'].includes(result.staffId));
+});
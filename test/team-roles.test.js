@@ -0,0 +1,108 @@
+import './helpers/env.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeSupabase } from './helpers/fakeSupabase.js';
+import { startServer } from './helpers/server.js';
+import { app, supabase } from '../src/index.js';
+
+let server;
+let fake;
+
+beforeEach(() => {
+  fake?.restore();
+  fake = installFakeSupabase(supabase, {
+    users: {
+      'owner-token': { id: 'user-owner', email: 'owner@example.com' },
+      'lead-token': { id: 'user-lead', email: 'lead@example.com' },
+    },
+    tables: {
+      business_users: [
+        { business_id: 'biz-1', user_id: 'user-owner', role: 'owner' },
+        { business_id: 'biz-1', user_id: 'user-lead', role: 'team_lead' },
+        { business_id: 'biz-1', user_id: 'user-manager', role: 'manager' },
+        { business_id: 'biz-1', user_id: 'user-desk', role: 'read_only' },
+      ],
+      business_roles: [
+        {
+          id: 'role-lead',
+          business_id: 'biz-1',
+          name: 'team_lead',
+          permissions: ['team.manage', 'appointments.read', 'customers.read', 'messages.read'],
+        },
+        {
+          id: 'role-viewer',
+          business_id: 'biz-1',
+          name: 'viewer',
+          permissions: ['customers.read'],
+        },
+      ],
+    },
+  });
+});
+
+before(async () => {
+  server = await startServer(app);
+});
+
+after(async () => {
+  await server.close();
+  fake.restore();
+});
+
+function roleOf(userId) {
+  return fake.tables.business_users.find(row => row.user_id === userId).role;
+}
+
+function setRole(token, userId, role) {
+  return server.request('PATCH', `/team/members/${userId}`, { token, body: { role } });
+}
+
+test('only owners can make someone an owner', async () => {
+  assert.equal((await setRole('lead-token', 'user-desk', 'owner')).status, 403);
+  assert.equal(roleOf('user-desk'), 'read_only');
+
+  const invite = await server.request('POST', '/team/invites', {
+    token: 'lead-token',
+    body: { email: 'new@example.com', role: 'owner' },
+  });
+  assert.equal(invite.status, 403);
+  assert.ok(!fake.tables.team_invites?.length);
+
+  assert.equal((await setRole('owner-token', 'user-desk', 'owner')).status, 200);
+  assert.equal(roleOf('user-desk'), 'owner');
+});
+
+test('only owners can demote or deactivate an owner', async () => {
+  fake.tables.business_users.push({ business_id: 'biz-1', user_id: 'user-owner-2', role: 'owner' });
+
+  assert.equal((await setRole('lead-token', 'user-owner-2', 'viewer')).status, 403);
+
+  const deactivate = await server.request('POST', '/team/members/user-owner/deactivate', {
+    token: 'lead-token',
+  });
+  assert.equal(deactivate.status, 403);
+  assert.equal(fake.tables.business_users.find(row => row.user_id === 'user-owner').deactivated_at, undefined);
+});
+
+test('roles can only be given within the caller\'s permissions', async () => {
+  assert.equal((await setRole('lead-token', 'user-desk', 'manager')).status, 403);
+
+  const invite = await server.request('POST', '/team/invites', {
+    token: 'lead-token',
+    body: { email: 'new@example.com', role: 'manager' },
+  });
+  assert.equal(invite.status, 403);
+
+  assert.equal((await setRole('lead-token', 'user-desk', 'viewer')).status, 200);
+  assert.equal(roleOf('user-desk'), 'viewer');
+});
+
+test('members with more permissions than the caller are out of reach', async () => {
+  assert.equal((await setRole('lead-token', 'user-manager', 'viewer')).status, 403);
+  assert.equal(roleOf('user-manager'), 'manager');
+
+  const deactivate = await server.request('POST', '/team/members/user-manager/deactivate', {
+    token: 'lead-token',
+  });
+  assert.equal(deactivate.status, 403);
+});
@@ -0,0 +1,80 @@
+import './helpers/env.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { DateTime } from 'luxon';
+import { installFakeSupabase } from './helpers/fakeSupabase.js';
+import { supabase, handleWaitlistReply } from '../src/index.js';
+
+const business = {
+  id: 'biz-1',
+  timezone: 'UTC',
+  messaging_provider: 'mock',
+  appointment_settings: { max_appointments_per_slot: 1 },
+};
+
+const slot = DateTime.utc().plus({ days: 2 }).set({ hour: 10, minute: 0, second: 0, millisecond: 0 });
+const services = [{ service_id: 'svc-cut', duration_minutes: 30 }];
+
+function entry(id, customerId, createdAt) {
+  return {
+    id,
+    business_id: 'biz-1',
+    customer_id: customerId,
+    customers: { id: customerId, name: customerId, phone: `91980000000${id.slice(-1)}` },
+    services,
+    status: 'waiting',
+    date_from: slot.toISODate(),
+    date_to: slot.toISODate(),
+    created_at: createdAt,
+  };
+}
+
+let fake;
+afterEach(() => fake?.restore());
+
+test('a failed booking on accept passes the slot to the next entry', async () => {
+  const first = { ...entry('entry-1', 'cust-1', '2026-01-01T00:00:00Z'), status: 'offered' };
+  const second = entry('entry-2', 'cust-2', '2026-01-02T00:00:00Z');
+
+  fake = installFakeSupabase(supabase, {
+    tables: {
+      businesses: [business],
+      customers: [{ id: 'cust-1', business_id: 'biz-1', phone: '919800000001', name: 'A' }],
+      services: [{ id: 'svc-cut', business_id: 'biz-1', name: 'Cut', duration_minutes: 30 }],
+      waitlist_entries: [first, second],
+      waitlist_offers: [{
+        id: 'offer-1',
+        business_id: 'biz-1',
+        entry_id: 'entry-1',
+        customer_id: 'cust-1',
+        appointment_time: slot.toISO(),
+        duration_minutes: 30,
+        status: 'pending',
+        expires_at: DateTime.utc().plus({ minutes: 20 }).toISO(),
+        waitlist_entries: first,
+      }],
+    },
+    rpc: {
+      book_appointment() {
+        throw new Error('connection reset');
+      },
+    },
+  });
+
+  const handled = await handleWaitlistReply(
+    business,
+    { id: 'cust-1', name: 'A', phone: '919800000001' },
+    { message_type: 'text', content: 'YES' }
+  );
+
+  assert.equal(handled, true);
+
+  const offers = fake.tables.waitlist_offers;
+  assert.equal(offers.find(o => o.id === 'offer-1').status, 'failed');
+  assert.equal(fake.tables.waitlist_entries.find(e => e.id === 'entry-1').status, 'waiting');
+
+  const next = offers.find(o => o.entry_id === 'entry-2');
+  assert.equal(next?.status, 'pending');
+  assert.equal(next.appointment_time, slot.toISO());
+  assert.equal(fake.tables.waitlist_entries.find(e => e.id === 'entry-2').status, 'offered');
+});
@@ -0,0 +1,68 @@
+import './helpers/env.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeSupabase } from './helpers/fakeSupabase.js';
+import { supabase, resolveBusinessForRecipient } from '../src/index.js';
+
+let fake;
+afterEach(() => fake?.restore());
+
+const businesses = [
+  { id: 'biz-a', whatsapp_number: '919800000001', gupshup_app_name: 'SalonA' },
+  { id: 'biz-b', whatsapp_number: '919800000002', gupshup_source_number: '+919800000009' },
+  {
+    id: 'biz-c',
+    whatsapp_number: '15550001111',
+    messaging_provider: 'meta',
+    provider_config: { phone_number_id: '1234567890' },
+  },
+];
+
+test('routes by receiving number, with or without a leading +', async () => {
+  fake = installFakeSupabase(supabase, { tables: { businesses } });
+
+  const { business } = await resolveBusinessForRecipient({ destination: '919800000001' });
+  assert.equal(business.id, 'biz-a');
+
+  const bySource = await resolveBusinessForRecipient({ destination: '919800000009' });
+  assert.equal(bySource.business.id, 'biz-b');
+});
+
+test('routes Meta webhooks by phone_number_id', async () => {
+  fake = installFakeSupabase(supabase, { tables: { businesses } });
+
+  const { business } = await resolveBusinessForRecipient({ phoneNumberId: '1234567890' });
+  assert.equal(business.id, 'biz-c');
+});
+
+test('falls back to the Gupshup app name', async () => {
+  fake = installFakeSupabase(supabase, { tables: { businesses } });
+
+  const { business } = await resolveBusinessForRecipient({
+    appName: 'SalonA',
+    destination: '910000000000',
+  });
+  assert.equal(business.id, 'biz-a');
+});
+
+test('never guesses when the recipient is unknown or ambiguous', async () => {
+  fake = installFakeSupabase(supabase, {
+    tables: {
+      businesses: [
+        ...businesses,
+        { id: 'biz-d', whatsapp_number: '919800000001' },
+      ],
+    },
+  });
+
+  const ambiguous = await resolveBusinessForRecipient({ destination: '919800000001' });
+  assert.equal(ambiguous.business, undefined);
+  assert.match(ambiguous.reason, /multiple businesses/);
+
+  const unknown = await resolveBusinessForRecipient({ destination: '447700900000' });
+  assert.equal(unknown.business, undefined);
+  assert.match(unknown.reason, /no business registered/);
+
+  const empty = await resolveBusinessForRecipient({});
+  assert.match(empty.reason, /no app name or destination/);
+});